@@ -0,0 +1,41 @@
+const antiDelete = require('../lib/antiDelete');
+const { UsageError } = require('../lib/commands');
+
+const routeLabels = {
+  owner: 'owner DM',
+  log: 'log chat',
+  chat: 'original chat',
+  off: 'disabled'
+};
+
+module.exports = {
+  name: 'antidelete',
+  aliases: ['ad'],
+  description: 'Choose where deleted and edited messages from a chat are reported',
+  usage: '[owner|log|chat|off|default] [chat jid]',
+  category: 'owner',
+  permission: 'owner',
+  parseArgs(args, ctx) {
+    const route = args[0]?.toLowerCase();
+    if (route && route !== 'default' && !antiDelete.ROUTES.includes(route)) {
+      throw new UsageError(`Unknown route "${args[0]}"`);
+    }
+    const chatJid = args[1] || ctx.from;
+    if (!chatJid.includes('@')) {
+      throw new UsageError(`"${chatJid}" is not a chat JID`);
+    }
+    return { route, chatJid };
+  },
+  async execute(ctx, { route, chatJid }) {
+    if (!route) {
+      const current = await antiDelete.getRoute(ctx.session.id, chatJid);
+      await ctx.reply(
+        `🛡️ Anti-delete for ${chatJid}: *${routeLabels[current]}*\n` +
+        `Default route: *${routeLabels[antiDelete.defaultRoute]}*`
+      );
+      return;
+    }
+    const applied = await antiDelete.setRoute(ctx.session.id, chatJid, route);
+    await ctx.reply(`✅ Anti-delete for ${chatJid} now goes to *${routeLabels[applied]}*`);
+  }
+};
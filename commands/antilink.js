@@ -0,0 +1,37 @@
+const moderation = require('../lib/moderation');
+const { UsageError } = require('../lib/commands');
+
+const labels = {
+  off: 'off',
+  invite: 'on for group invite links',
+  all: 'on for all links'
+};
+
+module.exports = {
+  name: 'antilink',
+  description: 'Delete messages with group invite links, or with any link',
+  usage: '[on|invite|all|off]',
+  category: 'group',
+  permission: 'admin',
+  parseArgs(args, ctx) {
+    if (!ctx.isGroup) throw new UsageError('This command only works in groups');
+    const value = args[0]?.toLowerCase();
+    const mode = value === 'on' ? 'invite' : value;
+    if (mode && !moderation.ANTILINK_MODES.includes(mode)) {
+      throw new UsageError(`Unknown mode "${args[0]}"`);
+    }
+    return { mode };
+  },
+  async execute(ctx, { mode }) {
+    if (!mode) {
+      await ctx.reply(moderation.describeSettings(await moderation.getSettings(ctx.session.id, ctx.from)));
+      return;
+    }
+    await moderation.updateSettings(ctx.session.id, ctx.from, { antilink: mode });
+    const roles = await moderation.getRoles(ctx.conn, ctx.session.id, ctx.from);
+    await ctx.reply(
+      `🔗 Anti-link is now *${labels[mode]}*` +
+      (mode !== 'off' && !roles.botIsAdmin ? `\n⚠️ Make the bot an admin so it can delete messages.` : '')
+    );
+  }
+};
@@ -0,0 +1,41 @@
+const moderation = require('../lib/moderation');
+const { UsageError } = require('../lib/commands');
+
+module.exports = {
+  name: 'antispam',
+  aliases: ['antiflood'],
+  description: 'Warn members who send too many messages too fast',
+  usage: '[on|off] [messages] [seconds]',
+  category: 'group',
+  permission: 'admin',
+  parseArgs(args, ctx) {
+    if (!ctx.isGroup) throw new UsageError('This command only works in groups');
+    const state = args[0]?.toLowerCase();
+    if (state && !['on', 'off'].includes(state)) {
+      throw new UsageError(`Use on or off, not "${args[0]}"`);
+    }
+    const limit = args[1] ? parseInt(args[1], 10) : undefined;
+    const windowSeconds = args[2] ? parseInt(args[2], 10) : undefined;
+    if (limit !== undefined && !(limit >= 2 && limit <= 100)) {
+      throw new UsageError('Messages must be a number from 2 to 100');
+    }
+    if (windowSeconds !== undefined && !(windowSeconds >= 1 && windowSeconds <= 300)) {
+      throw new UsageError('Seconds must be a number from 1 to 300');
+    }
+    return { state, limit, windowSeconds };
+  },
+  async execute(ctx, { state, limit, windowSeconds }) {
+    if (!state) {
+      await ctx.reply(moderation.describeSettings(await moderation.getSettings(ctx.session.id, ctx.from)));
+      return;
+    }
+    const settings = await moderation.updateSettings(ctx.session.id, ctx.from, {
+      antispam: state === 'on',
+      spam_limit: limit,
+      spam_window_seconds: windowSeconds
+    });
+    await ctx.reply(settings.antispam
+      ? `🌊 Anti-spam is *on*: more than ${settings.spam_limit} messages in ${settings.spam_window_seconds}s earns a warning`
+      : '🌊 Anti-spam is *off*');
+  }
+};
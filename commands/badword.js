@@ -0,0 +1,41 @@
+const moderation = require('../lib/moderation');
+const { UsageError } = require('../lib/commands');
+
+module.exports = {
+  name: 'badword',
+  aliases: ['filter'],
+  description: 'Manage the words that get a message deleted and its sender warned',
+  usage: 'add <words...>, remove <words...>, list',
+  category: 'group',
+  permission: 'admin',
+  parseArgs(args, ctx) {
+    if (!ctx.isGroup) throw new UsageError('This command only works in groups');
+    const action = (args[0] || 'list').toLowerCase();
+    const words = args.slice(1).map(word => word.trim()).filter(Boolean);
+    if (['add', 'remove', 'delete'].includes(action)) {
+      if (words.length === 0) throw new UsageError(`Give at least one word to ${action}`);
+      return { action, words };
+    }
+    if (action === 'list') return { action };
+    throw new UsageError(`Unknown action "${args[0]}"`);
+  },
+  async execute(ctx, { action, words }) {
+    const { id: sessionId } = ctx.session;
+    let settings;
+    switch (action) {
+      case 'add':
+        settings = await moderation.addBannedWords(sessionId, ctx.from, words);
+        break;
+      case 'remove':
+      case 'delete':
+        settings = await moderation.removeBannedWords(sessionId, ctx.from, words);
+        break;
+      default:
+        settings = await moderation.getSettings(sessionId, ctx.from);
+    }
+    const list = settings.banned_words;
+    await ctx.reply(list.length
+      ? `🤬 *Banned words (${list.length})*\n\n${list.map(word => `• ${word}`).join('\n')}`
+      : '🤬 No banned words in this group.');
+  }
+};
@@ -0,0 +1,32 @@
+const { UsageError } = require('../lib/commands');
+
+module.exports = {
+  name: 'delete',
+  description: 'List deleted messages with images, or clear the message database',
+  usage: '[clear]',
+  category: 'owner',
+  permission: 'owner',
+  parseArgs(args) {
+    const mode = args[0]?.toLowerCase();
+    if (mode && mode !== 'clear') {
+      throw new UsageError(`Unknown option "${args[0]}"`);
+    }
+    return { clear: mode === 'clear' };
+  },
+  async execute(ctx, { clear }) {
+    const result = await ctx.bot.handleDelete(clear, ctx.session.id);
+    if (clear && !result.error) {
+      await ctx.reply('✅ Database cleared successfully');
+    } else if (!clear && result.deletedMessages) {
+      const message = result.deletedMessages.length > 0
+        ? `🗑️ Found ${result.deletedMessages.length} deleted messages with images:\n` +
+          result.deletedMessages.map(m =>
+            `ID: ${m.message_id}\nSender: ${m.sender_jid}\nImage: ${m.image_url}\nDeleted By: ${m.deleted_by}\nDeleted At: ${new Date(m.deleted_at).toLocaleString('en-US', { timeZone: 'Asia/Colombo' })}`
+          ).join('\n\n')
+        : '🗑️ No deleted messages with images found.';
+      await ctx.reply(message);
+    } else {
+      await ctx.reply('❌ Failed to process delete operation');
+    }
+  }
+};
@@ -0,0 +1,53 @@
+const chatExport = require('../lib/chatExport');
+const { UsageError } = require('../lib/commands');
+const { isCalendarDate } = require('../lib/utils');
+
+function toJid(value, ctx) {
+  if (!value || value === 'here') return ctx.from;
+  if (value.includes('@')) return value;
+  const number = value.replace(/[^0-9]/g, '');
+  if (number.length < 8) throw new UsageError(`"${value}" is not a phone number, JID or "here"`);
+  return `${number}@s.whatsapp.net`;
+}
+
+module.exports = {
+  name: 'export',
+  description: 'Export a chat\'s history and media as a zip of JSON, CSV and a text transcript',
+  usage: '[here|number|jid] [json,csv,txt] [nomedia] [after:YYYY-MM-DD] [before:YYYY-MM-DD]',
+  category: 'owner',
+  permission: 'owner',
+  parseArgs(args, ctx) {
+    const options = { chatJid: ctx.from, formats: chatExport.FORMATS, includeMedia: true, from: null, to: null };
+    for (const arg of args) {
+      const lower = arg.toLowerCase();
+      const date = /^(after|before):(.+)$/.exec(lower);
+      if (date) {
+        if (!isCalendarDate(date[2])) throw new UsageError(`${date[1]} needs a YYYY-MM-DD date`);
+        options[date[1] === 'after' ? 'from' : 'to'] = date[2];
+      } else if (lower === 'nomedia') {
+        options.includeMedia = false;
+      } else if (/^(json|csv|txt)(,(json|csv|txt))*$/.test(lower)) {
+        options.formats = chatExport.parseFormats(lower);
+      } else {
+        options.chatJid = toJid(arg, ctx);
+      }
+    }
+    return options;
+  },
+  async execute(ctx, options) {
+    await ctx.reply(`📦 Exporting ${options.chatJid.split('@')[0]}...`);
+    let exported;
+    try {
+      exported = await chatExport.exportChatBuffer({ sessionId: ctx.session.id, ...options });
+    } catch (err) {
+      if (err instanceof chatExport.ExportError) throw new UsageError(err.message);
+      throw err;
+    }
+    await ctx.reply({
+      document: exported.buffer,
+      mimetype: 'application/zip',
+      fileName: chatExport.exportFileName(options.chatJid),
+      caption: `📦 ${exported.messages} messages, ${exported.mediaFiles} media files`
+    });
+  }
+};
@@ -0,0 +1,3 @@
+const { greetingCommand } = require('../lib/greetings');
+
+module.exports = greetingCommand('goodbye');
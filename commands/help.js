@@ -0,0 +1,46 @@
+const registry = require('../lib/commands');
+
+module.exports = {
+  name: 'help',
+  aliases: ['menu'],
+  description: 'List commands, or show details for one command',
+  usage: '[command]',
+  cooldown: 10,
+  permission: 'everyone',
+  async execute(ctx) {
+    const { prefix } = ctx;
+
+    if (ctx.args[0]) {
+      const command = registry.findCommand(ctx.args[0].replace(prefix, ''));
+      if (!command) {
+        await ctx.reply(`❓ No command named *${ctx.args[0]}*.`);
+        return;
+      }
+      await ctx.reply(
+        `📖 *${prefix}${command.name}*\n\n` +
+        `${command.description || 'No description'}\n\n` +
+        `*Usage:* ${registry.formatUsage(command, prefix)}\n` +
+        (command.aliases.length ? `*Aliases:* ${command.aliases.map(a => prefix + a).join(', ')}\n` : '') +
+        `*Allowed:* ${registry.describePermission(command.permission)}` +
+        (command.cooldown ? `\n*Cooldown:* ${command.cooldown}s` : '')
+      );
+      return;
+    }
+
+    const categories = {};
+    for (const command of registry.listCommands()) {
+      if (!(await registry.hasPermission(command, ctx))) continue;
+      (categories[command.category] = categories[command.category] || []).push(command);
+    }
+
+    let menu = `🤖 *TADASHI-MD Commands* 🤖\n`;
+    for (const [category, list] of Object.entries(categories)) {
+      menu += `\n*❮ ${category.toUpperCase()} ❯*\n`;
+      for (const command of list) {
+        menu += `• ${registry.formatUsage(command, prefix)} - ${command.description}\n`;
+      }
+    }
+    menu += `\nType *${prefix}help <command>* for details.`;
+    await ctx.reply(menu);
+  }
+};
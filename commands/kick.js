@@ -0,0 +1,32 @@
+const moderation = require('../lib/moderation');
+const { UsageError } = require('../lib/commands');
+
+module.exports = {
+  name: 'kick',
+  aliases: ['remove'],
+  description: 'Remove a member from the group',
+  usage: '@user',
+  category: 'group',
+  permission: 'admin',
+  parseArgs(args, ctx) {
+    if (!ctx.isGroup) throw new UsageError('This command only works in groups');
+    const target = moderation.findTarget(ctx.mek, args[0]);
+    if (!target) throw new UsageError('Mention the member, reply to their message or give their number');
+    return { target };
+  },
+  async execute(ctx, { target }) {
+    const { session, from } = ctx;
+    const roles = await moderation.getRoles(ctx.conn, session.id, from);
+    if (!roles.botIsAdmin) {
+      await ctx.reply('⚠️ Make the bot an admin first so it can remove members.');
+      return;
+    }
+    if (roles.isAdmin(target) || session.ownerNumber.includes(target.split('@')[0])) {
+      await ctx.reply('🚫 Admins and bot owners cannot be kicked.');
+      return;
+    }
+    await moderation.kickMember(ctx.conn, from, target);
+    await moderation.clearWarnings(session.id, from, target);
+    await ctx.reply({ text: `👢 @${target.split('@')[0]} was removed.`, mentions: [target] });
+  }
+};
@@ -0,0 +1,188 @@
+const config = require('../config');
+const statusPosts = require('../lib/statusPosts');
+const scheduler = require('../lib/scheduler');
+const messageBuilder = require('../lib/messageBuilder');
+const { UsageError } = require('../lib/commands');
+
+const STATE_ICONS = { scheduled: '⏰', posting: '📤', posted: '✅', failed: '❌' };
+const timezone = config.TIMEZONE || 'Asia/Colombo';
+
+function toJids(values) {
+  return values.map(value => {
+    try {
+      return messageBuilder.toJid(value);
+    } catch (err) {
+      throw new UsageError(err.message);
+    }
+  });
+}
+
+// "image <url> caption", "video <url> caption" or plain text, followed by
+// "| at <when>", "| to <audience>", "| bg <#RRGGBB>" and "| font <name>" in any order.
+function parsePost(text) {
+  const [message, ...extras] = text.split('|');
+  const media = /^(image|video)\s+(\S+)\s*([\s\S]*)$/i.exec(message.trim());
+  const post = media
+    ? { type: media[1].toLowerCase(), url: media[2], text: media[3].trim() || null }
+    : { type: 'text', text: message.trim() };
+  if (!post.text && post.type === 'text') throw new UsageError('Write the status text after "post"');
+
+  for (const extra of extras) {
+    const [, option, value] = /^\s*(\w+)\s+([\s\S]+?)\s*$/.exec(extra) || [];
+    switch ((option || '').toLowerCase()) {
+      case 'at': {
+        let schedule;
+        try {
+          schedule = scheduler.parseWhen(value);
+        } catch (err) {
+          throw new UsageError(err.message);
+        }
+        if (!schedule.runAt) throw new UsageError('Statuses are posted once, use "in 10m" or "YYYY-MM-DD HH:MM"');
+        post.scheduledFor = schedule.runAt;
+        break;
+      }
+      case 'to':
+        post.audience = value.toLowerCase();
+        break;
+      case 'bg':
+        post.backgroundColor = value;
+        break;
+      case 'font':
+        if (statusPosts.FONTS[value.toLowerCase()] === undefined) {
+          throw new UsageError(`Unknown font, use one of: ${Object.keys(statusPosts.FONTS).join(', ')}`);
+        }
+        post.font = statusPosts.FONTS[value.toLowerCase()];
+        break;
+      default:
+        throw new UsageError(`Unknown option "${extra.trim()}", use at, to, bg or font`);
+    }
+  }
+  return post;
+}
+
+function describePost(post) {
+  const when = new Date(post.posted_at || post.scheduled_for).toLocaleString('en-US', { timeZone: timezone });
+  const text = post.text || `[${post.status_type}]`;
+  return `*#${post.id}* ${STATE_ICONS[post.state]} ${post.state} · ${when}\n` +
+         `👥 ${post.audience}` +
+         (post.state === 'posted' ? ` · 👁️ ${post.view_count}/${post.recipient_count} viewed` : '') + '\n' +
+         `💬 ${text.length > 60 ? `${text.slice(0, 60)}...` : text}` +
+         (post.last_error ? `\n⚠️ ${post.last_error}` : '');
+}
+
+module.exports = {
+  name: 'mystatus',
+  aliases: ['poststatus'],
+  description: 'Post or schedule our own statuses and see who viewed them',
+  usage: 'post <text | image <url> caption | video <url> caption> [| at <in 10m | YYYY-MM-DD HH:MM>] [| to <audience>] [| bg <#RRGGBB>] [| font <name>], list, views <id>, cancel <id>, audience [<name> add|remove <numbers...> | <name> delete]',
+  category: 'owner',
+  permission: 'owner',
+  parseArgs(args, ctx) {
+    const action = (args[0] || 'list').toLowerCase();
+    switch (action) {
+      case 'post':
+        return { action, post: parsePost(ctx.rawArgs.slice(args[0].length)) };
+      case 'list':
+        return { action };
+      case 'views':
+      case 'cancel': {
+        const id = parseInt(args[1], 10);
+        if (!Number.isInteger(id)) throw new UsageError(`Give the number of the post after "${action}", see .mystatus list`);
+        return { action, id };
+      }
+      case 'audience': {
+        if (!args[1]) return { action };
+        const name = args[1].toLowerCase();
+        const change = (args[2] || '').toLowerCase();
+        if (change === 'delete') return { action, name, change };
+        if (!['add', 'remove'].includes(change) || args.length < 4) {
+          throw new UsageError('Use audience <name> add <numbers...>, audience <name> remove <numbers...> or audience <name> delete');
+        }
+        return { action, name, change, members: toJids(args.slice(3)) };
+      }
+      default:
+        throw new UsageError(`Unknown action "${args[0]}"`);
+    }
+  },
+  async execute(ctx, options) {
+    const { session } = ctx;
+    switch (options.action) {
+      case 'post': {
+        const { url, ...post } = options.post;
+        const media = url ? await messageBuilder.resolveMedia({ type: post.type, url }) : null;
+        const created = await statusPosts.createPost({
+          ...post,
+          sessionId: session.id,
+          media,
+          createdBy: ctx.sender
+        });
+        if (created.state === 'posted') {
+          await ctx.reply(`✅ Status #${created.id} posted to ${created.recipient_count} contacts (${created.audience})`);
+        } else if (created.state === 'failed') {
+          await ctx.reply(`❌ Status #${created.id} failed: ${created.last_error}`);
+        } else {
+          const when = new Date(created.scheduled_for).toLocaleString('en-US', { timeZone: timezone });
+          await ctx.reply(`⏰ Status #${created.id} will be posted to *${created.audience}* at ${when}`);
+        }
+        return;
+      }
+      case 'list': {
+        const posts = await statusPosts.listPosts(session.id);
+        await ctx.reply(posts.length
+          ? `📢 *Our statuses*\n\n${posts.map(describePost).join('\n\n')}`
+          : '📭 No statuses posted yet');
+        return;
+      }
+      case 'views': {
+        const post = await statusPosts.getPost(options.id, session.id);
+        if (!post) {
+          await ctx.reply(`❌ Status #${options.id} not found`);
+          return;
+        }
+        const viewers = post.viewers.map(viewer => {
+          const at = new Date(viewer.viewed_at).toLocaleString('en-US', { timeZone: timezone });
+          return `• ${viewer.push_name || viewer.viewer_jid.split('@')[0]} (${at})`;
+        });
+        await ctx.reply(
+          `👁️ *Status #${post.id} viewers:* ${viewers.length}${post.recipient_count ? `/${post.recipient_count}` : ''}\n\n` +
+          (viewers.length ? viewers.join('\n') : 'Nobody yet')
+        );
+        return;
+      }
+      case 'cancel': {
+        const removed = await statusPosts.cancelPost(options.id, session.id);
+        await ctx.reply(removed
+          ? `🗑️ Status #${options.id} cancelled`
+          : `❌ No scheduled or failed status #${options.id}`);
+        return;
+      }
+      case 'audience': {
+        if (!options.name) {
+          const audiences = await statusPosts.listAudiences(session.id);
+          const lines = audiences.map(audience => `• *${audience.name}*: ${audience.members.length} contacts`);
+          await ctx.reply(
+            `👥 *Status audiences*\n\n• *${statusPosts.CONTACTS_AUDIENCE}*: everyone we chat with\n` +
+            lines.join('\n')
+          );
+          return;
+        }
+        if (options.change === 'delete') {
+          const removed = await statusPosts.deleteAudience(session.id, options.name);
+          await ctx.reply(removed ? `🗑️ Audience *${options.name}* deleted` : `❌ Audience *${options.name}* not found`);
+          return;
+        }
+        let audience;
+        try {
+          audience = options.change === 'add'
+            ? await statusPosts.addAudienceMembers(session.id, options.name, options.members)
+            : await statusPosts.removeAudienceMembers(session.id, options.name, options.members);
+        } catch (err) {
+          throw new UsageError(err.message);
+        }
+        await ctx.reply(audience
+          ? `✅ Audience *${audience.name}* now has ${audience.members.length} contacts`
+          : `❌ Audience *${options.name}* not found`);
+      }
+    }
+  }
+};
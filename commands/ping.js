@@ -0,0 +1,12 @@
+const { performance } = require('perf_hooks');
+
+module.exports = {
+  name: 'ping',
+  description: 'Check that the bot is alive and how fast it answers',
+  cooldown: 5,
+  permission: 'everyone',
+  async execute(ctx) {
+    const pingTime = performance.now();
+    await ctx.reply(`🏓 Pong! Response time: ${Math.round(performance.now() - pingTime)}ms`);
+  }
+};
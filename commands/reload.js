@@ -0,0 +1,10 @@
+module.exports = {
+  name: 'reload',
+  description: 'Download reply.json again from RENDER_JSON_URL',
+  category: 'owner',
+  permission: 'owner',
+  async execute(ctx) {
+    const result = await ctx.bot.reloadJsonFile(ctx.session);
+    await ctx.reply(result);
+  }
+};
@@ -0,0 +1,16 @@
+const { performance } = require('perf_hooks');
+
+module.exports = {
+  name: 'runtime',
+  aliases: ['uptime'],
+  description: 'Show how long the bot has been running',
+  cooldown: 5,
+  permission: 'everyone',
+  async execute(ctx) {
+    const runtime = performance.now() - ctx.bot.startTime;
+    const seconds = Math.floor(runtime / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    await ctx.reply(`⏰ Bot Runtime: ${hours}h ${minutes % 60}m ${seconds % 60}s`);
+  }
+};
@@ -0,0 +1,106 @@
+const scheduler = require('../lib/scheduler');
+const { UsageError } = require('../lib/commands');
+
+function resolveChat(value, ctx) {
+  const target = value.trim();
+  if (!target || target === 'here') return ctx.from;
+  if (target.includes('@')) return target;
+  const number = target.replace(/[^0-9]/g, '');
+  if (!number) throw new UsageError(`"${target}" is not a number, chat JID or "here"`);
+  return `${number}@s.whatsapp.net`;
+}
+
+// "image <url> caption", "video <url> caption", "voice <url>" or plain text.
+function parseMessage(text) {
+  const media = /^(image|video|voice)\s+(\S+)\s*([\s\S]*)$/i.exec(text.trim());
+  if (media) {
+    return { type: media[1].toLowerCase(), url: media[2], caption: media[3] || undefined };
+  }
+  return { type: 'text', content: text.trim() };
+}
+
+function describeJob(job) {
+  const when = job.cron
+    ? `cron \`${job.cron}\``
+    : `once at ${new Date(job.run_at).toLocaleString('en-US', { timeZone: job.timezone })}`;
+  const next = job.next_run_at
+    ? new Date(job.next_run_at).toLocaleString('en-US', { timeZone: job.timezone })
+    : '-';
+  const first = job.response[0];
+  const preview = first.type === 'text' ? first.content : `${first.type} ${first.url}`;
+  return `*#${job.id}* ${job.enabled ? '🟢' : '⏸️'} ${when}\n` +
+         `📍 ${job.chat_jid}\n` +
+         `⏭️ Next: ${next}\n` +
+         `💬 ${preview.length > 60 ? `${preview.slice(0, 60)}...` : preview}` +
+         (job.last_error ? `\n⚠️ Last error: ${job.last_error}` : '');
+}
+
+module.exports = {
+  name: 'schedule',
+  aliases: ['sched'],
+  description: 'Schedule one-shot or recurring messages',
+  usage: 'add <cron | in 10m | YYYY-MM-DD HH:MM> | <number|jid|here> | <text or image/video/voice url caption>, list, remove <id>, pause <id>, resume <id>',
+  category: 'owner',
+  permission: 'owner',
+  parseArgs(args, ctx) {
+    const action = (args[0] || 'list').toLowerCase();
+    const rest = ctx.rawArgs.slice(args[0] ? args[0].length : 0).trim();
+
+    if (action === 'add') {
+      const parts = rest.split('|');
+      if (parts.length < 3) throw new UsageError('Separate the time, chat and message with |');
+      const [when, chat, ...message] = parts;
+      const text = message.join('|');
+      if (!text.trim()) throw new UsageError('The message is empty');
+      let schedule;
+      try {
+        schedule = scheduler.parseWhen(when);
+      } catch (err) {
+        throw new UsageError(err.message);
+      }
+      return { action, ...schedule, chatJid: resolveChat(chat, ctx), response: [parseMessage(text)] };
+    }
+    if (['remove', 'delete', 'pause', 'resume'].includes(action)) {
+      const id = parseInt(args[1], 10);
+      if (!Number.isInteger(id)) throw new UsageError(`Give the id of the schedule to ${action}`);
+      return { action, id };
+    }
+    if (action === 'list') return { action };
+    throw new UsageError(`Unknown action "${args[0]}"`);
+  },
+  async execute(ctx, options) {
+    switch (options.action) {
+      case 'add': {
+        const job = await scheduler.createJob({
+          sessionId: ctx.session.id,
+          chatJid: options.chatJid,
+          cron: options.cron,
+          runAt: options.runAt,
+          response: options.response,
+          createdBy: ctx.sender
+        });
+        await ctx.reply(`✅ Schedule created\n\n${describeJob(job)}`);
+        break;
+      }
+      case 'list': {
+        const jobs = await scheduler.listJobs(ctx.session.id);
+        await ctx.reply(jobs.length
+          ? `🗓️ *Scheduled messages*\n\n${jobs.map(describeJob).join('\n\n')}`
+          : '🗓️ No scheduled messages.');
+        break;
+      }
+      case 'remove':
+      case 'delete': {
+        const removed = await scheduler.removeJob(options.id, ctx.session.id);
+        await ctx.reply(removed ? `🗑️ Schedule #${options.id} removed` : `❓ No schedule #${options.id}`);
+        break;
+      }
+      case 'pause':
+      case 'resume': {
+        const job = await scheduler.setEnabled(options.id, options.action === 'resume', ctx.session.id);
+        await ctx.reply(job ? `✅ Schedule updated\n\n${describeJob(job)}` : `❓ No schedule #${options.id}`);
+        break;
+      }
+    }
+  }
+};
@@ -0,0 +1,94 @@
+const config = require('../config');
+const search = require('../lib/search');
+const { UsageError } = require('../lib/commands');
+
+const pageSize = 10;
+const timezone = config.TIMEZONE || 'Asia/Colombo';
+
+function toJid(value, ctx) {
+  if (value === 'here') return ctx.from;
+  if (value.includes('@')) return value;
+  const number = value.replace(/[^0-9]/g, '');
+  if (number.length < 8) throw new UsageError(`"${value}" is not a phone number, JID or "here"`);
+  return `${number}@s.whatsapp.net`;
+}
+
+function describeResult(result, index) {
+  const when = new Date(result.timestamp).toLocaleString('en-US', { timeZone: timezone });
+  const sender = result.from_me ? 'You' : result.push_name || result.sender_jid.split('@')[0];
+  const chat = result.chat_name || result.remote_jid.split('@')[0];
+  const text = result.snippet || result.message_text || `[${result.message_type}]`;
+  const flags = [result.is_deleted ? '🗑️' : '', result.is_edited ? '✏️' : ''].join('');
+  return `*${index}.* 👤 ${sender} · 💬 ${chat} ${flags}\n🕒 ${when}\n${text.length > 200 ? `${text.slice(0, 200)}...` : text}`;
+}
+
+module.exports = {
+  name: 'search',
+  aliases: ['find'],
+  description: 'Search stored messages',
+  usage: '<words or "phrase"> [chat:<here|number|jid>] [from:<number>] [type:<text|image|video|audio|sticker|document>] [after:YYYY-MM-DD] [before:YYYY-MM-DD] [is:deleted] [is:edited] [page:<n>]',
+  category: 'owner',
+  permission: 'owner',
+  parseArgs(args, ctx) {
+    const options = { words: [], page: 1, deleted: null, edited: null };
+    for (const arg of args) {
+      const [, key, value] = /^(chat|from|type|after|before|is|page):(.+)$/i.exec(arg) || [];
+      switch ((key || '').toLowerCase()) {
+        case 'chat':
+          options.chatJid = toJid(value, ctx);
+          break;
+        case 'from':
+          options.senderJid = toJid(value, ctx);
+          break;
+        case 'type':
+          options.type = value;
+          break;
+        case 'after':
+          options.from = value;
+          break;
+        case 'before':
+          options.to = value;
+          break;
+        case 'is':
+          if (!['deleted', 'edited'].includes(value.toLowerCase())) throw new UsageError('Use is:deleted or is:edited');
+          options[value.toLowerCase()] = true;
+          break;
+        case 'page':
+          options.page = Math.max(parseInt(value, 10) || 1, 1);
+          break;
+        default:
+          options.words.push(arg);
+      }
+    }
+    const filtered = options.chatJid || options.senderJid || options.type || options.from || options.to ||
+      options.deleted || options.edited;
+    if (options.words.length === 0 && !filtered) throw new UsageError('Give some words to search for or a filter');
+    return options;
+  },
+  async execute(ctx, { words, page, ...filters }) {
+    let found;
+    try {
+      found = await search.searchMessages({
+        sessionId: ctx.session.id,
+        query: words.join(' '),
+        ...filters,
+        limit: pageSize,
+        offset: (page - 1) * pageSize
+      });
+    } catch (err) {
+      if (err instanceof search.SearchError) throw new UsageError(err.message);
+      throw err;
+    }
+    if (found.results.length === 0) {
+      await ctx.reply(page > 1 ? `🔍 No more results (page ${page})` : '🔍 No messages found');
+      return;
+    }
+    const pages = Math.ceil(found.total / pageSize);
+    const start = (page - 1) * pageSize;
+    await ctx.reply(
+      `🔍 *${found.total} messages found* (page ${page}/${pages})\n\n` +
+      found.results.map((result, i) => describeResult(result, start + i + 1)).join('\n\n') +
+      (page < pages ? `\n\n➡️ Add *page:${page + 1}* for more` : '')
+    );
+  }
+};
@@ -0,0 +1,55 @@
+const sessions = require('../lib/sessions');
+const { ConfigError } = require('../lib/configSchema');
+const { UsageError } = require('../lib/commands');
+
+function formatValue(value) {
+  if (typeof value === 'boolean') return value ? 'on' : 'off';
+  if (value === '') return '(empty)';
+  return String(value);
+}
+
+function describe(setting) {
+  return `*${setting.key}:* ${formatValue(setting.value)}${setting.overridden ? ' ✏️' : ''}\n_${setting.description}_`;
+}
+
+module.exports = {
+  name: 'set',
+  aliases: ['setting', 'settings'],
+  description: 'Show or change this session\'s runtime settings',
+  usage: '[setting] [value|default]',
+  category: 'owner',
+  permission: 'owner',
+  parseArgs(args, ctx) {
+    if (!args[0]) return { key: null };
+    const key = args[0].toUpperCase();
+    if (!sessions.RUNTIME_SETTINGS.includes(key)) {
+      throw new UsageError(`Unknown setting "${args[0]}", use one of: ${sessions.RUNTIME_SETTINGS.join(', ')}`);
+    }
+    // Text values keep their spaces, so take everything after the key.
+    const value = ctx.rawArgs.slice(args[0].length).trim();
+    if (!value) return { key, value: undefined };
+    return { key, value: value.toLowerCase() === 'default' ? null : value };
+  },
+  async execute(ctx, { key, value }) {
+    const settings = sessions.describeSettings(ctx.session);
+    if (!key) {
+      await ctx.reply(
+        `⚙️ *Settings of ${ctx.session.id}*\n\n${settings.map(describe).join('\n\n')}\n\n` +
+        `✏️ changed from the default\nUse ${ctx.session.config.PREFIX}set <setting> <value>, or "default" to reset one`
+      );
+      return;
+    }
+    if (value === undefined) {
+      await ctx.reply(describe(settings.find(setting => setting.key === key)));
+      return;
+    }
+
+    try {
+      await sessions.updateSettings(ctx.session.id, { [key]: value }, { runtimeOnly: true });
+    } catch (err) {
+      if (err instanceof ConfigError) throw new UsageError(err.message);
+      throw err;
+    }
+    await ctx.reply(`✅ ${key} is now *${formatValue(ctx.session.config[key])}*${value === null ? ' (default)' : ''}`);
+  }
+};
@@ -0,0 +1,111 @@
+const config = require('../config');
+const statusArchive = require('../lib/statusArchive');
+const { UsageError } = require('../lib/commands');
+
+const TYPE_ICONS = { image: '🖼️', video: '🎥', audio: '🎵', text: '📝' };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toContactJid(value) {
+  if (value.includes('@')) return value;
+  const number = value.replace(/[^0-9]/g, '');
+  if (number.length < 8) throw new UsageError(`"${value}" is not a phone number or JID`);
+  return `${number}@s.whatsapp.net`;
+}
+
+function resolveChat(value, ctx) {
+  if (!value || value === 'here') return ctx.from;
+  return toContactJid(value);
+}
+
+function describeStatus(status) {
+  const postedAt = new Date(status.posted_at).toLocaleString('en-US', { timeZone: config.TIMEZONE || 'Asia/Colombo' });
+  const text = status.text || '';
+  return `*#${status.id}* ${TYPE_ICONS[status.status_type]} ${status.push_name || status.sender_jid.split('@')[0]}\n` +
+         `🕒 ${postedAt}` +
+         (text ? `\n💬 ${text.length > 60 ? `${text.slice(0, 60)}...` : text}` : '');
+}
+
+module.exports = {
+  name: 'statuses',
+  aliases: ['stories'],
+  description: 'Browse and re-send archived statuses, and choose whose statuses are archived',
+  usage: 'list [number] [YYYY-MM-DD], send <id> [here|number|jid], allow <number>, deny <number>, unfilter <number>, filters',
+  category: 'owner',
+  permission: 'owner',
+  parseArgs(args, ctx) {
+    const action = (args[0] || 'list').toLowerCase();
+    switch (action) {
+      case 'list': {
+        const options = { action, contactJid: null, date: null };
+        for (const arg of args.slice(1)) {
+          if (DATE_PATTERN.test(arg)) {
+            options.date = arg;
+          } else {
+            options.contactJid = toContactJid(arg);
+          }
+        }
+        return options;
+      }
+      case 'send': {
+        const id = parseInt(args[1], 10);
+        if (!Number.isInteger(id)) throw new UsageError('Give the number of the status to send, see .statuses list');
+        return { action, id, chatJid: resolveChat(args[2], ctx) };
+      }
+      case 'allow':
+      case 'deny':
+      case 'unfilter':
+        if (!args[1]) throw new UsageError(`Give the contact's number after "${action}"`);
+        return { action, contactJid: toContactJid(args[1]) };
+      case 'filters':
+        return { action };
+      default:
+        throw new UsageError(`Unknown action "${args[0]}"`);
+    }
+  },
+  async execute(ctx, options) {
+    const { session } = ctx;
+    switch (options.action) {
+      case 'list': {
+        const statuses = await statusArchive.listStatuses({
+          sessionId: session.id,
+          contactJid: options.contactJid,
+          date: options.date
+        });
+        if (statuses.length === 0) {
+          const archiving = session.config.STATUS_ARCHIVE ? '' : '\n\nArchiving is off, set STATUS_ARCHIVE to true to start.';
+          await ctx.reply(`📭 No archived statuses found${archiving}`);
+          return;
+        }
+        await ctx.reply(`📸 *Archived statuses*\n\n${statuses.map(describeStatus).join('\n\n')}`);
+        return;
+      }
+      case 'send': {
+        const status = await statusArchive.resendStatus(session.id, options.id, options.chatJid);
+        if (!status) await ctx.reply(`❌ Status #${options.id} not found`);
+        return;
+      }
+      case 'allow':
+      case 'deny':
+        await statusArchive.setFilter(session.id, options.contactJid, options.action);
+        await ctx.reply(`✅ Statuses from ${options.contactJid.split('@')[0]} are now ${options.action === 'allow' ? 'allowed' : 'never archived'}`);
+        return;
+      case 'unfilter': {
+        const removed = await statusArchive.setFilter(session.id, options.contactJid, null);
+        await ctx.reply(removed
+          ? `✅ ${options.contactJid.split('@')[0]} removed from the status filters`
+          : `ℹ️ ${options.contactJid.split('@')[0]} was not on a status filter`);
+        return;
+      }
+      case 'filters': {
+        const filters = await statusArchive.listFilters(session.id);
+        const allowed = filters.filter(filter => filter.mode === 'allow').map(filter => filter.contact_jid.split('@')[0]);
+        const denied = filters.filter(filter => filter.mode === 'deny').map(filter => filter.contact_jid.split('@')[0]);
+        await ctx.reply(
+          `📸 *Status archive filters*\n\n` +
+          `✅ *Allowed:* ${allowed.length ? allowed.join(', ') : 'everyone'}\n` +
+          `🚫 *Denied:* ${denied.length ? denied.join(', ') : 'nobody'}`
+        );
+      }
+    }
+  }
+};
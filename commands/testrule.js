@@ -0,0 +1,38 @@
+const { UsageError } = require('../lib/commands');
+
+function formatResponse(response) {
+  const delay = response.delay ? ` (after ${response.delay}ms)` : '';
+  if (response.type === 'text') return `💬 text${delay}: ${response.content}`;
+  return `📎 ${response.type}${delay}: ${response.url}${response.caption ? `\n   caption: ${response.caption}` : ''}`;
+}
+
+module.exports = {
+  name: 'testrule',
+  aliases: ['dryrun'],
+  description: 'Show which reply rules would match a text and what they would send',
+  usage: '<text>',
+  category: 'owner',
+  permission: 'owner',
+  parseArgs(args, ctx) {
+    if (!ctx.rawArgs) throw new UsageError('Give the text to test');
+    return { text: ctx.rawArgs };
+  },
+  async execute(ctx, { text }) {
+    const matches = await ctx.bot.testReplyRules(ctx.session, {
+      conn: ctx.conn,
+      text,
+      senderJid: ctx.sender,
+      chatJid: ctx.from,
+      pushName: ctx.pushName
+    });
+    if (matches.length === 0) {
+      await ctx.reply(`🧪 No rule matches "${text}" in this chat.`);
+      return;
+    }
+    const report = matches.map((match, index) =>
+      `*${index + 1}. ${match.id}* (priority ${match.priority}${match.continue ? ', continue' : ''})\n` +
+      match.responses.map(formatResponse).join('\n')
+    ).join('\n\n');
+    await ctx.reply(`🧪 *Dry run for:* ${text}\n\n${report}\n\n_Nothing was sent._`);
+  }
+};
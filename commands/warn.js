@@ -0,0 +1,87 @@
+const moderation = require('../lib/moderation');
+const { UsageError } = require('../lib/commands');
+
+function requireTarget(ctx, value) {
+  const target = moderation.findTarget(ctx.mek, value);
+  if (!target) throw new UsageError('Mention the member, reply to their message or give their number');
+  return target;
+}
+
+module.exports = {
+  name: 'warn',
+  description: 'Warn a member; they are removed after the group\'s warning limit',
+  usage: '@user [reason], list [@user], reset @user, limit <n>',
+  category: 'group',
+  permission: 'admin',
+  parseArgs(args, ctx) {
+    if (!ctx.isGroup) throw new UsageError('This command only works in groups');
+    const action = (args[0] || '').toLowerCase();
+    if (action === 'list') {
+      return { action, target: moderation.findTarget(ctx.mek, args[1]) };
+    }
+    if (action === 'reset') {
+      return { action, target: requireTarget(ctx, args[1]) };
+    }
+    if (action === 'limit') {
+      const limit = parseInt(args[1], 10);
+      if (!(limit >= 1 && limit <= 20)) throw new UsageError('The limit must be a number from 1 to 20');
+      return { action, limit };
+    }
+    const target = requireTarget(ctx, args[0]);
+    // Everything after the mention (or number) is the reason.
+    const reason = args.slice(args[0]?.startsWith('@') || /^\+?\d{8,}$/.test(args[0] || '') ? 1 : 0).join(' ');
+    return { action: 'warn', target, reason: reason || 'Warned by an admin' };
+  },
+  async execute(ctx, options) {
+    const { session, from } = ctx;
+    switch (options.action) {
+      case 'list': {
+        if (options.target) {
+          const warnings = await moderation.listWarnings(session.id, from, options.target);
+          const text = warnings.length
+            ? `⚠️ *Warnings for @${options.target.split('@')[0]}*\n\n` +
+              warnings.map((w, i) => `${i + 1}. ${w.reason} (${new Date(w.created_at).toLocaleDateString()})`).join('\n')
+            : `✅ @${options.target.split('@')[0]} has no warnings.`;
+          await ctx.reply({ text, mentions: [options.target] });
+          break;
+        }
+        const members = await moderation.listWarnings(session.id, from);
+        await ctx.reply(members.length
+          ? {
+            text: `⚠️ *Warned members*\n\n${members.map(m => `• @${m.member_jid.split('@')[0]}: ${m.count}`).join('\n')}`,
+            mentions: members.map(m => m.member_jid)
+          }
+          : '✅ Nobody in this group has warnings.');
+        break;
+      }
+      case 'reset': {
+        const removed = await moderation.clearWarnings(session.id, from, options.target);
+        await ctx.reply({
+          text: `🧹 Cleared ${removed} warning(s) for @${options.target.split('@')[0]}`,
+          mentions: [options.target]
+        });
+        break;
+      }
+      case 'limit': {
+        await moderation.updateSettings(session.id, from, { max_warnings: options.limit });
+        await ctx.reply(`⚠️ Members are now removed after *${options.limit}* warnings`);
+        break;
+      }
+      default: {
+        const roles = await moderation.getRoles(ctx.conn, session.id, from);
+        if (roles.isAdmin(options.target) || session.ownerNumber.includes(options.target.split('@')[0])) {
+          await ctx.reply('🚫 Admins and bot owners cannot be warned.');
+          return;
+        }
+        await moderation.warnMember({
+          conn: ctx.conn,
+          session,
+          groupJid: from,
+          memberJid: options.target,
+          reason: options.reason,
+          warnedBy: ctx.sender
+        });
+      }
+    }
+  }
+};
@@ -1,20 +1,18 @@
-module.exports = {
-  DATABASE_URL: 'your-database-url',
-  SESSION_ID: 'your-session-id',
-  PORT: 9090,
-  OWNER_NUMBER: '94775587705', 
-  IMGBB_API_KEY: '3839e303da7b555ec5d574e53eb836d2',
-  RENDER_JSON_URL: 'your-render-json-url',
-  AUTO_STATUS_SEEN: true,
-  READ_MESSAGE: true, 
-  RESTRICTED_NUMBER: '94775587705@s.whatsapp.net', 
-  STATUS_TRIGGERS: 'send,dhn,danna,ewm,ewn,denna,meka,semd,one,onee,onii,ewanna,ewnnda,ewapSend,Seve,Ewpm,ewpn,Dapan,dapan,oni,Oni,save,Save,ewanna,Ewanna,ewam,Ewam,sv,Sv,දාන්න,එවම්න', // මෙතන තියෙන්නෙ status send download massage ඔවා වෙනස් කර ගනිම් 😒
-  GROUP_LINK: 'https://chat.whatsapp.com/JnenfkxOzH6JefRmeaSo0M',
+// Settings come from environment variables, with a .env file next to this one
+// filling in whatever the environment leaves unset. Every key, its type and
+// default is listed in lib/configSchema.js; see .env.example for a template.
+const path = require('path');
+const { loadConfig } = require('./lib/configSchema');
 
-  MAX_RETRIES: 3,
-  AUTO_READ: 'false', // 'true' or 'false'
-  AUTO_TYPING: 'false', // 'true' or 'false'
-  AUTO_RECORDING: 'true', // 'true' or 'false'
-  AUTO_BIO: 'false', // 'true' or 'false'
-  ALWAYS_ONLINE: 'true' // 'true' or 'false'
-};
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const { values, errors } = loadConfig(process.env);
+
+if (errors.length > 0) {
+  // Runs before the logger exists (it is configured from these values).
+  console.error(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  console.error('Set these in the environment or in .env, see .env.example.');
+  process.exit(1);
+}
+
+module.exports = values;
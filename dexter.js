@@ -1,188 +1,260 @@
 const {
   default: makeWASocket,
-  useMultiFileAuthState,
-  DisconnectReason,
+  makeCacheableSignalKeyStore,
   getContentType,
   Browsers,
   fetchLatestBaileysVersion,
-  downloadMediaMessage
+  downloadMediaMessage,
+  jidNormalizedUser
 } = require('@whiskeysockets/baileys');
-const { Pool } = require('pg');
 const fs = require('fs').promises;
-const P = require('pino');
 const path = require('path');
 const os = require('os');
 const express = require('express');
+const multer = require('multer');
 const { File } = require('megajs');
 const axios = require('axios');
 const FormData = require('form-data');
+const QRCode = require('qrcode');
 const config = require('./config');
+const auth = require('./lib/auth');
+const commands = require('./lib/commands');
+const { withRetry, runtime, fetchMedia } = require('./lib/utils');
+const { pool } = require('./lib/db');
+const migrator = require('./lib/migrator');
+const store = require('./lib/store');
+const rules = require('./lib/rules');
+const { validateRules } = require('./lib/ruleSchema');
+const { ConfigError } = require('./lib/configSchema');
+const scheduler = require('./lib/scheduler');
+const mediaStore = require('./lib/mediaStore');
+const antiDelete = require('./lib/antiDelete');
+const outbox = require('./lib/outbox');
+const messageBuilder = require('./lib/messageBuilder');
+const webhooks = require('./lib/webhooks');
+const sessions = require('./lib/sessions');
+const authState = require('./lib/authState');
+const supervisor = require('./lib/supervisor');
+const moderation = require('./lib/moderation');
+const greetings = require('./lib/greetings');
+const statusArchive = require('./lib/statusArchive');
+const statusPosts = require('./lib/statusPosts');
+const calls = require('./lib/calls');
+const search = require('./lib/search');
+const chatExport = require('./lib/chatExport');
+const analytics = require('./lib/analytics');
+const metrics = require('./lib/metrics');
+const logger = require('./lib/logger');
 const { performance } = require('perf_hooks');
+const { AsyncResource } = require('async_hooks');
 
-async function withRetry(operation, maxRetries = config.MAX_RETRIES || 3, delay = 1000) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await operation();
-    } catch (err) {
-      if (err.message.includes('socket hang up') && attempt < maxRetries) {
-        console.warn(`Attempt ${attempt} failed with socket hang up. Retrying after ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        continue;
-      }
-      throw err;
-    }
-  }
-}
-
-const runtime = (seconds) => {
-  seconds = Number(seconds);
-  const days = Math.floor(seconds / (3600 * 24));
-  const hours = Math.floor((seconds % (3600 * 24)) / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-  return `${days}d ${hours}h ${minutes}m ${secs}s`;
-};
-
-const mediaCache = new Map();
-
-
-const pool = new Pool({
-  connectionString: config.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
+const log = logger.forSubsystem('app');
+const connLog = logger.forSubsystem('connection');
+const dbLog = logger.forSubsystem('db');
+const rulesLog = logger.forSubsystem('rules');
+const mediaLog = logger.forSubsystem('media');
+const httpLog = logger.forSubsystem('http');
 
 async function initializeDatabase() {
   try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS messages (
-        id SERIAL PRIMARY KEY,
-        message_id TEXT NOT NULL,
-        sender_jid TEXT NOT NULL,
-        remote_jid TEXT NOT NULL,
-        message_text TEXT,
-        message_type TEXT,
-        timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-        is_deleted BOOLEAN DEFAULT FALSE,
-        deleted_at TIMESTAMP WITH TIME ZONE,
-        deleted_by TEXT,
-        sri_lanka_time TIMESTAMP WITH TIME ZONE DEFAULT (NOW() AT TIME ZONE 'Asia/Colombo'),
-        auto_reply_sent BOOLEAN DEFAULT FALSE
-      )
-    `);
-
-    const imageColumnCheck = await pool.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'messages' AND column_name = 'image_url'
-    `);
-    if (imageColumnCheck.rows.length === 0) {
-      await pool.query(`ALTER TABLE messages ADD COLUMN image_url TEXT`);
-      console.log('Added image_url column to messages table');
+    const applied = await migrator.migrate();
+    if (applied.length > 0) {
+      dbLog.info(`Applied ${applied.length} database migration(s)`);
     }
-
-    const autoReplyColumnCheck = await pool.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'messages' AND column_name = 'auto_reply_sent'
-    `);
-    if (autoReplyColumnCheck.rows.length === 0) {
-      await pool.query(`ALTER TABLE messages ADD COLUMN auto_reply_sent BOOLEAN DEFAULT FALSE`);
-      console.log('Added auto_reply_sent column to messages table');
-    }
-
-    console.log('Database initialized successfully');
+    await outbox.recover();
+    await statusPosts.recover();
+    dbLog.info('Database initialized successfully');
   } catch (err) {
-    console.error('Database initialization error:', err.message);
+    dbLog.error({ err }, 'Database initialization error');
   }
 }
 
-initializeDatabase();
+const databaseReady = initializeDatabase();
+
+function downloadMegaCreds(sessionId) {
+  const sessdata = sessionId.replace('TADASHI-ID=', '');
+  const file = File.fromURL(`https://mega.nz/file/${sessdata}`);
+  return withRetry(() => new Promise((resolve, reject) => {
+    file.download((err, data) => {
+      if (err) return reject(err);
+      resolve(data.toString('utf-8'));
+    });
+  }));
+}
 
-async function downloadSessionFile() {
-  const sessionPath = path.join(__dirname, 'sessions/creds.json');
+// Auth state lives in the database. Creds from an older sessions/ folder or the
+// MEGA SESSION_ID are imported once per session, never again after a logout;
+// without either the session waits for a QR scan or pairing code from the dashboard.
+async function importLegacyAuthState(session) {
   try {
-    if (await fs.access(sessionPath).then(() => true).catch(() => false)) {
-      console.log('Session file already exists');
+    if (await authState.isImported(session.id)) return;
+    if (await authState.hasCreds(session.id)) {
+      await authState.markImported(session.id);
       return;
     }
-    if (!config.SESSION_ID) {
-      console.error('Please add your session to SESSION_ID env variable!');
-      process.exit(1);
+    const imported = await authState.importDirectory(session.id, session.authDir);
+    if (imported > 0) {
+      await authState.markImported(session.id);
+      connLog.info(`Imported ${imported} auth file(s) for session ${session.id} from ${session.authDir}`);
+      return;
     }
-    const sessdata = config.SESSION_ID.replace('TADASHI-ID=', '');
-    const file = File.fromURL(`https://mega.nz/file/${sessdata}`);
-    await withRetry(() => new Promise((resolve, reject) => {
-      file.download((err, data) => {
-        if (err) return reject(err);
-        fs.writeFile(sessionPath, data)
-          .then(() => {
-            console.log('Session downloaded ✅');
-            resolve();
-          })
-          .catch(reject);
-      });
-    }));
+    if (session.id !== sessions.DEFAULT_SESSION || !config.SESSION_ID) return;
+    await authState.importCreds(session.id, await downloadMegaCreds(config.SESSION_ID));
+    await authState.markImported(session.id);
+    connLog.info('Session downloaded ✅');
   } catch (err) {
-    console.error('Session download error:', err.message);
-    process.exit(1);
+    connLog.error({ err }, `Session ${session.id} auth import error`);
   }
 }
 
-downloadSessionFile();
-
 const app = express();
 const port = config.PORT || 9090;
-const ownerNumber = config.OWNER_NUMBER ? config.OWNER_NUMBER.split(',') : ['94789958225'];
-const restrictedNumber = config.RESTRICTED_NUMBER || '94789958225@s.whatsapp.net';
-const statusTriggers = config.STATUS_TRIGGERS ? config.STATUS_TRIGGERS.split(',') : [
-  'send', 'Send', 'Seve', 'Ewpm', 'ewpn', 'Dapan', 'dapan',
-  'oni', 'Oni', 'save', 'Save', 'ewanna', 'Ewanna', 'ewam',
-  'Ewam', 'sv', 'Sv', 'දාන්න', 'එවම්න'
-];
-const groupLink = config.GROUP_LINK;
 const tempDir = path.join(os.tmpdir(), 'cache-temp');
 const startTime = performance.now();
-const IMGBB_API_KEY = config.IMGBB_API_KEY || '3839e303da7b555ec5d574e53eb836d2';
+const maxUploadSize = (Number(config.API_MAX_UPLOAD_MB) || 16) * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxUploadSize } });
+
+// Every request gets a correlation id (the caller's X-Request-Id when it sends
+// a sane one), echoed back and attached to everything logged while handling it.
+app.use((req, res, next) => {
+  const requested = req.get('x-request-id');
+  const requestId = requested && /^[\w.:-]{1,64}$/.test(requested) ? requested : logger.newCorrelationId();
+  res.set('X-Request-Id', requestId);
+  logger.withCorrelation(requestId, () => {
+    const started = performance.now();
+    res.on('finish', AsyncResource.bind(() => {
+      // Probes hit these every few seconds.
+      const quiet = ['/healthz', '/readyz', '/metrics'].includes(req.path);
+      httpLog[quiet ? 'debug' : 'info']({
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        ms: Math.round(performance.now() - started)
+      }, 'HTTP request');
+    }));
+    next();
+  });
+});
 
 app.use(express.static(path.join(__dirname, 'public')));
+// Large enough for base64 media sent to /api/messages.
+app.use(express.json({ limit: Math.ceil(maxUploadSize * 1.4) }));
+// Render sits behind a proxy; needed so login lockouts see the real client IP.
+app.set('trust proxy', 1);
+
+// Routes act on the main session unless ?session=, an X-Session-Id header or a
+// "session" body field picks another one. Only authenticated callers learn that
+// a session does not exist; anyone else gets the route's 401, so session ids
+// cannot be probed without logging in.
+app.use((req, res, next) => {
+  const requested = req.get('x-session-id') || req.query.session || req.body?.session;
+  const sessionId = String(requested || sessions.DEFAULT_SESSION);
+  req.waSession = sessions.getSession(sessionId);
+  req.waSessionRequested = Boolean(requested);
+  if (!req.waSession && auth.authenticate(req)) {
+    return res.status(404).json({ error: `Unknown session "${sessionId}"` });
+  }
+  next();
+});
+
+function formatRuleErrors(errors) {
+  const shown = errors.slice(0, 10).map(error => `• ${error}`);
+  if (errors.length > shown.length) shown.push(`• ...and ${errors.length - shown.length} more`);
+  return shown.join('\n');
+}
 
-let replyRules = {};
+// Only a rule set that passes validation replaces the session's active one, and
+// every accepted set is copied to its last-good file so a broken file can be rolled back.
+async function applyReplyRules(session, data) {
+  const errors = validateRules(data);
+  if (errors.length > 0) return errors;
+  session.replyRules = data;
+  await fs.writeFile(session.lastGoodReplyPath, JSON.stringify(data, null, 2))
+    .catch(err => rulesLog.error({ err }, `Error saving last good ${path.basename(session.replyPath)}`));
+  return [];
+}
 
-async function loadJsonFile() {
+function parseRuleJson(text, fileName = 'reply.json') {
   try {
-    const replyData = await fs.readFile(path.join(__dirname, 'reply.json'), 'utf-8');
-    replyRules = JSON.parse(replyData);
-    console.log('reply.json loaded successfully');
+    return { data: JSON.parse(text) };
   } catch (err) {
-    console.error('Error loading reply.json:', err.message);
+    return { errors: [`${fileName} is not valid JSON: ${err.message}`] };
   }
 }
 
-loadJsonFile();
+async function loadJsonFile(session) {
+  const fileName = path.basename(session.replyPath);
+  try {
+    const text = await fs.readFile(session.replyPath, 'utf-8').catch(err => {
+      if (err.code === 'ENOENT' && session.id !== sessions.DEFAULT_SESSION) return null;
+      throw err;
+    });
+    if (text === null) {
+      rulesLog.info(`No ${fileName} for session ${session.id}, auto-replies are off`);
+      return;
+    }
+    const { data, errors: parseErrors } = parseRuleJson(text, fileName);
+    const errors = parseErrors || await applyReplyRules(session, data);
+    if (errors.length === 0) {
+      rulesLog.info(`${fileName} loaded successfully (${session.replyRules.rules.length} rules)`);
+      return;
+    }
+    rulesLog.error(`${fileName} is invalid:\n${formatRuleErrors(errors)}`);
 
-async function reloadJsonFile() {
+    const lastGood = parseRuleJson(await fs.readFile(session.lastGoodReplyPath, 'utf-8').catch(() => '{}'), fileName);
+    if (lastGood.data && validateRules(lastGood.data).length === 0) {
+      session.replyRules = lastGood.data;
+      await fs.writeFile(session.replyPath, JSON.stringify(lastGood.data, null, 2));
+      rulesLog.warn(`Rolled back ${fileName} to the last good rule set (${session.replyRules.rules.length} rules)`);
+    } else {
+      rulesLog.warn(`No last good ${fileName} available, auto-replies are disabled`);
+    }
+  } catch (err) {
+    rulesLog.error({ err }, `Error loading ${fileName}`);
+  }
+}
+
+async function reloadJsonFile(session) {
+  const fileName = path.basename(session.replyPath);
   try {
-    const renderUrl = config.RENDER_JSON_URL;
+    const renderUrl = session.config.RENDER_JSON_URL;
     if (!renderUrl) throw new Error('RENDER_JSON_URL not set in config');
     
-    const response = await withRetry(() => axios.get(renderUrl));
-    const replyData = response.data;
+    const response = await withRetry(() => axios.get(renderUrl, { responseType: 'text' }));
+    const { data, errors: parseErrors } = parseRuleJson(response.data, fileName);
+    const errors = parseErrors || await applyReplyRules(session, data);
+    if (errors.length > 0) {
+      rulesLog.error(`Rejected ${fileName} from ${renderUrl}:\n${formatRuleErrors(errors)}`);
+      return `❌ ${fileName} rejected, previous rules kept:\n${formatRuleErrors(errors)}`;
+    }
     
-    await fs.writeFile(path.join(__dirname, 'reply.json'), JSON.stringify(replyData, null, 2));
-    await loadJsonFile();
-    console.log('reply.json reloaded successfully');
-    return '✅ reply.json reloaded successfully';
+    await fs.writeFile(session.replyPath, JSON.stringify(data, null, 2));
+    rulesLog.info(`${fileName} reloaded successfully`);
+    return `✅ ${fileName} reloaded successfully (${session.replyRules.rules.length} rules)`;
   } catch (err) {
-    console.error('Error reloading reply.json:', err.message);
-    return '❌ Failed to reload reply.json';
+    rulesLog.error({ err }, `Error reloading ${fileName}`);
+    return `❌ Failed to reload ${fileName}`;
   }
 }
 
+async function testReplyRules(session, { text, senderJid, chatJid = senderJid, pushName = 'Unknown', messageType = 'conversation', conn = null }) {
+  return rules.dryRun(session.replyRules.rules, {
+    sessionId: session.id,
+    conn,
+    text,
+    senderJid,
+    chatJid,
+    isGroup: chatJid.endsWith('@g.us'),
+    pushName,
+    messageType
+  });
+}
+
 async function ensureTempDir() {
   try {
     await fs.mkdir(tempDir, { recursive: true });
   } catch (err) {
-    console.error('Temp directory creation error:', err.message);
+    mediaLog.error({ err }, 'Temp directory creation error');
   }
 }
 
@@ -193,122 +265,90 @@ setInterval(async () => {
     const files = await fs.readdir(tempDir);
     for (const file of files) {
       await fs.unlink(path.join(tempDir, file)).catch(err => 
-        console.error('File deletion error:', err.message)
+        mediaLog.error({ err }, 'File deletion error')
       );
     }
   } catch (err) {
-    console.error('Temp directory cleanup error:', err.message);
+    mediaLog.error({ err }, 'Temp directory cleanup error');
   }
 }, 5 * 60 * 1000);
 
 async function uploadToImgbb(buffer) {
+  if (!config.IMGBB_API_KEY) return null;
   try {
     if (!Buffer.isBuffer(buffer)) {
-      console.error('Invalid buffer for imgbb upload');
+      mediaLog.error('Invalid buffer for imgbb upload');
       return null;
     }
     const formData = new FormData();
     formData.append('image', buffer.toString('base64'));
     
     const response = await axios.post('https://api.imgbb.com/1/upload', formData, {
-      params: { key: IMGBB_API_KEY },
+      params: { key: config.IMGBB_API_KEY },
       headers: formData.getHeaders()
     });
     
-    console.log('imgbb upload successful:', response.data.data.url);
+    mediaLog.info(`imgbb upload successful: ${response.data.data.url}`);
     return response.data.data.url;
   } catch (err) {
     if (err.response && err.response.status === 400 && err.response.data.error.code === 100) {
-      console.warn('imgbb rate limit reached, skipping upload');
+      mediaLog.warn('imgbb rate limit reached, skipping upload');
       return null;
     }
-    console.error('imgbb upload error:', err.response ? JSON.stringify(err.response.data) : err.message);
-    return null;
-  }
-}
-
-async function fetchMedia(source) {
-  try {
-    let buffer;
-    if (source.startsWith('http://') || source.startsWith('https://')) {
-      const response = await withRetry(() => axios.get(source, { responseType: 'arraybuffer' }));
-      buffer = Buffer.from(response.data);
-    } else {
-      buffer = await fs.readFile(source);
-    }
-    console.log(`Successfully fetched media from ${source}`);
-    return buffer;
-  } catch (err) {
-    console.error('Media fetch error:', err.message);
+    mediaLog.error({ err, response: err.response?.data }, 'imgbb upload error');
     return null;
   }
 }
 
-const getRandom = (ext = '') => {
-  return `${Math.floor(Math.random() * 10000)}${ext}`;
-};
-
-const getExtension = (buffer) => {
-  if (!Buffer.isBuffer(buffer)) {
-    console.error('Invalid or undefined buffer in getExtension');
-    return 'jpg';
-  }
-  const magicNumbers = {
-    jpg: 'ffd8ffe0',
-    png: '89504e47',
-    mp4: '00000018',
-  };
-  const magic = buffer.toString('hex', 0, 4);
-  return Object.keys(magicNumbers).find(key => magicNumbers[key] === magic) || 'jpg';
-};
-
-async function getStatus() {
+async function getStatus(sessionId) {
   try {
     const runtime = performance.now() - startTime;
     const seconds = Math.floor(runtime / 1000);
     const minutes = Math.floor(seconds / 60);
     const hours = Math.floor(minutes / 60);
 
-    const totalMessages = await pool.query('SELECT COUNT(*) FROM messages');
-    const imageMessages = await pool.query(`SELECT COUNT(*) FROM messages WHERE message_type = 'imageMessage'`);
-    const videoMessages = await pool.query(`SELECT COUNT(*) FROM messages WHERE message_type = 'videoMessage'`);
-    const voiceMessages = await pool.query(`SELECT COUNT(*) FROM messages WHERE message_type = 'audioMessage'`);
-    const callMessages = await pool.query(`SELECT COUNT(*) FROM messages WHERE message_type = 'call'`);
-    const deletedMessages = await pool.query(`
-      SELECT deleted_by, COUNT(*) as count 
-      FROM messages WHERE is_deleted = TRUE 
-      GROUP BY deleted_by
-    `);
-    const autoReplies = await pool.query(`SELECT COUNT(*) FROM messages WHERE auto_reply_sent = TRUE`);
+    const [totals, callCounts] = await Promise.all([
+      analytics.getTotals(sessionId),
+      calls.countCalls(sessionId)
+    ]);
 
     return {
+      session: sessionId,
       runtime: `${hours}h ${minutes % 60}m ${seconds % 60}s`,
-      totalMessages: parseInt(totalMessages.rows[0].count),
-      imageMessages: parseInt(imageMessages.rows[0].count),
-      videoMessages: parseInt(videoMessages.rows[0].count),
-      voiceMessages: parseInt(voiceMessages.rows[0].count),
-      callMessages: parseInt(callMessages.rows[0].count),
-      deletedMessages: deletedMessages.rows.map(row => ({
-        deletedBy: row.deleted_by,
-        count: parseInt(row.count)
-      })),
-      autoRepliesSent: parseInt(autoReplies.rows[0].count)
+      totalMessages: totals.total,
+      imageMessages: totals.image,
+      videoMessages: totals.video,
+      voiceMessages: totals.audio,
+      callMessages: callCounts.total,
+      videoCalls: callCounts.video,
+      rejectedCalls: callCounts.rejected,
+      blockedCallers: callCounts.blocked_callers,
+      deletedMessages: totals.deleted,
+      autoRepliesSent: totals.auto_replies
     };
   } catch (err) {
-    console.error('Status query error:', err.message);
+    dbLog.error({ err }, 'Status query error');
     return null;
   }
 }
 
-async function handleDelete(clear = false) {
+async function handleDelete(clear = false, sessionId = sessions.DEFAULT_SESSION) {
   try {
     if (clear) {
       const client = await pool.connect();
       try {
         await client.query('BEGIN');
-        await client.query('DELETE FROM messages');
+        // Reactions are not tagged with a session; drop the ones on this session's messages.
+        await client.query(
+          `DELETE FROM reactions r USING messages m
+           WHERE m.session_id = $1 AND r.chat_jid = m.remote_jid AND r.message_id = m.message_id`,
+          [sessionId]
+        );
+        await client.query('DELETE FROM message_edits WHERE session_id = $1', [sessionId]);
+        await client.query('DELETE FROM analytics_rollups WHERE session_id = $1', [sessionId]);
+        await client.query('DELETE FROM messages WHERE session_id = $1', [sessionId]);
         await client.query('COMMIT');
-        console.log('Database cleared successfully');
+        dbLog.info(`Database cleared successfully for session ${sessionId}`);
         return { message: 'Database cleared successfully' };
       } catch (err) {
         await client.query('ROLLBACK');
@@ -318,45 +358,96 @@ async function handleDelete(clear = false) {
       }
     } else {
       const { rows } = await pool.query(`
-        SELECT message_id, sender_jid, remote_jid, message_text, image_url, deleted_by, deleted_at, sri_lanka_time
+        SELECT message_id, sender_jid, remote_jid, message_text, image_url, deleted_by, deleted_at
         FROM messages 
-        WHERE is_deleted = TRUE AND image_url IS NOT NULL
-      `);
-      console.log(`Retrieved ${rows.length} deleted messages with images`);
+        WHERE session_id = $1 AND is_deleted = TRUE AND image_url IS NOT NULL
+      `, [sessionId]);
+      dbLog.info(`Retrieved ${rows.length} deleted messages with images`);
       return { deletedMessages: rows };
     }
   } catch (err) {
-    console.error('Delete operation error:', err.message);
+    dbLog.error({ err }, 'Delete operation error');
     return { error: 'Failed to process delete operation' };
   }
 }
 
-let whatsappConn;
-async function connectToWA() {
-  console.log('Connecting to WhatsApp...');
+const commandHelpers = {
+  startTime,
+  reloadJsonFile,
+  testReplyRules,
+  handleDelete
+};
+
+// Awaited before any socket starts, so no message finds the registry empty.
+const commandsReady = commands.loadCommands(path.join(__dirname, 'commands'))
+  .catch(err => log.error({ err }, 'Command loading error'));
+scheduler.start(() => sessions.connectedSessions());
+statusPosts.start(() => sessions.connectedSessions());
+webhooks.start();
+sessions.setConnector(connectToWA);
+supervisor.start({ connect: connectToWA, getSessions: sessions.listSessions });
+metrics.start({
+  getSessions: sessions.listSessions,
+  getQueueDepth: outbox.countQueued,
+  getMediaUsage: mediaStore.getUsage
+});
+
+// The default list lives in lib/configSchema.js; an empty setting turns status saving off.
+function statusTriggersFor(settings) {
+  return settings.STATUS_TRIGGERS ? settings.STATUS_TRIGGERS.split(',') : [];
+}
+
+async function connectToWA(session) {
+  const settings = session.config;
+  const prefix = settings.PREFIX || '.';
+  const restrictedNumber = settings.RESTRICTED_NUMBER;
+  const groupLink = settings.GROUP_LINK;
+  connLog.info(`Connecting session ${session.id} to WhatsApp...`);
+  supervisor.connecting(session);
   try {
-    const { state, saveCreds } = await useMultiFileAuthState(path.join(__dirname, 'sessions'));
+    await commandsReady;
+    await importLegacyAuthState(session);
+    const { state, saveCreds } = await authState.usePostgresAuthState(session.id);
     const { version } = await fetchLatestBaileysVersion();
+    const baileysLogger = logger.forSubsystem('baileys').child({ session: session.id });
 
     const conn = makeWASocket({
-      logger: P({ level: 'silent' }),
-      printQRInTerminal: true,
+      logger: baileysLogger,
       browser: Browsers.macOS('Safari'),
-      auth: state,
+      auth: {
+        creds: state.creds,
+        keys: makeCacheableSignalKeyStore(state.keys, baileysLogger)
+      },
       version
     });
+    session.socket = conn;
 
     conn.ev.on('connection.update', async (update) => {
-      const { connection, lastDisconnect } = update;
+      const { connection, lastDisconnect, qr } = update;
+      if (qr) {
+        session.qr = qr;
+        supervisor.waitingForLogin(session);
+        connLog.info(`Session ${session.id} is waiting for login, scan the QR code on the dashboard or in the terminal`);
+        // The QR art goes straight to the terminal; as a JSON log line it could not be scanned.
+        QRCode.toString(qr, { type: 'terminal', small: true })
+          .then(code => process.stdout.write(`${code}\n`))
+          .catch(err => connLog.error({ err }, 'QR render error'));
+      }
       if (connection === 'open') {
-        console.log('Connected successfully');
-        whatsappConn = conn;
-        await sendConnectedMessage(conn);
+        connLog.info(`Session ${session.id} connected successfully`);
+        session.conn = conn;
+        session.qr = null;
+        session.pairingCode = null;
+        session.connectedAt = new Date();
+        supervisor.connected(session);
+        outbox.setConnection(session.id, conn);
+        webhooks.emit('connection.open', { user: jidNormalizedUser(conn.user.id) }, session.id);
+        await sendConnectedMessage(session);
         if (groupLink) {
           try {
             const inviteCode = groupLink.split('/').pop();
             const groupData = await withRetry(() => conn.groupAcceptInvite(inviteCode));
-            console.log(`Successfully joined group: ${groupData.gid}`);
+            connLog.info(`Successfully joined group: ${groupData.gid}`);
          
             const groupMetadata = await withRetry(() => conn.groupMetadata(groupData.gid));
             const admins = groupMetadata.participants
@@ -369,40 +460,49 @@ async function connectToWA() {
                                   `✅ Bot is now active and ready to serve!`;
             
             for (const admin of admins) {
-              await withRetry(() => conn.sendMessage(admin, { text: connectedMessage }));
-              console.log(`Sent connected message to admin: ${admin}`);
+              await outbox.send(admin, { text: connectedMessage }, {}, { sessionId: session.id, source: 'system' });
+              connLog.info(`Sent connected message to admin: ${admin}`);
             }
           } catch (err) {
-            console.error('Group join error:', err.message);
+            connLog.error({ err }, 'Group join error');
           }
         }
 
-        if (config.ALWAYS_ONLINE === 'true') {
-          await conn.sendPresenceUpdate('available');
-        } else if (config.ALWAYS_ONLINE === 'false') {
-          await conn.sendPresenceUpdate('unavailable');
-        }
+        await conn.sendPresenceUpdate(settings.ALWAYS_ONLINE ? 'available' : 'unavailable');
 
-        if (config.AUTO_BIO === 'true') {
+        if (settings.AUTO_BIO) {
           await conn.updateProfileStatus(
             `𝙷𝙴𝚈, 𝙵𝚄𝚃𝚄𝚁𝙴 𝙻𝙴𝙰𝙳𝙴𝚁𝚂! 🌟 ᴛᴀᴅᴀꜱʜɪ-𝙼𝙳 𝙸𝚂 𝙷𝙴𝚁𝙴 𝚃𝙾 𝙸𝙽𝚂𝙿𝙸𝚁𝙴 𝙰𝙽𝙳 𝙻𝙴𝙰𝙳, 𝚃𝙷𝙰𝙽𝙺𝚂 𝚃𝙾 ᴛᴀᴅᴀꜱʜɪ, 𝙸𝙽𝙲. 🚀 ${runtime(process.uptime())}`
-          ).catch(err => console.error('Bio update error:', err.message));
+          ).catch(err => connLog.error({ err }, 'Bio update error'));
         }
       } else if (connection === 'close') {
-        if (lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut) {
-          console.log('Reconnecting...');
-          setTimeout(connectToWA, 5000);
-        } else {
-          console.log('Logged out. Please scan QR code again.');
+        // Sends stay queued until the next connection opens.
+        if (session.conn === conn) {
+          session.conn = null;
+          outbox.setConnection(session.id, null);
         }
+        // A socket replaced by a stop/start must not reconnect on its own.
+        if (session.socket && session.socket !== conn) {
+          conn.ev.removeAllListeners();
+          return;
+        }
+        const willReconnect = await supervisor.disconnected(session, conn, lastDisconnect);
+        webhooks.emit('connection.close', {
+          statusCode: lastDisconnect?.error?.output?.statusCode || null,
+          reason: lastDisconnect?.error?.message || null,
+          willReconnect
+        }, session.id);
       }
     });
 
-    conn.ev.on('creds.update', saveCreds);
+    conn.ev.on('creds.update', () => {
+      saveCreds().catch(err => connLog.error({ err }, `Session ${session.id} creds save error`));
+    });
 
     conn.ev.on('group-participants.update', async (update) => {
       try {
         const { id, participants, action } = update;
+        moderation.forgetGroup(session.id, id);
         const groupMetadata = await withRetry(() => conn.groupMetadata(id));
         const groupName = groupMetadata.subject;
         let message = '';
@@ -424,31 +524,40 @@ async function connectToWA() {
             message += `\n🏷️ Group: ${groupName}`;
             break;
         }
-        if (message) {
-          for (const owner of ownerNumber) {
-            await withRetry(() => conn.sendMessage(`${owner}@s.whatsapp.net`, { text: message }));
-            console.log(`Sent group update to ${owner}: ${message}`);
+        webhooks.emit('group.participants', { groupJid: id, groupName, action, participants }, session.id);
+        await greetings.handleParticipantsUpdate({ conn, session, update, groupMetadata });
+        if (message && settings.GROUP_UPDATE_DIGEST) {
+          for (const owner of session.ownerNumber) {
+            await outbox.send(`${owner}@s.whatsapp.net`, { text: message }, {}, { sessionId: session.id, source: 'group-update' });
+            connLog.info(`Sent group update to ${owner}: ${message}`);
           }
         }
       } catch (err) {
-        console.error('Group event error:', err.message);
+        connLog.error({ err }, 'Group event error');
       }
     });
 
-    conn.ev.on('messages.upsert', async ({ messages }) => {
+    // Each incoming message gets a correlation id that its rule matches, DB
+    // writes and queued replies all log under.
+    conn.ev.on('messages.upsert', ({ messages }) => logger.withCorrelation(logger.newCorrelationId(), async () => {
       const mek = messages[0];
       if (!mek.message) return;
+      log.debug({ session: session.id, messageId: mek.key.id, chat: mek.key.remoteJid }, 'Incoming message');
 
       try {
         const from = mek.key.remoteJid;
-        if (config.AUTO_TYPING === 'true') {
+        if (settings.AUTO_TYPING) {
           await conn.sendPresenceUpdate('composing', from);
         }
-        if (config.AUTO_RECORDING === 'true') {
+        if (settings.AUTO_RECORDING) {
           await conn.sendPresenceUpdate('recording', from);
         }
 
-        if (mek.key.remoteJid === 'status@broadcast' && config.AUTO_STATUS_SEEN === true) {
+        if (mek.key.remoteJid === 'status@broadcast' && settings.STATUS_ARCHIVE) {
+          await statusArchive.archiveStatus(session, conn, mek);
+        }
+
+        if (mek.key.remoteJid === 'status@broadcast' && settings.AUTO_STATUS_SEEN) {
           await withRetry(() => conn.readMessages([mek.key]));
           return;
         }
@@ -456,6 +565,7 @@ async function connectToWA() {
         let messageContent = mek.message;
         let messageType = getContentType(messageContent);
         let imageUrl = null;
+        let mediaId = null;
 
         if (messageType === 'ephemeralMessage') {
           messageContent = messageContent.ephemeralMessage.message;
@@ -466,99 +576,139 @@ async function connectToWA() {
           messageType = getContentType(messageContent);
         }
 
+        if (!mek.key.fromMe) {
+          metrics.messages.inc({ session: session.id, direction: 'in', type: metrics.messageKind(messageType) });
+        }
+
+        if (messageType === 'protocolMessage') {
+          // Revokes and edits are handled from messages.update.
+          return;
+        }
+
+        if (messageType === 'reactionMessage') {
+          const reaction = messageContent.reactionMessage;
+          await store.saveReaction({
+            messageId: reaction.key.id,
+            chatJid: mek.key.remoteJid,
+            senderJid: mek.key.participant || mek.key.remoteJid,
+            emoji: reaction.text
+          }).catch(err => dbLog.error({ err }, 'Reaction save error'));
+          return;
+        }
+
+        // Baileys redelivers messages after reconnects and history syncs; they were
+        // handled the first time, so skip them before downloading any media again.
+        if (await store.findMessage(mek.key.id, mek.key.remoteJid, session.id)) return;
+
         let messageText = '';
+        let mediaInfo = {};
+        let rawMessage = null;
         if (messageType === 'conversation') {
           messageText = messageContent.conversation;
         } else if (messageType === 'extendedTextMessage') {
           messageText = messageContent.extendedTextMessage.text;
-        } else if (['imageMessage', 'videoMessage', 'audioMessage'].includes(messageType)) {
+        } else if (mediaStore.MEDIA_TYPES.includes(messageType)) {
+          const media = messageContent[messageType];
+          messageText = media.caption || '';
+          mediaInfo = {
+            mimetype: media.mimetype,
+            fileName: media.fileName,
+            isVoiceNote: Boolean(media.ptt)
+          };
           try {
             const buffer = await withRetry(() => 
               downloadMediaMessage(mek, 'buffer', {}, {
-                logger: P({ level: 'silent' }),
+                logger: logger.forSubsystem('baileys'),
                 reuploadRequest: conn.updateMediaMessage
               }));
             if (messageType === 'imageMessage') {
               imageUrl = await uploadToImgbb(buffer);
             }
-            messageText = JSON.stringify({
-              caption: messageContent[messageType].caption || '',
-              mimetype: messageContent[messageType].mimetype
-            });
-            mediaCache.set(mek.key.id, {
-              type: messageType,
-              buffer,
-              caption: messageContent[messageType].caption || '',
-              mimetype: messageContent[messageType].mimetype,
-              imageUrl,
-              timestamp: Date.now()
-            });
-            const now = Date.now();
-            for (const [id, { timestamp }] of mediaCache) {
-              if (now - timestamp > 60 * 60 * 1000) {
-                mediaCache.delete(id);
-              }
-            }
+            const stored = await mediaStore.saveMedia(buffer, media.mimetype);
+            mediaId = stored.id;
           } catch (err) {
-            console.error('Media caching error:', {
-              messageId: mek.key.id,
-              messageType,
-              error: err.message,
-              stack: err.stack
-            });
-            messageText = JSON.stringify({
-              caption: messageContent[messageType].caption || '',
-              mimetype: messageContent[messageType].mimetype
-            });
+            mediaLog.error({ err, messageId: mek.key.id, messageType }, 'Media archive error');
           }
         } else {
-          messageText = JSON.stringify(messageContent);
+          rawMessage = messageContent;
         }
 
-        const sriLankaTime = new Date().toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
+        const contextInfo = messageContent[messageType]?.contextInfo || {};
+        const timestamp = mek.messageTimestamp ? new Date(Number(mek.messageTimestamp) * 1000) : new Date();
+        const storedSender = mek.key.fromMe && conn.user
+          ? jidNormalizedUser(conn.user.id)
+          : mek.key.participant || mek.key.remoteJid;
 
-        let autoReplySent = false;
         try {
-          await pool.query(
-            `INSERT INTO messages 
-            (message_id, sender_jid, remote_jid, message_text, message_type, image_url, sri_lanka_time, auto_reply_sent)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-            [
-              mek.key.id,
-              mek.key.participant || mek.key.remoteJid,
-              mek.key.remoteJid,
-              messageText,
-              messageType,
-              imageUrl,
-              sriLankaTime,
-              autoReplySent
-            ]
-          );
+          const chat = await store.upsertChat(mek.key.remoteJid, { timestamp });
+          if (chat.isNew && mek.key.remoteJid.endsWith('@g.us')) {
+            conn.groupMetadata(mek.key.remoteJid)
+              .then(metadata => store.setChatName(mek.key.remoteJid, metadata.subject))
+              .catch(err => log.warn({ err }, 'Group name lookup error'));
+          }
+          await store.upsertContact(storedSender, mek.key.fromMe ? null : mek.pushName);
+          const savedId = await store.saveMessage({
+            sessionId: session.id,
+            messageId: mek.key.id,
+            senderJid: storedSender,
+            remoteJid: mek.key.remoteJid,
+            fromMe: mek.key.fromMe,
+            text: messageText,
+            type: messageType,
+            timestamp,
+            quotedMessageId: contextInfo.stanzaId,
+            mentions: contextInfo.mentionedJid,
+            ...mediaInfo,
+            imageUrl,
+            mediaId,
+            raw: rawMessage
+          });
+          if (!savedId) {
+            // Stored by a concurrent delivery of the same message since the check above.
+            return;
+          }
         } catch (err) {
-          console.error('Database insert error:', err.message);
+          dbLog.error({ err }, 'Database insert error');
           return;
         }
 
-        if (config.AUTO_READ === 'true') {
+        if (!mek.key.fromMe) {
+          webhooks.emit('message.received', {
+            messageId: mek.key.id,
+            chatJid: mek.key.remoteJid,
+            senderJid: storedSender,
+            pushName: mek.pushName || null,
+            isGroup: mek.key.remoteJid.endsWith('@g.us'),
+            type: messageType,
+            text: messageText || null,
+            mimetype: mediaInfo.mimetype || null,
+            mediaId,
+            quotedMessageId: contextInfo.stanzaId || null,
+            mentions: contextInfo.mentionedJid || [],
+            timestamp: timestamp.toISOString()
+          }, session.id);
+        }
+
+        if (settings.AUTO_READ) {
           await withRetry(() => conn.readMessages([mek.key]));
-          console.log(`Marked message from ${mek.key.remoteJid} as read`);
+          log.info(`Marked message from ${mek.key.remoteJid} as read`);
         }
 
         const senderJid = mek.key.participant || mek.key.remoteJid;
         const pushName = mek.pushName || 'Unknown';
         const userId = senderJid.split('@')[0];
-        let senderDpUrl = 'https://i.imgur.com/default-profile.jpg';
-        try {
-          senderDpUrl = await conn.profilePictureUrl(senderJid, 'image') || senderDpUrl;
-        } catch (err) {
-          console.warn(`Failed to fetch profile picture for ${senderJid}: ${err.message}`);
+        const isGroup = mek.key.remoteJid.endsWith('@g.us');
+        const isOwner = session.ownerNumber.includes(userId);
+
+        if (isGroup && await moderation.moderateMessage({ conn, session, mek, senderJid, text: messageText, isOwner })) {
+          return;
         }
 
-        if (messageText && statusTriggers.includes(messageText)) {
+        if (messageText && statusTriggersFor(settings).includes(messageText)) {
           if (!mek.message.extendedTextMessage || !mek.message.extendedTextMessage.contextInfo.quotedMessage) {
-            await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
+            await outbox.send(mek.key.remoteJid, {
               text: '*Please Mention status*'
-            }, { quoted: mek }));
+            }, { quoted: mek }, { sessionId: session.id, source: 'status-save' });
             return;
           }
 
@@ -566,373 +716,232 @@ async function connectToWA() {
           const isStatus = mek.message.extendedTextMessage.contextInfo.remoteJid === 'status@broadcast';
           
           if (!isStatus) {
-            await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
+            await outbox.send(mek.key.remoteJid, {
               text: '*Quoted message is not a status*'
-            }, { quoted: mek }));
+            }, { quoted: mek }, { sessionId: session.id, source: 'status-save' });
             return;
           }
 
-          const quotedMessageType = getContentType(quotedMessage);
-          
-          if (quotedMessageType === 'imageMessage') {
-            try {
-              const nameJpg = getRandom('');
-              const buff = await withRetry(() => 
-                downloadMediaMessage({ message: quotedMessage }, 'buffer', {}, {
-                  logger: P({ level: 'silent' }),
-                  reuploadRequest: conn.updateMediaMessage
-                }));
-              if (!Buffer.isBuffer(buff)) {
-                throw new Error('Invalid buffer received for image');
-              }
-              const ext = getExtension(buff);
-              const filePath = path.join(tempDir, `${nameJpg}.${ext}`);
-              await fs.writeFile(filePath, buff);
-              const caption = quotedMessage.imageMessage.caption || '';
-              await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
-                image: buff,
-                caption: caption
-              }, { quoted: mek }));
-              await fs.unlink(filePath).catch(err => console.error('File deletion error:', err.message));
-            } catch (err) {
-              console.error('Image status save error:', err.message);
-              await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
-                text: `❌ Failed to save status image: ${err.message}`
-              }, { quoted: mek }));
-            }
-          } else if (quotedMessageType === 'videoMessage') {
-            try {
-              const nameJpg = getRandom('');
-              const buff = await withRetry(() => 
-                downloadMediaMessage({ message: quotedMessage }, 'buffer', {}, {
-                  logger: P({ level: 'silent' }),
-                  reuploadRequest: conn.updateMediaMessage
-                }));
-              if (!Buffer.isBuffer(buff)) {
-                throw new Error('Invalid buffer received for video');
-              }
-              const ext = getExtension(buff);
-              const filePath = path.join(tempDir, `${nameJpg}.${ext}`);
-              await fs.writeFile(filePath, buff);
-              const caption = quotedMessage.videoMessage.caption || '';
-              const buttonMessage = {
-                video: buff,
-                mimetype: 'video/mp4',
-                fileName: `${mek.key.id}.mp4`,
-                caption: caption,
-                headerType: 4
-              };
-              await withRetry(() => conn.sendMessage(mek.key.remoteJid, buttonMessage, { quoted: mek }));
-              await fs.unlink(filePath).catch(err => console.error('File deletion error:', err.message));
-            } catch (err) {
-              console.error('Video status save error:', err.message);
-              await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
-                text: `❌ Failed to save status video: ${err.message}`
-              }, { quoted: mek }));
+          try {
+            const content = await statusArchive.buildStatusContent(conn, quotedMessage);
+            if (!content) {
+              await outbox.send(mek.key.remoteJid, {
+                text: '*Quoted status is not an image, video, text or audio*'
+              }, { quoted: mek }, { sessionId: session.id, source: 'status-save' });
+              return;
             }
-          } else {
-            await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
-              text: '*Quoted status is not an image or video*'
-            }, { quoted: mek }));
+            if (content.video) content.fileName = `${mek.key.id}.mp4`;
+            await outbox.send(mek.key.remoteJid, content, { quoted: mek }, { sessionId: session.id, source: 'status-save' });
+          } catch (err) {
+            mediaLog.error({ err }, 'Status save error');
+            await outbox.send(mek.key.remoteJid, {
+              text: `❌ Failed to save status: ${err.message}`
+            }, { quoted: mek }, { sessionId: session.id, source: 'status-save' });
           }
           return;
         }
 
         if (
           messageText &&
-          !messageText.startsWith('.') &&
+          !messageText.startsWith(prefix) &&
           !mek.key.fromMe &&
           senderJid !== restrictedNumber &&
           mek.key.remoteJid !== restrictedNumber
         ) {
-          for (const rule of replyRules.rules) {
-            let isMatch = false;
-            if (rule.pattern) {
-              try {
-                const regex = new RegExp(rule.pattern, 'i');
-                isMatch = regex.test(messageText);
-              } catch (err) {
-                console.error(`Invalid regex pattern in rule "${rule.trigger}": ${err.message}`);
-                isMatch = rule.trigger && messageText.toLowerCase().includes(rule.trigger.toLowerCase());
-              }
-            } else {
-              isMatch = rule.trigger && messageText.toLowerCase().includes(rule.trigger.toLowerCase());
-            }
-
-            if (isMatch) {
-              autoReplySent = true;
-              await pool.query(
-                `UPDATE messages SET auto_reply_sent = TRUE WHERE message_id = $1`,
-                [mek.key.id]
-              );
-              for (const response of rule.response) {
-                if (response.delay) {
-                  await new Promise(resolve => setTimeout(resolve, response.delay));
-                }
-                const contextInfo = {
-                  quotedMessage: mek.message,
-                  forwardingScore: 999,
-                  isForwarded: true
-                };
-                let content = response.content;
-                let caption = response.caption;
-                let url = response.url;
-                if (content) {
-                  content = content.replace('${pushname}', pushName)
-                                  .replace('${userid}', userId)
-                                  .replace('${senderdpurl}', senderDpUrl);
-                }
-                if (caption) {
-                  caption = caption.replace('${pushname}', pushName)
-                                  .replace('${userid}', userId)
-                                  .replace('${senderdpurl}', senderDpUrl);
-                }
-                if (url) {
-                  url = url.replace('${pushname}', pushName)
-                          .replace('${userid}', userId)
-                          .replace('${senderdpurl}', senderDpUrl);
-                }
-                switch (response.type) {
-                  case 'text':
-                    await withRetry(() => conn.sendMessage(mek.key.remoteJid, { 
-                      text: content,
-                      contextInfo
-                    }, { quoted: mek }));
-                    break;
-                  case 'image':
-                    const imageBuffer = await fetchMedia(url);
-                    if (imageBuffer) {
-                      await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
-                        image: imageBuffer,
-                        caption: caption || '',
-                        contextInfo
-                      }, { quoted: mek }));
-                    }
-                    break;
-                  case 'video':
-                    const videoBuffer = await fetchMedia(url);
-                    if (videoBuffer) {
-                      await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
-                        video: videoBuffer,
-                        caption: caption || '',
-                        contextInfo
-                      }, { quoted: mek }));
-                    }
-                    break;
-                  case 'voice':
-                    const voiceBuffer = await fetchMedia(url);
-                    if (voiceBuffer) {
-                      await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
-                        audio: voiceBuffer,
-                        mimetype: 'audio/mpeg',
-                        ptt: true,
-                        contextInfo
-                      }, { quoted: mek }));
-                    }
-                    break;
-                }
-              }
-              break;
-            }
+          const matches = rules.matchRules(session.replyRules.rules, {
+            sessionId: session.id,
+            text: messageText,
+            chatJid: mek.key.remoteJid,
+            senderJid,
+            isGroup,
+            messageType
+          });
+
+          if (matches.length > 0) {
+            await pool.query(
+              `UPDATE messages SET auto_reply_sent = TRUE WHERE remote_jid = $1 AND message_id = $2 AND session_id = $3`,
+              [mek.key.remoteJid, mek.key.id, session.id]
+            );
+          }
+          for (const { rule, id, match } of matches) {
+            const variables = rules.buildVariables({
+              conn,
+              senderJid,
+              chatJid: mek.key.remoteJid,
+              isGroup,
+              pushName,
+              text: messageText,
+              match
+            });
+            await analytics.recordHit(session.id, 'rule', id);
+            await rules.sendRuleResponses(session, mek, rule, variables);
           }
         }
 
-        if (messageText && messageText.startsWith('.')) {
-          const [command, ...args] = messageText.split(' ');
-
-          switch (command.toLowerCase()) {
-            case '.ping':
-              const pingTime = performance.now();
-              await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
-                text: `🏓 Pong! Response time: ${Math.round(performance.now() - pingTime)}ms`
-              }, { quoted: mek }));
-              break;
-
-            case '.runtime':
-              const runtime = performance.now() - startTime;
-              const seconds = Math.floor(runtime / 1000);
-              const minutes = Math.floor(seconds / 60);
-              const hours = Math.floor(minutes / 60);
-              await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
-                text: `⏰ Bot Runtime: ${hours}h ${minutes % 60}m ${seconds % 60}s`
-              }, { quoted: mek }));
-              break;
-
-            case '.reload':
-              if (ownerNumber.includes(senderJid.split('@')[0])) {
-                const result = await reloadJsonFile();
-                await withRetry(() => conn.sendMessage(mek.key.remoteJid, { text: result }, { quoted: mek }));
-              } else {
-                await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
-                  text: '🚫 Only owners can use the .reload command.'
-                }, { quoted: mek }));
-              }
-              break;
-
-            case '.delete':
-              if (ownerNumber.includes(senderJid.split('@')[0])) {
-                const clear = args[0]?.toLowerCase() === 'clear';
-                const result = await handleDelete(clear);
-                if (clear && !result.error) {
-                  await withRetry(() => conn.sendMessage(mek.key.remoteJid, { 
-                    text: '✅ Database cleared successfully'
-                  }, { quoted: mek }));
-                } else if (!clear && result.deletedMessages) {
-                  const message = result.deletedMessages.length > 0
-                    ? `🗑️ Found ${result.deletedMessages.length} deleted messages with images:\n` +
-                      result.deletedMessages.map(m => 
-                        `ID: ${m.message_id}\nSender: ${m.sender_jid}\nImage: ${m.image_url}\nDeleted By: ${m.deleted_by}\nDeleted At: ${m.sri_lanka_time}`
-                      ).join('\n\n')
-                    : '🗑️ No deleted messages with images found.';
-                  await withRetry(() => conn.sendMessage(mek.key.remoteJid, { text: message }, { quoted: mek }));
-                } else {
-                  await withRetry(() => conn.sendMessage(mek.key.remoteJid, { 
-                    text: '❌ Failed to process delete operation'
-                  }, { quoted: mek }));
-                }
-              } else {
-                await withRetry(() => conn.sendMessage(mek.key.remoteJid, {
-                  text: '🚫 Only owners can use the .delete command.'
-                }, { quoted: mek }));
-              }
-              break;
-          }
+        if (messageText && messageText.startsWith(prefix)) {
+          await commands.handleCommand({
+            conn,
+            mek,
+            from: mek.key.remoteJid,
+            sender: senderJid,
+            pushName,
+            text: messageText,
+            prefix,
+            isGroup,
+            isOwner,
+            session,
+            bot: commandHelpers,
+            reply: (content) => outbox.send(
+              mek.key.remoteJid,
+              typeof content === 'string' ? { text: content } : content,
+              { quoted: mek },
+              { sessionId: session.id, source: 'command' }
+            )
+          });
         }
       } catch (err) {
-        console.error('Message processing error:', err.message);
+        log.error({ err }, 'Message processing error');
       }
-    });
+    }));
 
     conn.ev.on('messages.update', async (updates) => {
       for (const update of updates) {
+        if (update.update.status !== undefined && update.update.status !== null) {
+          await outbox.recordStatus(update.key, update.update.status);
+        }
         if (update.update.message === null) {
-          await handleDeletedMessage(conn, update);
+          webhooks.emit('message.deleted', {
+            messageId: update.key.id,
+            chatJid: update.key.remoteJid,
+            deletedBy: update.key.participant || update.key.remoteJid,
+            fromMe: Boolean(update.key.fromMe)
+          }, session.id);
+          await logger.withCorrelation(logger.newCorrelationId(), () => antiDelete.handleDeletedMessage(session, update));
+        } else if (antiDelete.getEditedMessage(update)) {
+          await logger.withCorrelation(logger.newCorrelationId(), () => antiDelete.handleEditedMessage(session, update));
         }
       }
     });
 
+    conn.ev.on('message-receipt.update', async (updates) => {
+      for (const { key, receipt } of updates) {
+        await outbox.recordReceipt(key, receipt);
+        await statusPosts.recordView(session.id, key, receipt);
+      }
+    });
+
+    conn.ev.on('call', async (updates) => {
+      for (const call of updates) {
+        await calls.handleCall({ conn, session, call });
+        webhooks.emit('call', {
+          callId: call.id,
+          from: call.from,
+          chatJid: call.chatId,
+          status: call.status,
+          isVideo: Boolean(call.isVideo),
+          isGroup: Boolean(call.isGroup),
+          timestamp: call.date ? new Date(call.date).toISOString() : new Date().toISOString()
+        }, session.id);
+      }
+    });
+
     return conn;
   } catch (err) {
-    console.error('WhatsApp connection error:', err.message);
-    setTimeout(connectToWA, 5000);
+    connLog.error({ err }, `WhatsApp connection error (${session.id})`);
+    supervisor.failed(session, err);
   }
 }
 
-async function sendConnectedMessage(conn) {
+async function sendConnectedMessage(session) {
   try {
-    const dbStatus = await checkDatabaseConnection();
+    const dbStatus = await checkDatabaseConnection() ? 'Connected ✅' : 'Disconnected ❌';
     const sriLankaTime = new Date().toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
     
     const message = `🤖 *Bot Connected Successfully!* 🤖\n\n` +
+                   `📱 *Session:* ${session.id}\n` +
                    `🕒 *Sri Lanka Time:* ${sriLankaTime}\n` +
                    `📊 *Database Status:* ${dbStatus}\n` +
                    `💻 *Host:* ${os.hostname()}\n\n` +
                    `✅ Ready to receive messages!`;
     
-    for (const owner of ownerNumber) {
-      await withRetry(() => conn.sendMessage(`${owner}@s.whatsapp.net`, { text: message }));
+    for (const owner of session.ownerNumber) {
+      await outbox.send(`${owner}@s.whatsapp.net`, { text: message }, {}, { sessionId: session.id, source: 'system' });
     }
   } catch (err) {
-    console.error('Connected message error:', err.message);
+    connLog.error({ err }, 'Connected message error');
   }
 }
 
 async function checkDatabaseConnection() {
   try {
     await pool.query('SELECT 1');
-    return 'Connected ✅';
+    return true;
   } catch (err) {
-    console.error('Database connection check error:', err.message);
-    return 'Disconnected ❌';
+    dbLog.error({ err }, 'Database connection check error');
+    return false;
   }
 }
 
-async function handleDeletedMessage(conn, update) {
-  try {
-    const { key } = update;
-    const { remoteJid, id, participant } = key;
-    const deleterJid = participant || remoteJid;
-
-    await pool.query(
-      `UPDATE messages 
-       SET is_deleted = TRUE, deleted_at = NOW(), deleted_by = $1
-       WHERE message_id = $2`,
-      [deleterJid, id]
-    );
-
-    const { rows } = await pool.query(
-      `SELECT * FROM messages WHERE message_id = $1`,
-      [id]
-    );
-
-    if (rows.length > 0) {
-      const originalMessage = rows[0];
-      const sriLankaTime = new Date().toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
-      const cachedMedia = mediaCache.get(id);
-
-      if (cachedMedia && ['imageMessage', 'videoMessage', 'audioMessage'].includes(originalMessage.message_type)) {
-        let messageContent = {};
-        
-        if (originalMessage.message_type === 'imageMessage' && originalMessage.image_url) {
-          messageContent = {
-            image: { url: originalMessage.image_url },
-            caption: cachedMedia.caption || ''
-          };
-        } else {
-          messageContent = {
-            [originalMessage.message_type]: {
-              buffer: cachedMedia.buffer,
-              caption: cachedMedia.caption || '',
-              mimetype: cachedMedia.mimetype
-            }
-          };
-        }
+function describeSockets() {
+  return sessions.listSessions().map(session => ({
+    id: session.id,
+    state: session.state,
+    connected: sessions.isConnected(session)
+  }));
+}
 
-        await withRetry(() => conn.sendMessage(deleterJid, messageContent));
-
-        const alertMessage = `🔔 *TADASHI PRIVATE ASSISTANT* 🔔\n\n` +
-                           `📩 *Original Sender:* ${originalMessage.sender_jid}\n` +
-                           `🗑️ *Deleted By:* ${deleterJid}\n` +
-                           `🕒 *Deleted At (SL):* ${sriLankaTime}\n` +
-                           `📝 *Caption:* ${cachedMedia.caption || 'No caption'}\n\n` +
-                           `*❮ ᴛᴀᴅᴀꜱʜɪ ᴘᴏᴡᴇʀ ʙʏ ᴀɴᴛɪ ᴅᴇʟᴇᴛ ❯*`;
-
-        await withRetry(() => conn.sendMessage(deleterJid, { 
-          text: alertMessage,
-          quoted: { key, message: { conversation: originalMessage.message_text } }
-        }));
-      } else {
-        let messageText = originalMessage.message_text;
-        if (['imageMessage', 'videoMessage', 'audioMessage'].includes(originalMessage.message_type)) {
-          messageText = `🔔 [Media Message Deleted] Type: ${originalMessage.message_type}, Caption: ${JSON.parse(originalMessage.message_text).caption || 'No caption'}`;
-        }
-        await withRetry(() => conn.sendMessage(deleterJid, {
-          text: messageText
-        }));
-
-        const alertMessage = `🔔 *TADASHI PRIVATE ASSISTANT* 🔔\n\n` +
-                           `📩 *Original Sender:* ${originalMessage.sender_jid}\n` +
-                           `🗑️ *Deleted By:* ${deleterJid}\n` +
-                           `🕒 *Deleted At (SL):* ${sriLankaTime}\n\n` +
-                           `*❮ ᴛᴀᴅᴀꜱʜɪ ᴘᴏᴡᴇʀ ʙʏ ᴀɴᴛɪ ᴅᴇʟᴇᴛ ❯*`;
-
-        await withRetry(() => conn.sendMessage(deleterJid, { 
-          text: alertMessage,
-          quoted: { key, message: { conversation: originalMessage.message_text } }
-        }));
-      }
-    }
+// Liveness: answers as long as the process does, with what it can see.
+app.get('/healthz', async (req, res) => {
+  res.json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    database: await checkDatabaseConnection(),
+    sessions: describeSockets()
+  });
+});
+
+// Readiness: the database answers and at least one session has an open socket.
+app.get('/readyz', async (req, res) => {
+  const database = await checkDatabaseConnection();
+  const sockets = describeSockets();
+  const ready = database && sockets.some(socket => socket.connected);
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', database, sessions: sockets });
+});
+
+app.get('/metrics', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
   } catch (err) {
-    console.error('Deleted message handler error:', err.message);
+    httpLog.error({ err }, 'Metrics error');
+    res.status(500).send('Failed to collect metrics');
   }
-}
+});
 
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.get('/status', async (req, res) => {
-  const status = await getStatus();
+app.post('/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const result = auth.login(username, password, req.ip);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json(result);
+});
+
+app.post('/logout', auth.requireRole('viewer'), (req, res) => {
+  auth.logout(req.auth.token);
+  res.json({ success: true });
+});
+
+app.get('/me', auth.requireRole('viewer'), (req, res) => {
+  res.json({ username: req.auth.username, role: req.auth.role });
+});
+
+app.get('/status', auth.requireRole('viewer'), async (req, res) => {
+  const status = await getStatus(req.waSession.id);
   if (status) {
     res.json(status);
   } else {
@@ -940,33 +949,172 @@ app.get('/status', async (req, res) => {
   }
 });
 
-app.get('/reload', async (req, res) => {
-  const result = await reloadJsonFile();
+app.get('/analytics', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await analytics.getAnalytics(req.waSession.id, req.query.range));
+  } catch (err) {
+    if (err instanceof analytics.AnalyticsError) return res.status(400).json({ error: err.message });
+    httpLog.error({ err }, 'Analytics error');
+    res.status(500).json({ error: 'Failed to load analytics' });
+  }
+});
+
+// Server-Sent Events: an "analytics" event with the full snapshot whenever it
+// changes, plus a comment line now and then so proxies keep the stream open.
+app.get('/analytics/stream', auth.requireRole('viewer'), (req, res) => {
+  if (!analytics.RANGES[req.query.range || '24h']) {
+    return res.status(400).json({ error: `Unknown range "${req.query.range}"` });
+  }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const unsubscribe = analytics.subscribe(req.waSession.id, req.query.range, (snapshot) => {
+    res.write(`event: analytics\ndata: ${JSON.stringify(snapshot)}\n\n`);
+  });
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+app.get('/settings', auth.requireRole('viewer'), (req, res) => {
+  res.json({ session: req.waSession.id, settings: sessions.describeSettings(req.waSession) });
+});
+
+// Body: { "AUTO_READ": true, "STATUS_TRIGGERS": "send,save", ... }; null
+// goes back to the global value from the environment.
+app.put('/settings', auth.requireRole('admin'), async (req, res) => {
+  const changes = req.body || {};
+  if (typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'Send an object of settings to change' });
+  }
+  try {
+    await sessions.updateSettings(req.waSession.id, changes, { runtimeOnly: true });
+    res.json({ session: req.waSession.id, settings: sessions.describeSettings(req.waSession) });
+  } catch (err) {
+    if (err instanceof ConfigError) return res.status(400).json({ error: err.message });
+    httpLog.error({ err }, 'Settings update error');
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+app.post('/reload', auth.requireRole('admin'), async (req, res) => {
+  const result = await reloadJsonFile(req.waSession);
   res.json({ message: result });
 });
 
-app.get('/delete', async (req, res) => {
-  const clear = req.query.clear === 'true';
-  const result = await handleDelete(clear);
+app.get('/rules', auth.requireRole('viewer'), (req, res) => {
+  res.json(req.waSession.replyRules);
+});
+
+app.post('/rules/test', auth.requireRole('viewer'), async (req, res) => {
+  const { text, senderJid, chatJid, pushName, messageType } = req.body || {};
+  if (typeof text !== 'string' || !text) {
+    return res.status(400).json({ error: 'Missing text to test' });
+  }
+  const optional = { senderJid, chatJid, pushName, messageType };
+  const invalid = Object.keys(optional).filter(key => optional[key] != null && typeof optional[key] !== 'string');
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: `${invalid.join(', ')} must be text` });
+  }
+  try {
+    const matches = await testReplyRules(req.waSession, {
+      text,
+      senderJid: senderJid || `${req.waSession.ownerNumber[0]}@s.whatsapp.net`,
+      chatJid: chatJid || undefined,
+      pushName: pushName || undefined,
+      messageType: messageType || undefined,
+      conn: req.waSession.conn
+    });
+    res.json({ text, matches });
+  } catch (err) {
+    httpLog.error({ err }, 'Rule test error');
+    res.status(500).json({ error: 'Failed to test rules' });
+  }
+});
+
+app.get('/schedules', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ schedules: await scheduler.listJobs(req.waSession.id) });
+  } catch (err) {
+    httpLog.error({ err }, 'Schedule list error');
+    res.status(500).json({ error: 'Failed to list schedules' });
+  }
+});
+
+app.post('/schedules', auth.requireRole('admin'), async (req, res) => {
+  const { name, chatJid, when, cron, runAt, timezone, response } = req.body || {};
+  try {
+    const schedule = when ? scheduler.parseWhen(when, timezone) : { cron, runAt };
+    const job = await scheduler.createJob({
+      sessionId: req.waSession.id,
+      name,
+      chatJid,
+      timezone,
+      response,
+      ...schedule,
+      createdBy: req.auth.username
+    });
+    res.status(201).json(job);
+  } catch (err) {
+    if (err instanceof scheduler.ScheduleError) return res.status(400).json({ error: err.message });
+    httpLog.error({ err }, 'Schedule create error');
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+app.post('/schedules/:id/:action(pause|resume)', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const job = await scheduler.setEnabled(parseInt(req.params.id, 10), req.params.action === 'resume', req.waSession.id);
+    if (!job) return res.status(404).json({ error: 'Schedule not found' });
+    res.json(job);
+  } catch (err) {
+    if (err instanceof scheduler.ScheduleError) return res.status(400).json({ error: err.message });
+    httpLog.error({ err }, 'Schedule update error');
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+app.delete('/schedules/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await scheduler.removeJob(parseInt(req.params.id, 10), req.waSession.id);
+    if (!removed) return res.status(404).json({ error: 'Schedule not found' });
+    res.json({ success: true });
+  } catch (err) {
+    httpLog.error({ err }, 'Schedule delete error');
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+app.get('/delete', auth.requireRole('viewer'), async (req, res) => {
+  const result = await handleDelete(false, req.waSession.id);
   res.json(result);
 });
 
-app.get('/send-message', async (req, res) => {
-  const { number, message } = req.query;
+app.delete('/delete', auth.requireRole('admin'), async (req, res) => {
+  httpLog.info(`Database clear for session ${req.waSession.id} requested by ${req.auth.username}`);
+  const result = await handleDelete(true, req.waSession.id);
+  res.json(result);
+});
+
+app.post('/send-message', auth.requireRole('admin'), async (req, res) => {
+  const { number, message } = req.body || {};
 
   if (!number || !message) {
     return res.status(400).json({ error: 'Missing number or message parameter' });
   }
 
-  const phoneNumber = number.replace(/[^0-9]/g, '');
+  const phoneNumber = String(number).replace(/[^0-9]/g, '');
   if (!phoneNumber.match(/^\d{10,12}$/)) {
     return res.status(400).json({ error: 'Invalid phone number format' });
   }
 
-  if (!whatsappConn || !whatsappConn.user) {
-    return res.status(503).json({ error: 'WhatsApp connection not established' });
-  }
-
   const jid = `${phoneNumber}@s.whatsapp.net`;
   const imagePath = path.join(__dirname, 'public', 'TADASHI.jpg');
 
@@ -980,23 +1128,557 @@ app.get('/send-message', async (req, res) => {
       forwardingScore: 999,
       isForwarded: true
     };
+    const content = {
+      image: imageBuffer,
+      caption: message,
+      contextInfo
+    };
+
+    // While WhatsApp is down the message is queued and sent after reconnecting.
+    const sessionId = req.waSession.id;
+    if (!sessions.isConnected(req.waSession)) {
+      const queued = await outbox.send(jid, content, {}, { sessionId, source: 'api' });
+      httpLog.info(`WhatsApp offline, queued image message #${queued.id} for ${jid}`);
+      return res.status(202).json({ success: true, queued: true, id: queued.id, message: `Image queued for ${phoneNumber}` });
+    }
 
-    await withRetry(() =>
-      whatsappConn.sendMessage(jid, {
-        image: imageBuffer,
-        caption: decodeURIComponent(message),
-        contextInfo
-      })
-    );
-    console.log(`Image message sent to ${jid} with caption: ${message}`);
-    res.json({ success: true, message: `Image sent to ${phoneNumber}` });
-  } catch (err) {
-    console.error('Image send error:', err.message);
+    const sent = await outbox.send(jid, content, {}, { sessionId, source: 'api', wait: true });
+    httpLog.info(`Image message sent to ${jid} with caption: ${message}`);
+    res.json({ success: true, messageId: sent?.key?.id, message: `Image sent to ${phoneNumber}` });
+  } catch (err) {
+    httpLog.error({ err }, 'Image send error');
     res.status(500).json({ error: 'Failed to send image', details: err.message });
   }
 });
 
+// Accepts JSON or multipart/form-data with the media in a "file" field.
+app.post('/api/messages', auth.requireRole('admin'), (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+}, async (req, res) => {
+  let outgoing;
+  try {
+    outgoing = await messageBuilder.buildOutgoingMessage(req.body || {}, req.file, req.waSession.id);
+  } catch (err) {
+    if (err instanceof messageBuilder.MessageError) {
+      return res.status(400).json({ error: err.message });
+    }
+    httpLog.error({ err }, 'API message build error');
+    return res.status(500).json({ error: 'Failed to prepare message' });
+  }
+
+  const { jid, type, content, options } = outgoing;
+  try {
+    const sessionId = req.waSession.id;
+    if (!sessions.isConnected(req.waSession)) {
+      const queued = await outbox.send(jid, content, options, { sessionId, source: 'api' });
+      return res.status(202).json({ queued: true, outboxId: queued.id, session: sessionId, to: jid, type });
+    }
+    const sent = await outbox.send(jid, content, options, { sessionId, source: 'api', wait: true });
+    httpLog.info(`API ${type} message sent to ${jid}`);
+    res.json({ messageId: sent?.key?.id, session: sessionId, to: jid, type, timestamp: Number(sent?.messageTimestamp) || null });
+  } catch (err) {
+    httpLog.error({ err }, 'API message send error');
+    res.status(502).json({ error: 'Failed to send message', details: err.message });
+  }
+});
+
+app.get('/webhooks', auth.requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ events: webhooks.EVENTS, webhooks: await webhooks.listWebhooks() });
+  } catch (err) {
+    httpLog.error({ err }, 'Webhook list error');
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+app.post('/webhooks', auth.requireRole('admin'), async (req, res) => {
+  const { url, events, secret, description } = req.body || {};
+  try {
+    const webhook = await webhooks.createWebhook({
+      url,
+      events,
+      secret,
+      description,
+      sessionId: req.waSessionRequested ? req.waSession.id : null,
+      createdBy: req.auth.username
+    });
+    res.status(201).json(webhook);
+  } catch (err) {
+    if (err instanceof webhooks.WebhookError) return res.status(400).json({ error: err.message });
+    httpLog.error({ err }, 'Webhook create error');
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+app.patch('/webhooks/:id', auth.requireRole('admin'), async (req, res) => {
+  const { url, events, description, enabled } = req.body || {};
+  try {
+    const webhook = await webhooks.updateWebhook(parseInt(req.params.id, 10), { url, events, description, enabled });
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(webhook);
+  } catch (err) {
+    if (err instanceof webhooks.WebhookError) return res.status(400).json({ error: err.message });
+    httpLog.error({ err }, 'Webhook update error');
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+app.delete('/webhooks/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await webhooks.removeWebhook(parseInt(req.params.id, 10));
+    if (!removed) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: true });
+  } catch (err) {
+    httpLog.error({ err }, 'Webhook delete error');
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+app.post('/webhooks/:id/test', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const deliveryId = await webhooks.sendTest(parseInt(req.params.id, 10));
+    if (!deliveryId) return res.status(404).json({ error: 'Webhook not found' });
+    res.status(202).json({ deliveryId });
+  } catch (err) {
+    httpLog.error({ err }, 'Webhook test error');
+    res.status(500).json({ error: 'Failed to queue test delivery' });
+  }
+});
+
+app.get('/webhooks/:id/deliveries', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const deliveries = await webhooks.listDeliveries(parseInt(req.params.id, 10), req.query);
+    res.json({ deliveries });
+  } catch (err) {
+    httpLog.error({ err }, 'Webhook delivery list error');
+    res.status(500).json({ error: 'Failed to list deliveries' });
+  }
+});
+
+app.post('/webhooks/deliveries/:id/redeliver', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const queued = await webhooks.redeliver(parseInt(req.params.id, 10));
+    if (!queued) return res.status(404).json({ error: 'Delivery not found' });
+    res.status(202).json({ success: true });
+  } catch (err) {
+    httpLog.error({ err }, 'Webhook redeliver error');
+    res.status(500).json({ error: 'Failed to redeliver' });
+  }
+});
+
+app.get('/outbox', auth.requireRole('viewer'), async (req, res) => {
+  const { status, chat, limit } = req.query;
+  if (status && !outbox.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Unknown status, use one of: ${outbox.STATUSES.join(', ')}` });
+  }
+  try {
+    const [counts, messages] = await Promise.all([
+      outbox.countByStatus(req.waSession.id),
+      outbox.listMessages({ sessionId: req.waSession.id, status, chatJid: chat, limit })
+    ]);
+    res.json({ counts, messages });
+  } catch (err) {
+    httpLog.error({ err }, 'Outbox list error');
+    res.status(500).json({ error: 'Failed to list outbound messages' });
+  }
+});
+
+app.get('/outbox/:id', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const message = await outbox.getMessage(parseInt(req.params.id, 10), req.waSession.id);
+    if (!message) return res.status(404).json({ error: 'Outbound message not found' });
+    res.json(message);
+  } catch (err) {
+    httpLog.error({ err }, 'Outbox lookup error');
+    res.status(500).json({ error: 'Failed to look up outbound message' });
+  }
+});
+
+app.get('/statuses', auth.requireRole('viewer'), async (req, res) => {
+  const { contact, date, limit } = req.query;
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+  try {
+    const statuses = await statusArchive.listStatuses({ sessionId: req.waSession.id, contactJid: contact, date, limit });
+    res.json({ statuses });
+  } catch (err) {
+    httpLog.error({ err }, 'Status archive list error');
+    res.status(500).json({ error: 'Failed to list archived statuses' });
+  }
+});
+
+app.get('/statuses/filters', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ filters: await statusArchive.listFilters(req.waSession.id) });
+  } catch (err) {
+    httpLog.error({ err }, 'Status filter list error');
+    res.status(500).json({ error: 'Failed to list status filters' });
+  }
+});
+
+app.put('/statuses/filters/:jid', auth.requireRole('admin'), async (req, res) => {
+  const { mode } = req.body;
+  if (!statusArchive.FILTER_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${statusArchive.FILTER_MODES.join(', ')}` });
+  }
+  try {
+    await statusArchive.setFilter(req.waSession.id, req.params.jid, mode);
+    res.json({ success: true });
+  } catch (err) {
+    httpLog.error({ err }, 'Status filter update error');
+    res.status(500).json({ error: 'Failed to update status filter' });
+  }
+});
+
+app.delete('/statuses/filters/:jid', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await statusArchive.setFilter(req.waSession.id, req.params.jid, null);
+    if (!removed) return res.status(404).json({ error: 'Status filter not found' });
+    res.json({ success: true });
+  } catch (err) {
+    httpLog.error({ err }, 'Status filter delete error');
+    res.status(500).json({ error: 'Failed to delete status filter' });
+  }
+});
+
+app.get('/statuses/:id/media', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const status = await statusArchive.getStatus(parseInt(req.params.id, 10), req.waSession.id);
+    if (!status) return res.status(404).json({ error: 'Status not found' });
+    const media = await mediaStore.loadMedia(status.media_id);
+    if (!media) return res.status(404).json({ error: 'Status has no stored media' });
+    res.type(status.mimetype || media.mimetype || 'application/octet-stream').send(media.buffer);
+  } catch (err) {
+    httpLog.error({ err }, 'Status media error');
+    res.status(500).json({ error: 'Failed to load status media' });
+  }
+});
+
+app.post('/statuses/:id/resend', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { to } = req.body || {};
+    if (!to) return res.status(400).json({ error: 'to is required' });
+    if (typeof to !== 'string') return res.status(400).json({ error: 'to must be a phone number or JID' });
+    const chatJid = messageBuilder.toJid(to);
+    const status = await statusArchive.resendStatus(req.waSession.id, parseInt(req.params.id, 10), chatJid);
+    if (!status) return res.status(404).json({ error: 'Status not found' });
+    res.json({ success: true, chatJid });
+  } catch (err) {
+    if (err instanceof messageBuilder.MessageError) return res.status(400).json({ error: err.message });
+    httpLog.error({ err }, 'Status resend error');
+    res.status(500).json({ error: `Failed to resend status: ${err.message}` });
+  }
+});
+
+app.get('/status-posts', auth.requireRole('viewer'), async (req, res) => {
+  const { state, limit } = req.query;
+  if (state && !statusPosts.STATES.includes(state)) {
+    return res.status(400).json({ error: `Unknown state, use one of: ${statusPosts.STATES.join(', ')}` });
+  }
+  try {
+    res.json({ posts: await statusPosts.listPosts(req.waSession.id, { state, limit }) });
+  } catch (err) {
+    httpLog.error({ err }, 'Status post list error');
+    res.status(500).json({ error: 'Failed to list status posts' });
+  }
+});
+
+app.get('/status-posts/:id', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const post = await statusPosts.getPost(parseInt(req.params.id, 10), req.waSession.id);
+    if (!post) return res.status(404).json({ error: 'Status post not found' });
+    res.json(post);
+  } catch (err) {
+    httpLog.error({ err }, 'Status post lookup error');
+    res.status(500).json({ error: 'Failed to look up status post' });
+  }
+});
+
+// Same media inputs as /api/messages: a multipart "file", "url" or base64 "data".
+// "at" is an ISO time or anything .schedule accepts except cron.
+app.post('/status-posts', auth.requireRole('admin'), (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+}, async (req, res) => {
+  const input = req.body || {};
+  const type = input.type || (req.file || input.url || input.data ? 'image' : 'text');
+  let media = null;
+  let scheduledFor = null;
+  try {
+    if (type !== 'text') media = await messageBuilder.resolveMedia({ ...input, type }, req.file);
+    if (input.at) {
+      const iso = new Date(input.at);
+      scheduledFor = isNaN(iso.getTime()) ? scheduler.parseWhen(input.at).runAt : iso;
+      if (!scheduledFor) throw new Error('Status posts are one-off, "at" cannot be a cron expression');
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const post = await statusPosts.createPost({
+      sessionId: req.waSession.id,
+      type,
+      text: input.text || input.caption || null,
+      backgroundColor: input.backgroundColor,
+      font: input.font === undefined ? null : statusPosts.FONTS[input.font] ?? Number(input.font),
+      media,
+      audience: input.audience || statusPosts.CONTACTS_AUDIENCE,
+      scheduledFor,
+      createdBy: req.auth.username
+    });
+    res.status(post.state === 'posted' ? 201 : 202).json(post);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/status-posts/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await statusPosts.cancelPost(parseInt(req.params.id, 10), req.waSession.id);
+    if (!removed) return res.status(404).json({ error: 'No scheduled or failed status post with that id' });
+    res.json({ success: true });
+  } catch (err) {
+    httpLog.error({ err }, 'Status post cancel error');
+    res.status(500).json({ error: 'Failed to cancel status post' });
+  }
+});
+
+app.get('/status-audiences', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ audiences: await statusPosts.listAudiences(req.waSession.id) });
+  } catch (err) {
+    httpLog.error({ err }, 'Status audience list error');
+    res.status(500).json({ error: 'Failed to list status audiences' });
+  }
+});
+
+app.put('/status-audiences/:name', auth.requireRole('admin'), async (req, res) => {
+  const { members } = req.body || {};
+  if (!Array.isArray(members)) return res.status(400).json({ error: 'members must be a list of numbers or JIDs' });
+  try {
+    const audience = await statusPosts.setAudience(req.waSession.id, req.params.name, members.map(messageBuilder.toJid));
+    res.json(audience);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/status-audiences/:name', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await statusPosts.deleteAudience(req.waSession.id, req.params.name);
+    if (!removed) return res.status(404).json({ error: 'Status audience not found' });
+    res.json({ success: true });
+  } catch (err) {
+    httpLog.error({ err }, 'Status audience delete error');
+    res.status(500).json({ error: 'Failed to delete status audience' });
+  }
+});
+
+app.get('/calls', auth.requireRole('viewer'), async (req, res) => {
+  const { caller, limit } = req.query;
+  try {
+    const [counts, list] = await Promise.all([
+      calls.countCalls(req.waSession.id),
+      calls.listCalls({ sessionId: req.waSession.id, callerJid: caller, limit })
+    ]);
+    res.json({ counts, calls: list });
+  } catch (err) {
+    httpLog.error({ err }, 'Call list error');
+    res.status(500).json({ error: 'Failed to list calls' });
+  }
+});
+
+// deleted / edited: "true" or "false"; omitted matches both.
+function parseFlag(value) {
+  if (value === undefined || value === '') return null;
+  return value === 'true' || value === '1';
+}
+
+app.get('/messages/search', auth.requireRole('viewer'), async (req, res) => {
+  const { q, chat, sender, type, from, to, deleted, edited, limit, offset } = req.query;
+  try {
+    const found = await search.searchMessages({
+      sessionId: req.waSession.id,
+      query: q,
+      chatJid: chat,
+      senderJid: sender,
+      type,
+      from,
+      to,
+      deleted: parseFlag(deleted),
+      edited: parseFlag(edited),
+      limit,
+      offset
+    });
+    res.json(found);
+  } catch (err) {
+    if (err instanceof search.SearchError) return res.status(400).json({ error: err.message });
+    httpLog.error({ err }, 'Message search error');
+    res.status(500).json({ error: 'Failed to search messages' });
+  }
+});
+
+app.get('/chats/:jid/export', auth.requireRole('admin'), async (req, res) => {
+  const chatJid = req.params.jid;
+  const { format, media, from, to } = req.query;
+  let formats;
+  let messages;
+  try {
+    formats = chatExport.parseFormats(format);
+    messages = await chatExport.loadChatMessages(req.waSession.id, chatJid, { from, to });
+  } catch (err) {
+    if (err instanceof chatExport.ExportError) return res.status(400).json({ error: err.message });
+    httpLog.error({ err }, 'Chat export error');
+    return res.status(500).json({ error: 'Failed to export chat' });
+  }
+  if (messages.length === 0) return res.status(404).json({ error: `No stored messages for ${chatJid}` });
+
+  res.attachment(chatExport.exportFileName(chatJid));
+  res.type('application/zip');
+  try {
+    const counts = await chatExport.writeArchive(chatJid, messages, { formats, includeMedia: media !== 'false' }, res);
+    httpLog.info(`Exported ${counts.messages} messages and ${counts.mediaFiles} media files from ${chatJid} for ${req.auth.username}`);
+  } catch (err) {
+    // Headers are gone by now; cutting the connection marks the download as failed.
+    httpLog.error({ err }, 'Chat export stream error');
+    res.destroy(err);
+  }
+});
+
+app.get('/sessions', auth.requireRole('viewer'), (req, res) => {
+  res.json({ sessions: sessions.listSessions().map(sessions.describeSession) });
+});
+
+app.post('/sessions', auth.requireRole('admin'), async (req, res) => {
+  const { id, ownerNumber, replyFile, settings, autoStart } = req.body || {};
+  let session;
+  try {
+    session = await sessions.addSession({ id, ownerNumber, replyFile, settings, autoStart });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    await loadJsonFile(session);
+    if (session.autoStart) await sessions.startSession(session.id);
+    res.status(201).json(sessions.describeSession(session));
+  } catch (err) {
+    httpLog.error({ err }, 'Session start error');
+    res.status(500).json({ error: 'Session was added but failed to start' });
+  }
+});
+
+app.post('/sessions/:id/:action(start|stop)', auth.requireRole('admin'), async (req, res) => {
+  const session = sessions.getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  try {
+    if (req.params.action === 'start') {
+      await sessions.startSession(session.id);
+    } else {
+      await sessions.stopSession(session.id);
+    }
+    httpLog.info(`Session ${session.id} ${req.params.action} requested by ${req.auth.username}`);
+    res.json(sessions.describeSession(session));
+  } catch (err) {
+    httpLog.error({ err }, 'Session update error');
+    res.status(500).json({ error: `Failed to ${req.params.action} session` });
+  }
+});
+
+app.delete('/sessions/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await sessions.removeSession(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Session not found' });
+    httpLog.info(`Session ${req.params.id} removed by ${req.auth.username}`);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Recent state changes with their disconnect reasons, newest first.
+app.get('/sessions/:id/history', auth.requireRole('viewer'), (req, res) => {
+  const session = sessions.getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  res.json({ session: session.id, state: session.state, ...supervisor.describe(session.id) });
+});
+
+// Login state for the dashboard: a QR code while the session waits to be linked.
+app.get('/sessions/:id/login', auth.requireRole('admin'), async (req, res) => {
+  const session = sessions.getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  try {
+    res.json({
+      session: session.id,
+      state: session.state,
+      user: session.conn?.user?.id || null,
+      qr: session.qr ? await QRCode.toDataURL(session.qr) : null,
+      pairingCode: session.pairingCode
+    });
+  } catch (err) {
+    httpLog.error({ err }, 'QR render error');
+    res.status(500).json({ error: 'Failed to render QR code' });
+  }
+});
+
+app.post('/sessions/:id/pairing-code', auth.requireRole('admin'), async (req, res) => {
+  const session = sessions.getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const phoneNumber = String(req.body?.phoneNumber || '').replace(/\D/g, '');
+  if (!/^\d{8,15}$/.test(phoneNumber)) {
+    return res.status(400).json({ error: 'phoneNumber must be the full number with country code, e.g. 94771234567' });
+  }
+  // The socket only accepts pairing requests once it is up and offering a QR.
+  if (session.state !== 'qr' || !session.socket) {
+    return res.status(409).json({ error: `Session is ${session.state}, a pairing code can only be requested while it waits for login` });
+  }
+  try {
+    session.pairingCode = await session.socket.requestPairingCode(phoneNumber);
+    httpLog.info(`Pairing code for session ${session.id} requested by ${req.auth.username}`);
+    res.json({ session: session.id, phoneNumber, pairingCode: session.pairingCode });
+  } catch (err) {
+    httpLog.error({ err }, 'Pairing code error');
+    res.status(500).json({ error: 'Failed to request a pairing code' });
+  }
+});
+
+// Unlinks the device; the session stops until it is started again for a new login.
+app.post('/sessions/:id/logout', auth.requireRole('admin'), async (req, res) => {
+  const session = sessions.getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  try {
+    if (sessions.isConnected(session)) {
+      await session.conn.logout();
+    } else {
+      await authState.clearAuthState(session.id);
+    }
+    httpLog.info(`Session ${session.id} logged out by ${req.auth.username}`);
+    res.json(sessions.describeSession(session));
+  } catch (err) {
+    httpLog.error({ err }, 'Session logout error');
+    res.status(500).json({ error: 'Failed to log out session' });
+  }
+});
+
+async function startSessions() {
+  await databaseReady;
+  for (const session of await sessions.loadSessions()) {
+    await loadJsonFile(session);
+    if (!session.autoStart) continue;
+    try {
+      await sessions.startSession(session.id);
+    } catch (err) {
+      connLog.error({ err }, `Session ${session.id} start error`);
+    }
+  }
+}
+
 app.listen(port, () => {
-  console.log(`Server is running on port ${port}`);
-  connectToWA();
+  httpLog.info(`Server is running on port ${port}`);
+  startSessions();
 });
\ No newline at end of file
@@ -0,0 +1,219 @@
+// Time-bucketed activity for the dashboard. Message, deletion, edit and media
+// figures come from the stored rows; reply rule hits and command runs are
+// counted into hourly analytics_rollups as they happen.
+const config = require('../config');
+const { pool } = require('./db');
+const log = require('./logger').forSubsystem('db');
+
+const RANGES = {
+  '24h': { span: '24 hours', unit: 'hour' },
+  '7d': { span: '7 days', unit: 'day' },
+  '30d': { span: '30 days', unit: 'day' }
+};
+const topLimit = 10;
+const timezone = config.TIMEZONE || 'Asia/Colombo';
+const refreshMs = (Number(config.ANALYTICS_REFRESH_SECONDS) || 10) * 1000;
+
+class AnalyticsError extends Error {}
+
+// kind is 'rule' (name = the rule id) or 'command' (name = the command name).
+async function recordHit(sessionId, kind, name) {
+  try {
+    await pool.query(
+      `INSERT INTO analytics_rollups (session_id, bucket, kind, name, hits)
+       VALUES ($1, date_trunc('hour', NOW()), $2, $3, 1)
+       ON CONFLICT (session_id, kind, name, bucket) DO UPDATE SET hits = analytics_rollups.hits + 1`,
+      [sessionId, kind, name]
+    );
+  } catch (err) {
+    log.error({ err }, 'Analytics record error');
+  }
+}
+
+function resolveRange(range) {
+  const key = range || '24h';
+  if (!RANGES[key]) {
+    throw new AnalyticsError(`Unknown range "${range}", use one of: ${Object.keys(RANGES).join(', ')}`);
+  }
+  return key;
+}
+
+// All-time counters behind GET /status.
+async function getTotals(sessionId) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE message_type = 'imageMessage')::int AS image,
+            COUNT(*) FILTER (WHERE message_type = 'videoMessage')::int AS video,
+            COUNT(*) FILTER (WHERE message_type = 'audioMessage')::int AS audio,
+            COUNT(*) FILTER (WHERE auto_reply_sent)::int AS auto_replies,
+            (SELECT COALESCE(json_agg(json_build_object('deletedBy', d.deleted_by, 'count', d.count)), '[]')
+             FROM (SELECT deleted_by, COUNT(*)::int AS count
+                   FROM messages WHERE session_id = $1 AND is_deleted GROUP BY deleted_by) d) AS deleted
+     FROM messages WHERE session_id = $1`,
+    [sessionId]
+  );
+  return rows[0];
+}
+
+// One query for the whole dashboard. Buckets are hours (24h) or days (7d, 30d)
+// in the bot's timezone, labelled as local "YYYY-MM-DDTHH:MI" and zero-filled.
+async function getAnalytics(sessionId, range) {
+  const key = resolveRange(range);
+  const { span, unit } = RANGES[key];
+  const { rows } = await pool.query(
+    `WITH bounds AS (
+       SELECT date_trunc($3, NOW() AT TIME ZONE $4) - $2::interval + ('1 ' || $3)::interval AS start_local
+     ),
+     since AS (
+       SELECT start_local, start_local AT TIME ZONE $4 AS start_at FROM bounds
+     ),
+     recent AS (
+       SELECT m.* FROM messages m, since s WHERE m.session_id = $1 AND m.timestamp >= s.start_at
+     ),
+     series AS (
+       SELECT generate_series(s.start_local, date_trunc($3, NOW() AT TIME ZONE $4), ('1 ' || $3)::interval) AS bucket
+       FROM since s
+     ),
+     traffic AS (
+       SELECT date_trunc($3, timestamp AT TIME ZONE $4) AS bucket,
+              COUNT(*) FILTER (WHERE NOT COALESCE(from_me, FALSE)) AS incoming,
+              COUNT(*) FILTER (WHERE from_me) AS outgoing
+       FROM recent GROUP BY 1
+     ),
+     deletions AS (
+       SELECT date_trunc($3, m.deleted_at AT TIME ZONE $4) AS bucket, COUNT(*) AS deleted
+       FROM messages m, since s
+       WHERE m.session_id = $1 AND m.is_deleted AND m.deleted_at >= s.start_at
+       GROUP BY 1
+     ),
+     edits AS (
+       SELECT date_trunc($3, e.edited_at AT TIME ZONE $4) AS bucket, COUNT(*) AS edited
+       FROM message_edits e, since s
+       WHERE e.session_id = $1 AND e.edited_at >= s.start_at
+       GROUP BY 1
+     ),
+     hits AS (
+       SELECT r.kind, r.name, SUM(r.hits)::int AS hits
+       FROM analytics_rollups r, since s
+       WHERE r.session_id = $1 AND r.bucket >= s.start_at
+       GROUP BY r.kind, r.name
+     ),
+     media AS (
+       SELECT r.message_type, COUNT(*)::int AS files, SUM(md.size_bytes)::bigint AS bytes
+       FROM recent r JOIN media md ON md.id = r.media_id
+       GROUP BY r.message_type
+     )
+     SELECT json_build_object(
+       'timeline', (
+         SELECT json_agg(json_build_object(
+                  'bucket', to_char(se.bucket, 'YYYY-MM-DD"T"HH24:MI'),
+                  'incoming', COALESCE(t.incoming, 0),
+                  'outgoing', COALESCE(t.outgoing, 0),
+                  'deleted', COALESCE(d.deleted, 0),
+                  'edited', COALESCE(e.edited, 0)
+                ) ORDER BY se.bucket)
+         FROM series se
+         LEFT JOIN traffic t ON t.bucket = se.bucket
+         LEFT JOIN deletions d ON d.bucket = se.bucket
+         LEFT JOIN edits e ON e.bucket = se.bucket
+       ),
+       'totals', (
+         SELECT json_build_object(
+                  'messages', (SELECT COUNT(*) FROM recent),
+                  'incoming', (SELECT COALESCE(SUM(incoming), 0) FROM traffic),
+                  'outgoing', (SELECT COALESCE(SUM(outgoing), 0) FROM traffic),
+                  'activeChats', (SELECT COUNT(DISTINCT remote_jid) FROM recent),
+                  'autoReplies', (SELECT COUNT(*) FROM recent WHERE auto_reply_sent),
+                  'deleted', (SELECT COALESCE(SUM(deleted), 0) FROM deletions),
+                  'edited', (SELECT COALESCE(SUM(edited), 0) FROM edits),
+                  'ruleHits', (SELECT COALESCE(SUM(hits), 0) FROM hits WHERE kind = 'rule'),
+                  'commands', (SELECT COALESCE(SUM(hits), 0) FROM hits WHERE kind = 'command'),
+                  'mediaFiles', (SELECT COALESCE(SUM(files), 0) FROM media),
+                  'mediaBytes', (SELECT COALESCE(SUM(bytes), 0) FROM media)
+                )
+       ),
+       'topChats', (
+         SELECT COALESCE(json_agg(c ORDER BY c.messages DESC), '[]')
+         FROM (SELECT r.remote_jid AS jid, ch.name, COUNT(*)::int AS messages
+               FROM recent r LEFT JOIN chats ch ON ch.jid = r.remote_jid
+               WHERE r.remote_jid <> 'status@broadcast'
+               GROUP BY r.remote_jid, ch.name
+               ORDER BY messages DESC LIMIT $5) c
+       ),
+       'topSenders', (
+         SELECT COALESCE(json_agg(c ORDER BY c.messages DESC), '[]')
+         FROM (SELECT r.sender_jid AS jid, ct.push_name AS name, COUNT(*)::int AS messages
+               FROM recent r LEFT JOIN contacts ct ON ct.jid = r.sender_jid
+               WHERE NOT COALESCE(r.from_me, FALSE)
+               GROUP BY r.sender_jid, ct.push_name
+               ORDER BY messages DESC LIMIT $5) c
+       ),
+       'rules', (
+         SELECT COALESCE(json_agg(json_build_object('id', name, 'hits', hits) ORDER BY hits DESC, name), '[]')
+         FROM hits WHERE kind = 'rule'
+       ),
+       'commands', (
+         SELECT COALESCE(json_agg(json_build_object('name', name, 'runs', hits) ORDER BY hits DESC, name), '[]')
+         FROM hits WHERE kind = 'command'
+       ),
+       'media', (
+         SELECT COALESCE(json_agg(json_build_object('type', message_type, 'files', files, 'bytes', bytes)
+                                  ORDER BY bytes DESC), '[]')
+         FROM media
+       )
+     ) AS analytics`,
+    [sessionId, span, unit, timezone, topLimit]
+  );
+  return { session: sessionId, range: key, unit, timezone, generatedAt: new Date().toISOString(), ...rows[0].analytics };
+}
+
+// Dashboards watching the same session and range share one query per refresh.
+// Listeners only hear about snapshots that changed since the last one.
+const feeds = new Map();
+
+async function refreshFeed(feed) {
+  let snapshot;
+  try {
+    snapshot = await getAnalytics(feed.sessionId, feed.range);
+  } catch (err) {
+    log.error({ err }, 'Analytics refresh error');
+    return;
+  }
+  const { generatedAt, ...content } = snapshot;
+  const fingerprint = JSON.stringify(content);
+  if (fingerprint === feed.fingerprint) return;
+  feed.fingerprint = fingerprint;
+  feed.snapshot = snapshot;
+  for (const listener of feed.listeners) listener(snapshot);
+}
+
+function subscribe(sessionId, range, listener) {
+  const key = `${sessionId}:${resolveRange(range)}`;
+  let feed = feeds.get(key);
+  if (!feed) {
+    feed = { sessionId, range: resolveRange(range), listeners: new Set(), snapshot: null, fingerprint: null };
+    feed.timer = setInterval(() => refreshFeed(feed), refreshMs);
+    feeds.set(key, feed);
+    refreshFeed(feed);
+  } else if (feed.snapshot) {
+    listener(feed.snapshot);
+  }
+  feed.listeners.add(listener);
+
+  return () => {
+    feed.listeners.delete(listener);
+    if (feed.listeners.size === 0) {
+      clearInterval(feed.timer);
+      feeds.delete(key);
+    }
+  };
+}
+
+module.exports = {
+  RANGES,
+  AnalyticsError,
+  recordHit,
+  getTotals,
+  getAnalytics,
+  subscribe
+};
@@ -0,0 +1,184 @@
+const config = require('../config');
+const { pool } = require('./db');
+const mediaStore = require('./mediaStore');
+const outbox = require('./outbox');
+const store = require('./store');
+const { diffWords } = require('./textDiff');
+const log = require('./logger').forSubsystem('app');
+
+const ROUTES = ['owner', 'log', 'chat', 'off'];
+const defaultRoute = ROUTES.includes(config.ANTI_DELETE_ROUTE) ? config.ANTI_DELETE_ROUTE : 'owner';
+
+function extractText(message) {
+  if (!message) return '';
+  return message.conversation ||
+    message.extendedTextMessage?.text ||
+    message.imageMessage?.caption ||
+    message.videoMessage?.caption ||
+    message.documentMessage?.caption ||
+    '';
+}
+
+// Baileys has emitted edits in a few shapes over its versions.
+function getEditedMessage(update) {
+  const message = update.update?.message;
+  if (!message) return null;
+  const edited = message.editedMessage?.message;
+  return edited?.protocolMessage?.editedMessage ||
+    edited ||
+    message.protocolMessage?.editedMessage ||
+    null;
+}
+
+async function getRoute(sessionId, chatJid) {
+  const { rows } = await pool.query(
+    `SELECT route FROM anti_delete_settings WHERE session_id = $1 AND chat_jid = $2`,
+    [sessionId, chatJid]
+  );
+  return rows.length > 0 ? rows[0].route : defaultRoute;
+}
+
+async function setRoute(sessionId, chatJid, route) {
+  if (route === 'default') {
+    await pool.query(`DELETE FROM anti_delete_settings WHERE session_id = $1 AND chat_jid = $2`, [sessionId, chatJid]);
+    return defaultRoute;
+  }
+  if (!ROUTES.includes(route)) {
+    throw new Error(`Unknown route "${route}", use one of: ${ROUTES.join(', ')}, default`);
+  }
+  await pool.query(
+    `INSERT INTO anti_delete_settings (session_id, chat_jid, route, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (session_id, chat_jid) DO UPDATE SET route = $3, updated_at = NOW()`,
+    [sessionId, chatJid, route]
+  );
+  return route;
+}
+
+async function resolveTargets(session, chatJid) {
+  const owners = session.ownerNumber.map(owner => `${owner}@s.whatsapp.net`);
+  const route = await getRoute(session.id, chatJid);
+  switch (route) {
+    case 'off':
+      return [];
+    case 'chat':
+      // Statuses have no chat to post back into.
+      return chatJid === 'status@broadcast' ? owners : [chatJid];
+    case 'log':
+      if (config.ANTI_DELETE_LOG_CHAT) return [config.ANTI_DELETE_LOG_CHAT];
+      log.warn('ANTI_DELETE_LOG_CHAT not set, sending anti-delete alert to owners');
+      return owners;
+    default:
+      return owners;
+  }
+}
+
+async function handleDeletedMessage(session, update) {
+  try {
+    const { key } = update;
+    const { remoteJid, id, participant } = key;
+    const deleterJid = participant || remoteJid;
+
+    const marked = await store.markDeleted({ sessionId: session.id, remoteJid, messageId: id, deletedBy: deleterJid });
+
+    // Already marked: a repeated revoke, or one the bot sent itself (moderation).
+    if (key.fromMe || !marked) return;
+
+    const originalMessage = await store.findMessage(id, remoteJid, session.id);
+    if (!originalMessage) return;
+
+    const targets = await resolveTargets(session, remoteJid);
+    if (targets.length === 0) return;
+
+    const sriLankaTime = new Date().toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
+    const isMedia = mediaStore.MEDIA_TYPES.includes(originalMessage.message_type);
+    const caption = isMedia ? originalMessage.message_text : null;
+    const storedMedia = isMedia ? await mediaStore.loadMedia(originalMessage.media_id) : null;
+
+    let recovered;
+    if (storedMedia) {
+      recovered = mediaStore.buildMediaContent(originalMessage.message_type, storedMedia.buffer, {
+        caption,
+        mimetype: originalMessage.mimetype || storedMedia.mimetype,
+        fileName: originalMessage.file_name,
+        ptt: originalMessage.is_voice_note
+      });
+    } else if (isMedia) {
+      recovered = { text: `🔔 [Media Message Deleted] Type: ${originalMessage.message_type}, Caption: ${caption || 'No caption'}` };
+    } else if (originalMessage.message_text) {
+      recovered = { text: originalMessage.message_text };
+    } else {
+      recovered = { text: `🔔 [${originalMessage.message_type} Deleted]\n${JSON.stringify(originalMessage.raw_message)}` };
+    }
+
+    const alertMessage = `🔔 *TADASHI PRIVATE ASSISTANT* 🔔\n\n` +
+                       `📩 *Original Sender:* ${originalMessage.sender_jid}\n` +
+                       `💬 *Chat:* ${remoteJid}\n` +
+                       `🗑️ *Deleted By:* ${deleterJid}\n` +
+                       `🕒 *Deleted At (SL):* ${sriLankaTime}\n` +
+                       (isMedia ? `📝 *Caption:* ${caption || 'No caption'}\n` : '') +
+                       `\n*❮ ᴛᴀᴅᴀꜱʜɪ ᴘᴏᴡᴇʀ ʙʏ ᴀɴᴛɪ ᴅᴇʟᴇᴛ ❯*`;
+
+    for (const target of targets) {
+      await outbox.send(target, recovered, {}, { sessionId: session.id, source: 'anti-delete' });
+      await outbox.send(target, { text: alertMessage }, {}, { sessionId: session.id, source: 'anti-delete' });
+    }
+  } catch (err) {
+    log.error({ err }, 'Deleted message handler error');
+  }
+}
+
+async function handleEditedMessage(session, update) {
+  try {
+    const { key } = update;
+    const editedMessage = getEditedMessage(update);
+    if (!editedMessage) return;
+    const newText = extractText(editedMessage);
+
+    const originalMessage = await store.findMessage(key.id, key.remoteJid, session.id);
+    if (!originalMessage) return;
+
+    const oldText = originalMessage.message_text || '';
+    if (oldText === newText) return;
+
+    const editorJid = key.participant || originalMessage.sender_jid;
+    await pool.query(
+      `INSERT INTO message_edits (message_id, remote_jid, edited_by, old_text, new_text, session_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [key.id, key.remoteJid, editorJid, oldText, newText, session.id]
+    );
+    await pool.query(
+      `UPDATE messages SET message_text = $1, is_edited = TRUE, edited_at = NOW() WHERE id = $2`,
+      [newText, originalMessage.id]
+    );
+
+    if (key.fromMe) return;
+    const targets = await resolveTargets(session, key.remoteJid);
+    const sriLankaTime = new Date().toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
+    const changes = diffWords(oldText, newText);
+    const alertMessage = `✏️ *TADASHI PRIVATE ASSISTANT* ✏️\n\n` +
+                       `📩 *Sender:* ${editorJid}\n` +
+                       `💬 *Chat:* ${key.remoteJid}\n` +
+                       `🕒 *Edited At (SL):* ${sriLankaTime}\n\n` +
+                       `*Before:*\n${oldText || '(empty)'}\n\n` +
+                       `*After:*\n${newText || '(empty)'}\n\n` +
+                       (changes === null ? '' : `*Changes:*\n${changes}\n\n`) +
+                       `*❮ ᴛᴀᴅᴀꜱʜɪ ᴘᴏᴡᴇʀ ʙʏ ᴀɴᴛɪ ᴅᴇʟᴇᴛ ❯*`;
+
+    for (const target of targets) {
+      await outbox.send(target, { text: alertMessage }, {}, { sessionId: session.id, source: 'anti-edit' });
+    }
+  } catch (err) {
+    log.error({ err }, 'Edited message handler error');
+  }
+}
+
+module.exports = {
+  ROUTES,
+  defaultRoute,
+  getRoute,
+  setRoute,
+  getEditedMessage,
+  handleDeletedMessage,
+  handleEditedMessage
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const config = require('../config');
+const log = require('./logger').forSubsystem('http');
+
+// Higher rank includes every permission of the lower ones.
+const ROLES = { viewer: 1, admin: 2 };
+
+const sessionTtl = (Number(config.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const maxLoginAttempts = 5;
+const lockoutTime = 15 * 60 * 1000;
+const WEAK_PASSWORDS = ['change-me'];
+
+const sessions = new Map();
+const loginAttempts = new Map();
+
+// Entries look like "name:secret:role" (users) or "secret:role" (tokens),
+// separated by commas just like OWNER_NUMBER and STATUS_TRIGGERS.
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+function parseUsers(value) {
+  return parseList(value).map(entry => {
+    const first = entry.indexOf(':');
+    const last = entry.lastIndexOf(':');
+    if (first === -1 || first === last) return null;
+    const role = entry.slice(last + 1);
+    if (!ROLES[role]) {
+      log.warn(`Ignoring dashboard user with unknown role "${role}"`);
+      return null;
+    }
+    const username = entry.slice(0, first);
+    const password = entry.slice(first + 1, last);
+    // The old sample config shipped this password, so it is public knowledge.
+    if (!password || WEAK_PASSWORDS.includes(password)) {
+      log.error(`Dashboard user "${username}" has an empty or default password and cannot log in, set a real one in DASHBOARD_USERS`);
+      return null;
+    }
+    return { username, password, role };
+  }).filter(Boolean);
+}
+
+function parseTokens(value) {
+  return parseList(value).map(entry => {
+    const last = entry.lastIndexOf(':');
+    if (last === -1) return null;
+    const role = entry.slice(last + 1);
+    if (!ROLES[role]) {
+      log.warn(`Ignoring API token with unknown role "${role}"`);
+      return null;
+    }
+    return { token: entry.slice(0, last), role };
+  }).filter(Boolean);
+}
+
+const users = parseUsers(config.DASHBOARD_USERS);
+const apiTokens = parseTokens(config.API_TOKENS);
+
+if (users.length === 0 && apiTokens.length === 0) {
+  log.error('No DASHBOARD_USERS or API_TOKENS configured: dashboard login is disabled and every protected route answers 401');
+}
+
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function isLockedOut(ip) {
+  const attempt = loginAttempts.get(ip);
+  if (!attempt) return false;
+  if (Date.now() - attempt.lastAttempt > lockoutTime) {
+    loginAttempts.delete(ip);
+    return false;
+  }
+  return attempt.count >= maxLoginAttempts;
+}
+
+function recordFailedLogin(ip) {
+  const attempt = loginAttempts.get(ip) || { count: 0, lastAttempt: 0 };
+  attempt.count++;
+  attempt.lastAttempt = Date.now();
+  loginAttempts.set(ip, attempt);
+}
+
+function login(username, password, ip) {
+  if (isLockedOut(ip)) {
+    return { error: 'Too many failed attempts, try again later', status: 429 };
+  }
+
+  let matched = null;
+  for (const user of users) {
+    // Compare every entry so the response time does not reveal valid usernames.
+    const nameOk = safeEqual(user.username, username || '');
+    const passwordOk = safeEqual(user.password, password || '');
+    if (nameOk && passwordOk && !matched) matched = user;
+  }
+
+  if (!matched) {
+    recordFailedLogin(ip);
+    log.warn(`Failed dashboard login for "${username}" from ${ip}`);
+    return { error: 'Invalid username or password', status: 401 };
+  }
+
+  loginAttempts.delete(ip);
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + sessionTtl;
+  sessions.set(token, { username: matched.username, role: matched.role, expiresAt });
+  log.info(`Dashboard login: ${matched.username} (${matched.role})`);
+  return { token, role: matched.role, username: matched.username, expiresAt };
+}
+
+function logout(token) {
+  return sessions.delete(token);
+}
+
+function getBearerToken(req) {
+  const header = req.get('authorization') || '';
+  if (header.toLowerCase().startsWith('bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+function authenticate(req) {
+  const token = getBearerToken(req);
+  if (!token) return null;
+
+  const session = sessions.get(token);
+  if (session) {
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+    return { username: session.username, role: session.role, token };
+  }
+
+  const apiToken = apiTokens.find(entry => safeEqual(entry.token, token));
+  if (apiToken) {
+    return { username: 'api-token', role: apiToken.role, token };
+  }
+  return null;
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    const auth = authenticate(req);
+    if (!auth) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (ROLES[auth.role] < ROLES[role]) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    req.auth = auth;
+    next();
+  };
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [token, session] of sessions) {
+    if (session.expiresAt < now) sessions.delete(token);
+  }
+}, 60 * 60 * 1000).unref();
+
+module.exports = {
+  ROLES,
+  login,
+  logout,
+  authenticate,
+  requireRole
+};
@@ -0,0 +1,145 @@
+// Database-backed replacement for Baileys' useMultiFileAuthState. Every file the
+// multi-file store would write becomes one wa_auth_state row, keyed the same way,
+// so an existing sessions/ folder can be imported as-is.
+const fs = require('fs').promises;
+const path = require('path');
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+const { pool } = require('./db');
+
+const CREDS_KEY = 'creds';
+
+// Same naming as the multi-file store, minus the .json extension.
+function fixKey(key) {
+  return key.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+function serialize(value) {
+  return JSON.stringify(value, BufferJSON.replacer);
+}
+
+function deserialize(text) {
+  return JSON.parse(text, BufferJSON.reviver);
+}
+
+async function readValues(sessionId, keys) {
+  const { rows } = await pool.query(
+    `SELECT key, value FROM wa_auth_state WHERE session_id = $1 AND key = ANY($2)`,
+    [sessionId, keys]
+  );
+  return new Map(rows.map(row => [row.key, deserialize(row.value)]));
+}
+
+async function writeValues(sessionId, entries) {
+  if (entries.length === 0) return;
+  await pool.query(
+    `INSERT INTO wa_auth_state (session_id, key, value)
+     SELECT $1, key, value FROM UNNEST($2::text[], $3::text[]) AS t(key, value)
+     ON CONFLICT (session_id, key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+    [sessionId, entries.map(([key]) => key), entries.map(([, value]) => serialize(value))]
+  );
+}
+
+async function deleteValues(sessionId, keys) {
+  if (keys.length === 0) return;
+  await pool.query(`DELETE FROM wa_auth_state WHERE session_id = $1 AND key = ANY($2)`, [sessionId, keys]);
+}
+
+async function hasCreds(sessionId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM wa_auth_state WHERE session_id = $1 AND key = $2`,
+    [sessionId, CREDS_KEY]
+  );
+  return rows.length > 0;
+}
+
+async function usePostgresAuthState(sessionId) {
+  const stored = await readValues(sessionId, [CREDS_KEY]);
+  const creds = stored.get(CREDS_KEY) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const values = await readValues(sessionId, ids.map(id => fixKey(`${type}-${id}`)));
+          const data = {};
+          for (const id of ids) {
+            let value = values.get(fixKey(`${type}-${id}`));
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }
+          return data;
+        },
+        set: async (data) => {
+          const writes = [];
+          const deletes = [];
+          for (const type of Object.keys(data)) {
+            for (const id of Object.keys(data[type])) {
+              const key = fixKey(`${type}-${id}`);
+              const value = data[type][id];
+              if (value) {
+                writes.push([key, value]);
+              } else {
+                deletes.push(key);
+              }
+            }
+          }
+          await writeValues(sessionId, writes);
+          await deleteValues(sessionId, deletes);
+        }
+      }
+    },
+    saveCreds: () => writeValues(sessionId, [[CREDS_KEY, creds]])
+  };
+}
+
+// Whether the legacy import already ran (or is moot because the session has
+// had auth state of its own).
+async function isImported(sessionId) {
+  const { rows } = await pool.query(`SELECT auth_imported FROM wa_sessions WHERE id = $1`, [sessionId]);
+  return Boolean(rows[0]?.auth_imported);
+}
+
+async function markImported(sessionId) {
+  await pool.query(`UPDATE wa_sessions SET auth_imported = TRUE WHERE id = $1`, [sessionId]);
+}
+
+// Forgets the linked device; the next connection starts a fresh QR/pairing login.
+// The session is marked imported so old creds are not brought back.
+async function clearAuthState(sessionId) {
+  const { rowCount } = await pool.query(`DELETE FROM wa_auth_state WHERE session_id = $1`, [sessionId]);
+  await markImported(sessionId);
+  return rowCount;
+}
+
+async function importCreds(sessionId, credsJson) {
+  await writeValues(sessionId, [[CREDS_KEY, deserialize(credsJson)]]);
+}
+
+// Copies a useMultiFileAuthState folder into the database. Subfolders (other
+// sessions) are skipped.
+async function importDirectory(sessionId, dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = entries.filter(entry => entry.isFile() && entry.name.endsWith('.json'));
+  if (!files.some(file => file.name === `${CREDS_KEY}.json`)) return 0;
+
+  const values = [];
+  for (const file of files) {
+    const text = await fs.readFile(path.join(dir, file.name), 'utf-8');
+    values.push([file.name.replace(/\.json$/, ''), deserialize(text)]);
+  }
+  await writeValues(sessionId, values);
+  return values.length;
+}
+
+module.exports = {
+  usePostgresAuthState,
+  hasCreds,
+  isImported,
+  markImported,
+  clearAuthState,
+  importCreds,
+  importDirectory
+};
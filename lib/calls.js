@@ -0,0 +1,127 @@
+// Incoming WhatsApp calls: every call is logged, and depending on the session's
+// settings rejected with a reply, and its caller blocked once they call
+// CALL_BLOCK_AFTER times within CALL_BLOCK_WINDOW_HOURS. Owners are never
+// rejected or blocked.
+const { jidNormalizedUser } = require('@whiskeysockets/baileys');
+const config = require('../config');
+const { pool } = require('./db');
+const outbox = require('./outbox');
+const { withRetry } = require('./utils');
+const log = require('./logger').forSubsystem('app');
+
+const blockWindowHours = Number(config.CALL_BLOCK_WINDOW_HOURS) || 24;
+
+// Baileys reports each call several times as it moves through offer, ringing,
+// accept/reject/timeout and terminate; one row follows it along.
+async function recordCall(sessionId, call) {
+  const { rows } = await pool.query(
+    `INSERT INTO calls (session_id, call_id, caller_jid, group_jid, is_video, is_group, status, called_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (session_id, call_id) DO UPDATE SET status = EXCLUDED.status, updated_at = NOW()
+     RETURNING *`,
+    [
+      sessionId,
+      call.id,
+      jidNormalizedUser(call.from),
+      call.groupJid || null,
+      Boolean(call.isVideo),
+      Boolean(call.isGroup),
+      call.status,
+      call.date ? new Date(call.date) : new Date()
+    ]
+  );
+  return rows[0];
+}
+
+async function countRecentCalls(sessionId, callerJid) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM calls
+     WHERE session_id = $1 AND caller_jid = $2 AND called_at > NOW() - make_interval(hours => $3)`,
+    [sessionId, callerJid, blockWindowHours]
+  );
+  return rows[0].count;
+}
+
+async function markCall(id, column) {
+  await pool.query(`UPDATE calls SET ${column} = TRUE, updated_at = NOW() WHERE id = $1`, [id]);
+}
+
+async function notifyOwners(session, text) {
+  for (const owner of session.ownerNumber) {
+    await outbox.send(`${owner}@s.whatsapp.net`, { text }, {}, { sessionId: session.id, source: 'call' })
+      .catch(err => log.error({ err }, 'Call notify error'));
+  }
+}
+
+async function handleCall({ conn, session, call }) {
+  const settings = session.config;
+  try {
+    const row = await recordCall(session.id, call);
+    // Only a new ringing call is acted on; offline offers arrive after the call is over.
+    if (call.status !== 'offer' || call.offline) return row;
+    const callerJid = row.caller_jid;
+    if (session.ownerNumber.includes(callerJid.split('@')[0])) return row;
+    const kind = row.is_video ? 'video' : 'voice';
+    log.info(`Incoming ${kind} call from ${callerJid}${row.is_group ? ' (group call)' : ''}`);
+
+    const blockAfter = Number(settings.CALL_BLOCK_AFTER) || 0;
+    const recentCalls = blockAfter > 0 ? await countRecentCalls(session.id, callerJid) : 0;
+    const block = blockAfter > 0 && recentCalls >= blockAfter;
+
+    if (settings.CALL_AUTO_REJECT) {
+      await withRetry(() => conn.rejectCall(call.id, call.from));
+      await markCall(row.id, 'rejected');
+      // A blocked caller could not receive the reply anyway.
+      if (settings.CALL_REJECT_MESSAGE && !block) {
+        await outbox.send(callerJid, { text: settings.CALL_REJECT_MESSAGE }, {}, { sessionId: session.id, source: 'call' });
+      }
+    }
+
+    if (block) {
+      await withRetry(() => conn.updateBlockStatus(callerJid, 'block'));
+      await markCall(row.id, 'caller_blocked');
+      log.info(`Blocked ${callerJid} after ${recentCalls} calls`);
+      await notifyOwners(session,
+        `🚫 *Caller blocked* 🚫\n\n` +
+        `👤 *Number:* ${callerJid.split('@')[0]}\n` +
+        `📞 *Calls:* ${recentCalls} in ${blockWindowHours}h\n` +
+        `📱 *Session:* ${session.id}`
+      );
+    }
+    return row;
+  } catch (err) {
+    log.error({ err }, 'Call handling error');
+    return null;
+  }
+}
+
+async function listCalls({ sessionId, callerJid = null, limit = 50 }) {
+  const { rows } = await pool.query(
+    `SELECT c.*, ct.push_name
+     FROM calls c
+     LEFT JOIN contacts ct ON ct.jid = c.caller_jid
+     WHERE c.session_id = $1 AND ($2::text IS NULL OR c.caller_jid = $2)
+     ORDER BY c.called_at DESC
+     LIMIT $3`,
+    [sessionId, callerJid, Math.min(Math.max(Number(limit) || 50, 1), 500)]
+  );
+  return rows;
+}
+
+async function countCalls(sessionId) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE is_video)::int AS video,
+            COUNT(*) FILTER (WHERE rejected)::int AS rejected,
+            COUNT(DISTINCT caller_jid) FILTER (WHERE caller_blocked)::int AS blocked_callers
+     FROM calls WHERE session_id = $1`,
+    [sessionId]
+  );
+  return rows[0];
+}
+
+module.exports = {
+  handleCall,
+  listCalls,
+  countCalls
+};
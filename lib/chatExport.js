@@ -0,0 +1,197 @@
+// Zips one chat's stored history as messages.json, messages.csv and a
+// WhatsApp-style chat.txt transcript, with its media files under media/.
+const path = require('path');
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const config = require('../config');
+const { pool } = require('./db');
+const mediaStore = require('./mediaStore');
+const { isCalendarDate } = require('./utils');
+const log = require('./logger').forSubsystem('media');
+
+const FORMATS = ['json', 'csv', 'txt'];
+const CSV_COLUMNS = ['timestamp', 'sender_jid', 'sender_name', 'from_me', 'message_type', 'message_text', 'is_deleted', 'is_edited', 'media_file'];
+const pageSize = 1000;
+const timezone = config.TIMEZONE || 'Asia/Colombo';
+// exportChatBuffer holds the whole zip in memory to send it as a WhatsApp
+// document; bigger exports are for the dashboard download, which streams.
+const maxBufferSize = 100 * 1024 * 1024;
+
+class ExportError extends Error {}
+
+function checkDate(value, name) {
+  if (value && !isCalendarDate(value)) throw new ExportError(`${name} must be a YYYY-MM-DD date`);
+  return value || null;
+}
+
+async function loadChatMessages(sessionId, chatJid, { from = null, to = null } = {}) {
+  from = checkDate(from, 'from');
+  to = checkDate(to, 'to');
+  const messages = [];
+  let lastId = 0;
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT m.id, m.message_id, m.sender_jid, ct.push_name AS sender_name, m.from_me, m.message_type,
+              m.message_text, m.timestamp, m.is_deleted, m.deleted_at, m.is_edited, m.edited_at,
+              m.quoted_message_id, m.media_id, md.file_name AS media_file_name, md.mimetype AS media_mimetype,
+              md.size_bytes AS media_size
+       FROM messages m
+       LEFT JOIN contacts ct ON ct.jid = m.sender_jid
+       LEFT JOIN media md ON md.id = m.media_id
+       WHERE m.session_id = $1 AND m.remote_jid = $2 AND m.id > $3
+         AND ($4::date IS NULL OR (m.timestamp AT TIME ZONE $6)::date >= $4::date)
+         AND ($5::date IS NULL OR (m.timestamp AT TIME ZONE $6)::date <= $5::date)
+       ORDER BY m.id
+       LIMIT $7`,
+      [sessionId, chatJid, lastId, from, to, timezone, pageSize]
+    );
+    messages.push(...rows);
+    if (rows.length < pageSize) break;
+    lastId = rows[rows.length - 1].id;
+  }
+  // Ids follow arrival order; history synced later can be older than what came before it.
+  return messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+// Name of the media file inside the zip, e.g. media/00000042-IMAGE.jpg.
+function archiveMediaName(message) {
+  if (!message.media_file_name) return null;
+  const kind = message.message_type.replace(/Message$/, '').toUpperCase();
+  return `media/${String(message.id).padStart(8, '0')}-${kind}${path.extname(message.media_file_name)}`;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(messages) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const message of messages) {
+    const row = { ...message, media_file: archiveMediaName(message) };
+    lines.push(CSV_COLUMNS.map(column => csvField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function toJson(chatJid, messages) {
+  return JSON.stringify({
+    chat: chatJid,
+    exportedAt: new Date().toISOString(),
+    messages: messages.map(message => ({
+      id: message.message_id,
+      timestamp: message.timestamp,
+      sender: message.sender_jid,
+      senderName: message.sender_name,
+      fromMe: message.from_me,
+      type: message.message_type,
+      text: message.message_text,
+      quotedId: message.quoted_message_id,
+      deleted: Boolean(message.is_deleted),
+      deletedAt: message.deleted_at,
+      edited: Boolean(message.is_edited),
+      editedAt: message.edited_at,
+      media: archiveMediaName(message)
+    }))
+  }, null, 2);
+}
+
+// Same layout as WhatsApp's own "Export chat": "19/10/2026, 21:05 - Name: text".
+function toTranscript(messages) {
+  const lines = messages.map(message => {
+    const date = new Date(message.timestamp);
+    const day = date.toLocaleDateString('en-GB', { timeZone: timezone });
+    const time = date.toLocaleTimeString('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit' });
+    const sender = message.from_me ? 'You' : message.sender_name || `+${message.sender_jid.split('@')[0]}`;
+    const media = archiveMediaName(message);
+    let body = message.message_text || '';
+    if (media) body = `${path.basename(media)} (file attached)${body ? `\n${body}` : ''}`;
+    else if (!body) body = `<${message.message_type.replace(/Message$/, '')} omitted>`;
+    if (message.is_deleted) body += ' <This message was deleted>';
+    if (message.is_edited) body += ' <This message was edited>';
+    return `${day}, ${time} - ${sender}: ${body}`;
+  });
+  return lines.join('\n') + '\n';
+}
+
+function parseFormats(value) {
+  if (!value) return FORMATS;
+  const formats = [...new Set(String(value).toLowerCase().split(',').map(format => format.trim()).filter(Boolean))];
+  const unknown = formats.filter(format => !FORMATS.includes(format));
+  if (unknown.length > 0 || formats.length === 0) {
+    throw new ExportError(`Unknown export format "${unknown.join(', ')}", use ${FORMATS.join(', ')}`);
+  }
+  return formats;
+}
+
+// Writes the zip of already loaded messages to output (an HTTP response or any
+// writable stream) and resolves once it is complete.
+async function writeArchive(chatJid, messages, { formats = FORMATS, includeMedia = true } = {}, output) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+  archive.on('warning', err => log.warn({ err }, 'Chat export warning'));
+  archive.pipe(output);
+
+  if (formats.includes('json')) archive.append(toJson(chatJid, messages), { name: 'messages.json' });
+  if (formats.includes('csv')) archive.append(toCsv(messages), { name: 'messages.csv' });
+  if (formats.includes('txt')) archive.append(toTranscript(messages), { name: 'chat.txt' });
+
+  let mediaFiles = 0;
+  if (includeMedia) {
+    for (const message of messages) {
+      const name = archiveMediaName(message);
+      if (!name) continue;
+      const file = path.join(mediaStore.mediaDir, message.media_file_name);
+      // Pruned media still has a row until the next prune pass.
+      if (!fs.existsSync(file)) continue;
+      archive.file(file, { name });
+      mediaFiles++;
+    }
+  }
+
+  await archive.finalize();
+  await finished;
+  return { messages: messages.length, mediaFiles };
+}
+
+// The whole zip in memory, for sending it as a WhatsApp document.
+async function exportChatBuffer({ sessionId, chatJid, formats, includeMedia, from, to }) {
+  const messages = await loadChatMessages(sessionId, chatJid, { from, to });
+  if (messages.length === 0) throw new ExportError(`No stored messages for ${chatJid}`);
+  if (includeMedia) {
+    const mediaSize = messages.reduce((sum, message) => sum + Number(message.media_size || 0), 0);
+    if (mediaSize > maxBufferSize) {
+      throw new ExportError(
+        `The media of this chat adds up to ${Math.ceil(mediaSize / 1024 / 1024)} MB, more than the ` +
+        `${maxBufferSize / 1024 / 1024} MB that can be sent here. Leave it out with nomedia, pick fewer days ` +
+        `with after:/before:, or download the export from the dashboard`
+      );
+    }
+  }
+  const chunks = [];
+  const output = new PassThrough();
+  output.on('data', chunk => chunks.push(chunk));
+  const counts = await writeArchive(chatJid, messages, { formats, includeMedia }, output);
+  return { ...counts, buffer: Buffer.concat(chunks) };
+}
+
+function exportFileName(chatJid) {
+  const day = new Date().toLocaleDateString('en-CA', { timeZone: timezone });
+  return `chat-${chatJid.split('@')[0]}-${day}.zip`;
+}
+
+module.exports = {
+  FORMATS,
+  ExportError,
+  parseFormats,
+  loadChatMessages,
+  writeArchive,
+  exportChatBuffer,
+  exportFileName
+};
@@ -0,0 +1,219 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { withRetry } = require('./utils');
+const analytics = require('./analytics');
+const log = require('./logger').forSubsystem('rules');
+
+const PERMISSIONS = ['everyone', 'admin', 'owner'];
+
+const commands = new Map();
+const aliases = new Map();
+// Per command and sender: when they may use the command again.
+const cooldowns = new Map();
+const cooldownSweepInterval = 60 * 1000;
+
+class UsageError extends Error {}
+
+function registerCommand(command, file = command.name) {
+  if (!command || typeof command.name !== 'string' || typeof command.execute !== 'function') {
+    throw new Error(`Command in ${file} must export a name and an execute function`);
+  }
+  const name = command.name.toLowerCase();
+  if (commands.has(name) || aliases.has(name)) {
+    throw new Error(`Duplicate command name "${name}" in ${file}`);
+  }
+  const permission = command.permission || 'everyone';
+  if (!PERMISSIONS.includes(permission)) {
+    throw new Error(`Unknown permission "${permission}" for command "${name}"`);
+  }
+
+  const entry = {
+    aliases: [],
+    description: '',
+    usage: '',
+    category: 'general',
+    cooldown: 0,
+    ...command,
+    name,
+    permission
+  };
+  commands.set(name, entry);
+  for (const alias of entry.aliases) {
+    const key = alias.toLowerCase();
+    if (commands.has(key) || aliases.has(key)) {
+      throw new Error(`Alias "${key}" of command "${name}" is already taken`);
+    }
+    aliases.set(key, name);
+  }
+  return entry;
+}
+
+async function loadCommands(dir) {
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith('.js')).sort();
+  for (const file of files) {
+    try {
+      registerCommand(require(path.resolve(dir, file)), file);
+    } catch (err) {
+      log.error({ err }, `Failed to load command ${file}`);
+    }
+  }
+  log.info(`Loaded ${commands.size} commands from ${dir}`);
+  return commands.size;
+}
+
+function findCommand(name) {
+  const key = (name || '').toLowerCase();
+  return commands.get(key) || commands.get(aliases.get(key)) || null;
+}
+
+function listCommands() {
+  return [...commands.values()];
+}
+
+function parseCommand(text, prefix) {
+  if (!text || !text.startsWith(prefix)) return null;
+  const body = text.slice(prefix.length).trimEnd();
+  const [name, ...args] = body.split(/\s+/);
+  // ". hi", "..." and similar are just chat, not commands.
+  if (!name || !/^[a-z0-9_-]+$/i.test(name)) return null;
+  return {
+    name: name.toLowerCase(),
+    args,
+    rawArgs: body.slice(name.length).trim()
+  };
+}
+
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestCommand(name) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of [...commands.keys(), ...aliases.keys()]) {
+    const distance = levenshtein(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= 2 ? best : null;
+}
+
+async function isGroupAdmin(conn, groupJid, senderJid) {
+  try {
+    const metadata = await withRetry(() => conn.groupMetadata(groupJid));
+    const participant = metadata.participants.find(p => p.id === senderJid);
+    return Boolean(participant && participant.admin);
+  } catch (err) {
+    log.error({ err }, 'Group admin check error');
+    return false;
+  }
+}
+
+async function hasPermission(command, ctx) {
+  if (command.permission === 'everyone' || ctx.isOwner) return true;
+  if (command.permission === 'admin') {
+    return ctx.isGroup && isGroupAdmin(ctx.conn, ctx.from, ctx.sender);
+  }
+  return false;
+}
+
+function describePermission(permission) {
+  if (permission === 'owner') return 'owners';
+  if (permission === 'admin') return 'group admins';
+  return 'everyone';
+}
+
+function formatUsage(command, prefix) {
+  return `${prefix}${command.name}${command.usage ? ` ${command.usage}` : ''}`;
+}
+
+// Returns the remaining cooldown in seconds, or 0 when the command may run.
+function checkCooldown(command, sender) {
+  if (!command.cooldown) return 0;
+  const key = `${command.name}:${sender}`;
+  const now = Date.now();
+  const readyAt = cooldowns.get(key) || 0;
+  if (readyAt > now) return Math.ceil((readyAt - now) / 1000);
+  cooldowns.set(key, now + command.cooldown * 1000);
+  return 0;
+}
+
+// Senders who never come back would otherwise stay in memory for good.
+function sweepCooldowns() {
+  const now = Date.now();
+  for (const [key, readyAt] of cooldowns) {
+    if (readyAt <= now) cooldowns.delete(key);
+  }
+}
+
+setInterval(sweepCooldowns, cooldownSweepInterval).unref();
+
+async function handleCommand(ctx) {
+  const parsed = parseCommand(ctx.text, ctx.prefix);
+  if (!parsed) return false;
+
+  const command = findCommand(parsed.name);
+  if (!command) {
+    const suggestion = suggestCommand(parsed.name);
+    await ctx.reply(
+      `❓ Unknown command *${ctx.prefix}${parsed.name}*.` +
+      (suggestion ? ` Did you mean *${ctx.prefix}${suggestion}*?` : '') +
+      `\nType *${ctx.prefix}help* to see all commands.`
+    );
+    return true;
+  }
+
+  if (!(await hasPermission(command, ctx))) {
+    await ctx.reply(`🚫 Only ${describePermission(command.permission)} can use the ${ctx.prefix}${command.name} command.`);
+    return true;
+  }
+
+  if (!ctx.isOwner) {
+    const wait = checkCooldown(command, ctx.sender);
+    if (wait > 0) {
+      await ctx.reply(`⏳ Please wait ${wait}s before using ${ctx.prefix}${command.name} again.`);
+      return true;
+    }
+  }
+
+  await analytics.recordHit(ctx.session.id, 'command', command.name);
+  const commandCtx = { ...ctx, command, args: parsed.args, rawArgs: parsed.rawArgs };
+  try {
+    const options = command.parseArgs ? await command.parseArgs(parsed.args, commandCtx) : parsed.args;
+    await command.execute(commandCtx, options);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      await ctx.reply(`❌ ${err.message}\n\n*Usage:* ${formatUsage(command, ctx.prefix)}`);
+    } else {
+      log.error({ err }, `Command ${command.name} error`);
+      await ctx.reply(`❌ Failed to run ${ctx.prefix}${command.name}: ${err.message}`);
+    }
+  }
+  return true;
+}
+
+module.exports = {
+  PERMISSIONS,
+  UsageError,
+  registerCommand,
+  loadCommands,
+  findCommand,
+  listCommands,
+  parseCommand,
+  hasPermission,
+  describePermission,
+  formatUsage,
+  handleCommand
+};
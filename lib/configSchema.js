@@ -0,0 +1,198 @@
+// Every configuration key with its type, default and scope. Values come from
+// environment variables (or .env); per-session overrides live in
+// wa_sessions.settings.
+//   scope 'global'   only from the environment
+//   scope 'session'  a session may override it through the sessions API
+//   scope 'runtime'  like 'session', and also changeable live with .set or the
+//                    dashboard settings page
+// secret values are never shown by the dashboard or .set.
+const TRUE_WORDS = ['true', 'on', 'yes', '1', 'enabled'];
+const FALSE_WORDS = ['false', 'off', 'no', '0', 'disabled'];
+
+const DEFAULT_STATUS_TRIGGERS = 'send,dhn,danna,ewm,ewn,denna,meka,semd,one,onee,onii,ewanna,ewnnda,ewapSend,Seve,' +
+  'Ewpm,ewpn,Dapan,dapan,oni,Oni,save,Save,ewanna,Ewanna,ewam,Ewam,sv,Sv,දාන්න,එවම්න';
+
+const SCHEMA = {
+  DATABASE_URL: { type: 'string', required: true, secret: true, description: 'PostgreSQL connection string' },
+  SESSION_ID: { type: 'string', default: '', secret: true, description: 'MEGA session id to import the main session\'s creds from' },
+  PORT: { type: 'number', default: 9090, min: 1, description: 'HTTP port of the dashboard and API' },
+  OWNER_NUMBER: { type: 'list', required: true, pattern: /^\d{8,15}$/, description: 'Owner phone numbers, comma separated' },
+  IMGBB_API_KEY: { type: 'string', default: '', secret: true, description: 'ImgBB key for image uploads, empty skips them' },
+  TIMEZONE: { type: 'timezone', default: 'Asia/Colombo', description: 'Timezone for rule time windows, dates and reports' },
+  MAX_RETRIES: { type: 'number', default: 3, min: 1, description: 'Attempts for network calls that fail transiently' },
+
+  PREFIX: { type: 'string', default: '.', scope: 'session', description: 'Command prefix' },
+  RESTRICTED_NUMBER: { type: 'string', default: '', scope: 'session', description: 'JID that never gets auto-replies' },
+  GROUP_LINK: {
+    type: 'string',
+    default: 'https://chat.whatsapp.com/JnenfkxOzH6JefRmeaSo0M',
+    scope: 'session',
+    description: 'Group invite the bot joins once connected, empty for none'
+  },
+  RENDER_JSON_URL: { type: 'string', default: '', scope: 'session', description: 'URL reply.json is reloaded from' },
+  AUTO_BIO: { type: 'boolean', default: false, scope: 'session', description: 'Set the profile bio when connecting' },
+  ALWAYS_ONLINE: { type: 'boolean', default: true, scope: 'session', description: 'Show as online while connected' },
+
+  AUTO_READ: { type: 'boolean', default: false, scope: 'runtime', description: 'Mark incoming messages as read' },
+  AUTO_TYPING: { type: 'boolean', default: false, scope: 'runtime', description: 'Show "typing..." when a message arrives' },
+  AUTO_RECORDING: { type: 'boolean', default: true, scope: 'runtime', description: 'Show "recording..." when a message arrives' },
+  AUTO_STATUS_SEEN: { type: 'boolean', default: true, scope: 'runtime', description: 'Mark contacts\' statuses as seen' },
+  STATUS_TRIGGERS: {
+    type: 'list',
+    default: DEFAULT_STATUS_TRIGGERS,
+    scope: 'runtime',
+    description: 'Replies to a status that make the bot send it back, comma separated'
+  },
+  STATUS_ARCHIVE: { type: 'boolean', default: false, scope: 'runtime', description: 'Keep a copy of contacts\' statuses' },
+  STATUS_ARCHIVE_RETENTION_DAYS: { type: 'number', default: 30, min: 1, description: 'Days archived statuses are kept' },
+  GROUP_UPDATE_DIGEST: { type: 'boolean', default: true, scope: 'runtime', description: 'Tell the owners about group joins, leaves and promotions' },
+  CALL_AUTO_REJECT: { type: 'boolean', default: false, scope: 'runtime', description: 'Decline calls from everyone but the owners' },
+  CALL_REJECT_MESSAGE: {
+    type: 'string',
+    default: '📵 Sorry, calls are not answered on this number. Please send a message instead.',
+    scope: 'runtime',
+    description: 'Reply to rejected callers, empty rejects silently'
+  },
+  CALL_BLOCK_AFTER: { type: 'number', default: 0, min: 0, scope: 'runtime', description: 'Block callers after this many calls in the window, 0 never blocks' },
+  CALL_BLOCK_WINDOW_HOURS: { type: 'number', default: 24, min: 1, description: 'Window CALL_BLOCK_AFTER counts calls in' },
+
+  DASHBOARD_USERS: { type: 'string', default: '', secret: true, description: '"username:password:role" entries, comma separated' },
+  API_TOKENS: { type: 'string', default: '', secret: true, description: '"token:role" entries, comma separated' },
+  SESSION_TTL_HOURS: { type: 'number', default: 12, min: 1, description: 'Dashboard login lifetime' },
+
+  ANTI_DELETE_ROUTE: { type: 'enum', values: ['owner', 'log', 'chat', 'off'], default: 'owner', description: 'Where recovered messages go by default' },
+  ANTI_DELETE_LOG_CHAT: { type: 'string', default: '', description: 'Chat JID used by the "log" route' },
+  MEDIA_DIR: { type: 'string', default: '', description: 'Media store directory, defaults to ./media' },
+  MEDIA_MAX_AGE_DAYS: { type: 'number', default: 30, min: 1, description: 'Days media no stored message or status uses is kept' },
+  MEDIA_MAX_SIZE_MB: { type: 'number', default: 1024, min: 1, description: 'Size the media store is trimmed to, unused media first' },
+  OUTBOX_GLOBAL_PER_MINUTE: { type: 'number', default: 30, min: 1, description: 'Messages per minute across all chats' },
+  OUTBOX_CHAT_PER_MINUTE: { type: 'number', default: 10, min: 1, description: 'Messages per minute to a single chat' },
+  OUTBOX_MIN_INTERVAL_MS: { type: 'number', default: 500, min: 0, description: 'Gap between any two sends' },
+  OUTBOX_MAX_ATTEMPTS: { type: 'number', default: 6, min: 1, description: 'Send attempts before a message fails' },
+  API_MAX_UPLOAD_MB: { type: 'number', default: 16, min: 1, description: 'Largest media accepted by the API' },
+  WEBHOOK_MAX_ATTEMPTS: { type: 'number', default: 8, min: 1, description: 'Delivery attempts per webhook event' },
+  WEBHOOK_TIMEOUT_MS: { type: 'number', default: 10000, min: 1, description: 'Webhook request timeout' },
+  WEBHOOK_LOG_RETENTION_DAYS: { type: 'number', default: 14, min: 1, description: 'Days webhook deliveries are kept' },
+  RECONNECT_BASE_DELAY_MS: { type: 'number', default: 2000, min: 0, description: 'First reconnect delay, doubled on every failure' },
+  RECONNECT_MAX_DELAY_MS: { type: 'number', default: 300000, min: 0, description: 'Longest reconnect delay' },
+  RECONNECT_NOTIFY_AFTER: { type: 'number', default: 5, min: 1, description: 'Failed reconnects before owners get a warning' },
+  WATCHDOG_INTERVAL_MS: { type: 'number', default: 60000, min: 1000, description: 'How often open sockets are pinged' },
+  ANALYTICS_REFRESH_SECONDS: { type: 'number', default: 10, min: 1, description: 'How often live dashboard charts are recomputed' },
+
+  LOG_LEVEL: {
+    type: 'enum',
+    values: ['trace', 'debug', 'info', 'warn', 'error', 'fatal', 'silent'],
+    default: 'info',
+    description: 'Log level for every subsystem without its own'
+  },
+  LOG_LEVELS: { type: 'string', default: '', description: 'Per subsystem levels, e.g. "connection=debug,db=warn"' },
+  LOG_FILE: { type: 'string', default: '', description: 'Also write logs to this file, rotated' },
+  LOG_ROTATE_FREQUENCY: { type: 'enum', values: ['hourly', 'daily', ''], default: 'daily', description: 'Log file rotation period, empty rotates by size only' },
+  LOG_ROTATE_SIZE: { type: 'string', default: '10m', description: 'Start a new log file past this size, empty for no limit' },
+  LOG_RETAIN_FILES: { type: 'number', default: 7, min: 1, description: 'Rotated log files kept' }
+};
+
+class ConfigError extends Error {}
+
+function isSessionSetting(key) {
+  return Boolean(SCHEMA[key]) && ['session', 'runtime'].includes(SCHEMA[key].scope);
+}
+
+function isRuntimeSetting(key) {
+  return Boolean(SCHEMA[key]) && SCHEMA[key].scope === 'runtime';
+}
+
+// Turns a raw value (an env string, JSON from the API or words from .set) into
+// the key's type, or throws a ConfigError saying what was expected.
+function parseValue(key, raw) {
+  const spec = SCHEMA[key];
+  if (!spec) throw new ConfigError(`Unknown setting ${key}`);
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+
+  switch (spec.type) {
+    case 'boolean': {
+      if (typeof text === 'boolean') return text;
+      const word = String(text).toLowerCase();
+      if (TRUE_WORDS.includes(word)) return true;
+      if (FALSE_WORDS.includes(word)) return false;
+      throw new ConfigError(`${key} must be on or off (true/false), got "${raw}"`);
+    }
+    case 'number': {
+      const value = typeof text === 'number' ? text : Number(text);
+      if (text === '' || !Number.isFinite(value)) throw new ConfigError(`${key} must be a number, got "${raw}"`);
+      if (spec.min !== undefined && value < spec.min) throw new ConfigError(`${key} must be at least ${spec.min}, got ${value}`);
+      return value;
+    }
+    case 'enum': {
+      const value = String(text);
+      if (!spec.values.includes(value)) {
+        throw new ConfigError(`${key} must be one of ${spec.values.map(v => `"${v}"`).join(', ')}, got "${raw}"`);
+      }
+      return value;
+    }
+    case 'list': {
+      const items = String(text).split(',').map(item => item.trim()).filter(Boolean);
+      const bad = spec.pattern ? items.filter(item => !spec.pattern.test(item)) : [];
+      if (bad.length > 0) throw new ConfigError(`${key} has invalid entries: ${bad.join(', ')}`);
+      return items.join(',');
+    }
+    case 'timezone': {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: String(text) });
+      } catch (err) {
+        throw new ConfigError(`${key} must be an IANA timezone like Asia/Colombo, got "${raw}"`);
+      }
+      return String(text);
+    }
+    default:
+      if (typeof text !== 'string') throw new ConfigError(`${key} must be text`);
+      return text;
+  }
+}
+
+// Reads every key from env, collecting all problems instead of stopping at the first.
+function loadConfig(env) {
+  const values = {};
+  const errors = [];
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const raw = env[key];
+    // An empty NUMBER= or FLAG= line means "use the default"; text can be empty on purpose.
+    const blank = raw === '' && (spec.required || !['string', 'list', 'enum'].includes(spec.type));
+    if (raw === undefined || blank) {
+      if (spec.required) errors.push(`${key} is required (${spec.description})`);
+      else values[key] = spec.default;
+      continue;
+    }
+    try {
+      values[key] = parseValue(key, raw);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  return { values, errors };
+}
+
+// Stored session overrides, typed. Ones that no longer parse (hand-edited rows,
+// keys since retired) are skipped so a bad row cannot stop a session loading.
+function parseSessionSettings(settings = {}, onInvalid = () => {}) {
+  const parsed = {};
+  for (const [key, value] of Object.entries(settings)) {
+    try {
+      if (!isSessionSetting(key)) throw new ConfigError(`${key} cannot be set per session`);
+      parsed[key] = parseValue(key, value);
+    } catch (err) {
+      onInvalid(key, err);
+    }
+  }
+  return parsed;
+}
+
+module.exports = {
+  SCHEMA,
+  ConfigError,
+  isSessionSetting,
+  isRuntimeSetting,
+  parseValue,
+  loadConfig,
+  parseSessionSettings
+};
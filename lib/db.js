@@ -0,0 +1,35 @@
+const { Pool } = require('pg');
+const config = require('../config');
+const metrics = require('./metrics');
+const log = require('./logger').forSubsystem('db');
+
+const pool = new Pool({
+  connectionString: config.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+pool.on('error', (err) => {
+  log.error({ err }, 'Idle database client error');
+});
+
+// Counts failed queries for /metrics and, at debug level, logs every query
+// with its duration; callers still get the result or rejection unchanged.
+const query = pool.query.bind(pool);
+pool.query = (...args) => {
+  const started = Date.now();
+  const result = query(...args);
+  if (!result) return result;
+  result.then(
+    (res) => {
+      if (!log.isLevelEnabled('debug')) return;
+      const text = typeof args[0] === 'string' ? args[0] : args[0]?.text;
+      log.debug({ query: String(text).replace(/\s+/g, ' ').slice(0, 120), rows: res?.rowCount, ms: Date.now() - started }, 'Query');
+    },
+    () => metrics.dbErrors.inc()
+  );
+  return result;
+};
+
+module.exports = {
+  pool
+};
@@ -0,0 +1,201 @@
+// Welcome and goodbye messages posted in the group when members join or leave.
+// Templates: ${mention} ${userid} ${groupname} ${groupdesc} ${membercount}
+// ${memberdpurl} ${date} ${time}. With pictures on, the member's profile picture
+// is sent with the text as its caption.
+const { jidNormalizedUser } = require('@whiskeysockets/baileys');
+const config = require('../config');
+const { pool } = require('./db');
+const outbox = require('./outbox');
+const { renderTemplate } = require('./rules');
+const { fetchMedia } = require('./utils');
+const { UsageError } = require('./commands');
+const log = require('./logger').forSubsystem('app');
+
+const KINDS = ['welcome', 'goodbye'];
+const DEFAULT_TEMPLATES = {
+  welcome: '👋 Welcome ${mention} to *${groupname}*!\n\n👥 You are member #${membercount}\n📜 ${groupdesc}',
+  goodbye: '🚪 ${mention} left *${groupname}*.\n\n👥 ${membercount} members remain'
+};
+const ACTION_KINDS = { add: 'welcome', remove: 'goodbye' };
+const defaultTimezone = config.TIMEZONE || 'Asia/Colombo';
+
+async function getGreetings(sessionId, groupJid) {
+  const { rows } = await pool.query(
+    `SELECT * FROM group_greetings WHERE session_id = $1 AND group_jid = $2`,
+    [sessionId, groupJid]
+  );
+  const row = rows[0] || { welcome_enabled: false, goodbye_enabled: false, with_picture: true };
+  return {
+    welcome: { enabled: row.welcome_enabled, template: row.welcome_template || DEFAULT_TEMPLATES.welcome },
+    goodbye: { enabled: row.goodbye_enabled, template: row.goodbye_template || DEFAULT_TEMPLATES.goodbye },
+    withPicture: row.with_picture
+  };
+}
+
+// Changes one kind's enabled flag or template, or the shared picture flag.
+// Saving the default template stores NULL so later default changes apply.
+async function updateGreeting(sessionId, groupJid, kind, { enabled, template, withPicture }) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown greeting "${kind}"`);
+  const current = await getGreetings(sessionId, groupJid);
+  const next = {
+    enabled: enabled ?? current[kind].enabled,
+    template: template === undefined ? current[kind].template : template,
+    withPicture: withPicture ?? current.withPicture
+  };
+  await pool.query(
+    `INSERT INTO group_greetings (session_id, group_jid, ${kind}_enabled, ${kind}_template, with_picture, updated_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     ON CONFLICT (session_id, group_jid) DO UPDATE SET
+       ${kind}_enabled = $3, ${kind}_template = $4, with_picture = $5, updated_at = NOW()`,
+    [sessionId, groupJid, next.enabled, next.template === DEFAULT_TEMPLATES[kind] ? null : next.template, next.withPicture]
+  );
+  return getGreetings(sessionId, groupJid);
+}
+
+function buildVariables({ conn, memberJid, groupMetadata }) {
+  const now = new Date();
+  return {
+    mention: `@${memberJid.split('@')[0]}`,
+    userid: memberJid.split('@')[0],
+    groupname: groupMetadata.subject || '',
+    groupdesc: groupMetadata.desc || '',
+    membercount: groupMetadata.participants.length,
+    date: now.toLocaleDateString('en-GB', { timeZone: defaultTimezone }),
+    time: now.toLocaleTimeString('en-GB', { timeZone: defaultTimezone, hour: '2-digit', minute: '2-digit' }),
+    memberdpurl: async () => {
+      try {
+        return await conn.profilePictureUrl(memberJid, 'image') || '';
+      } catch (err) {
+        return '';
+      }
+    }
+  };
+}
+
+async function buildGreeting({ conn, template, withPicture, memberJid, groupMetadata }) {
+  const variables = buildVariables({ conn, memberJid, groupMetadata });
+  const text = await renderTemplate(template, variables);
+  if (withPicture) {
+    const pictureUrl = typeof variables.memberdpurl === 'function' ? await variables.memberdpurl() : variables.memberdpurl;
+    // Members with a hidden or no profile picture just get the text.
+    const picture = pictureUrl ? await fetchMedia(pictureUrl) : null;
+    if (picture) return { image: picture, caption: text, mentions: [memberJid] };
+  }
+  return { text, mentions: [memberJid] };
+}
+
+// Posts the group's welcome or goodbye for every member in a
+// group-participants.update. Returns the number of greetings sent.
+async function handleParticipantsUpdate({ conn, session, update, groupMetadata }) {
+  const kind = ACTION_KINDS[update.action];
+  if (!kind) return 0;
+  try {
+    const greetings = await getGreetings(session.id, update.id);
+    if (!greetings[kind].enabled) return 0;
+    const botJid = conn.user ? jidNormalizedUser(conn.user.id) : null;
+    let sent = 0;
+    for (const memberJid of update.participants) {
+      if (memberJid === botJid) continue;
+      const content = await buildGreeting({
+        conn,
+        template: greetings[kind].template,
+        withPicture: greetings.withPicture,
+        memberJid,
+        groupMetadata
+      });
+      await outbox.send(update.id, content, {}, { sessionId: session.id, source: kind });
+      sent++;
+    }
+    return sent;
+  } catch (err) {
+    log.error({ err }, `Group ${kind} error`);
+    return 0;
+  }
+}
+
+function describeGreeting(kind, greetings) {
+  const { enabled, template } = greetings[kind];
+  return `${kind === 'welcome' ? '👋' : '🚪'} *${kind[0].toUpperCase()}${kind.slice(1)} message:* ${enabled ? 'on' : 'off'}\n` +
+         `🖼️ *Profile picture:* ${greetings.withPicture ? 'on' : 'off'}\n\n` +
+         `*Template:*\n${template}`;
+}
+
+// .welcome and .goodbye share everything but the kind.
+function greetingCommand(kind) {
+  return {
+    name: kind,
+    description: `Post a ${kind} message in the group when members ${kind === 'welcome' ? 'join' : 'leave'}`,
+    usage: 'on, off, set <template>, reset, picture <on|off>, test',
+    category: 'group',
+    permission: 'admin',
+    parseArgs(args, ctx) {
+      if (!ctx.isGroup) throw new UsageError('This command only works in groups');
+      const action = (args[0] || 'show').toLowerCase();
+      switch (action) {
+        case 'show':
+        case 'on':
+        case 'off':
+        case 'reset':
+        case 'test':
+          return { action };
+        case 'set': {
+          const template = ctx.rawArgs.slice(args[0].length).trim();
+          if (!template) {
+            throw new UsageError('Write the template after "set", e.g. Hi ${mention}, welcome to ${groupname}');
+          }
+          return { action, template };
+        }
+        case 'picture': {
+          const value = (args[1] || '').toLowerCase();
+          if (!['on', 'off'].includes(value)) throw new UsageError('Use picture on or picture off');
+          return { action, withPicture: value === 'on' };
+        }
+        default:
+          throw new UsageError(`Unknown action "${args[0]}"`);
+      }
+    },
+    async execute(ctx, options) {
+      const { session, from } = ctx;
+      let greetings;
+      switch (options.action) {
+        case 'on':
+        case 'off':
+          greetings = await updateGreeting(session.id, from, kind, { enabled: options.action === 'on' });
+          break;
+        case 'set':
+          greetings = await updateGreeting(session.id, from, kind, { template: options.template, enabled: true });
+          break;
+        case 'reset':
+          greetings = await updateGreeting(session.id, from, kind, { template: DEFAULT_TEMPLATES[kind] });
+          break;
+        case 'picture':
+          greetings = await updateGreeting(session.id, from, kind, { withPicture: options.withPicture });
+          break;
+        case 'test': {
+          greetings = await getGreetings(session.id, from);
+          const groupMetadata = await ctx.conn.groupMetadata(from);
+          await ctx.reply(await buildGreeting({
+            conn: ctx.conn,
+            template: greetings[kind].template,
+            withPicture: greetings.withPicture,
+            memberJid: ctx.sender,
+            groupMetadata
+          }));
+          return;
+        }
+        default:
+          greetings = await getGreetings(session.id, from);
+      }
+      await ctx.reply(describeGreeting(kind, greetings));
+    }
+  };
+}
+
+module.exports = {
+  KINDS,
+  DEFAULT_TEMPLATES,
+  getGreetings,
+  updateGreeting,
+  handleParticipantsUpdate,
+  greetingCommand
+};
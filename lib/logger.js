@@ -0,0 +1,158 @@
+// One pino logger for the whole bot. Every subsystem logs through a child with
+// its own level (LOG_LEVELS, e.g. "connection=debug,db=warn"), and lines logged
+// while an incoming message or HTTP request is handled carry its correlationId.
+// Configured secrets are masked before anything is written.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const pino = require('pino');
+const config = require('../config');
+
+const SUBSYSTEMS = ['app', 'connection', 'db', 'rules', 'media', 'http', 'baileys'];
+const LEVELS = [...Object.keys(pino.levels.values), 'silent'];
+// Baileys logs every frame it handles; it stays quiet unless asked for.
+const SUBSYSTEM_DEFAULTS = { baileys: 'silent' };
+const REDACTED = '[REDACTED]';
+
+const context = new AsyncLocalStorage();
+const secrets = new Set();
+const configWarnings = [];
+
+function addSecret(value) {
+  // Short values would mask ordinary words.
+  if (typeof value === 'string' && value.length >= 6) secrets.add(value);
+}
+
+function addConfiguredSecrets() {
+  addSecret(config.IMGBB_API_KEY);
+  addSecret(config.SESSION_ID);
+  addSecret(String(config.SESSION_ID || '').replace('TADASHI-ID=', ''));
+  try {
+    addSecret(decodeURIComponent(new URL(config.DATABASE_URL).password));
+  } catch (err) {
+    // Not a URL; nothing to pull a password out of.
+  }
+  for (const entry of String(config.API_TOKENS || '').split(',')) addSecret(entry.trim().split(':')[0]);
+  for (const entry of String(config.DASHBOARD_USERS || '').split(',')) addSecret(entry.trim().split(':')[1]);
+}
+
+function scrub(text) {
+  let result = text;
+  for (const secret of secrets) {
+    if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+function parseLevel(value, name) {
+  const level = String(value || '').trim().toLowerCase();
+  if (LEVELS.includes(level)) return level;
+  configWarnings.push(`Unknown log level "${value}" for ${name}, using info`);
+  return 'info';
+}
+
+function parseSubsystemLevels(text) {
+  const levels = {};
+  for (const entry of String(text || '').split(',')) {
+    if (!entry.trim()) continue;
+    const [name, level] = entry.split('=').map(part => part.trim());
+    if (!SUBSYSTEMS.includes(name)) {
+      configWarnings.push(`Unknown log subsystem "${name}" in LOG_LEVELS, use one of: ${SUBSYSTEMS.join(', ')}`);
+      continue;
+    }
+    levels[name] = parseLevel(level, name);
+  }
+  return levels;
+}
+
+// Errors keep what helps debugging; axios errors would otherwise dump their
+// whole request config, API keys included.
+function serializeError(err) {
+  if (!(err instanceof Error)) return typeof err === 'string' ? scrub(err) : err;
+  return {
+    type: err.name,
+    message: scrub(err.message || ''),
+    code: err.code,
+    statusCode: err.output?.statusCode || err.response?.status,
+    stack: err.stack && scrub(err.stack)
+  };
+}
+
+function destination() {
+  if (!config.LOG_FILE) return pino.destination(1);
+  return pino.transport({
+    targets: [
+      { target: 'pino/file', level: 'trace', options: { destination: 1 } },
+      {
+        target: 'pino-roll',
+        level: 'trace',
+        options: {
+          file: config.LOG_FILE,
+          frequency: config.LOG_ROTATE_FREQUENCY || undefined,
+          size: config.LOG_ROTATE_SIZE || undefined,
+          limit: { count: Number(config.LOG_RETAIN_FILES) || 7 },
+          mkdir: true
+        }
+      }
+    ]
+  });
+}
+
+addConfiguredSecrets();
+const subsystemLevels = parseSubsystemLevels(config.LOG_LEVELS);
+
+const root = pino({
+  level: parseLevel(config.LOG_LEVEL || 'info', 'LOG_LEVEL'),
+  base: { pid: process.pid },
+  serializers: { err: serializeError },
+  redact: {
+    paths: ['password', 'token', 'authorization', 'headers.authorization', 'creds', '*.password', '*.token', '*.creds'],
+    censor: REDACTED
+  },
+  mixin() {
+    const store = context.getStore();
+    return store && store.correlationId ? { correlationId: store.correlationId } : {};
+  },
+  hooks: {
+    logMethod(args, method) {
+      method.apply(this, args.map(arg => (typeof arg === 'string' ? scrub(arg) : arg)));
+    }
+  }
+}, destination());
+
+const children = new Map();
+
+function forSubsystem(name) {
+  if (!SUBSYSTEMS.includes(name)) throw new Error(`Unknown log subsystem "${name}"`);
+  if (!children.has(name)) {
+    const child = root.child({ subsystem: name });
+    child.level = subsystemLevels[name] || SUBSYSTEM_DEFAULTS[name] || root.level;
+    children.set(name, child);
+  }
+  return children.get(name);
+}
+
+// Runs fn with a correlation id that every log line inside it (including
+// across awaits) picks up. A null id runs fn without one.
+function withCorrelation(id, fn) {
+  return context.run({ correlationId: id }, fn);
+}
+
+function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+function correlationId() {
+  return context.getStore()?.correlationId || null;
+}
+
+for (const warning of configWarnings) forSubsystem('app').warn(warning);
+
+module.exports = {
+  SUBSYSTEMS,
+  forSubsystem,
+  withCorrelation,
+  newCorrelationId,
+  correlationId,
+  addSecret,
+  scrub
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { pool } = require('./db');
+const log = require('./logger').forSubsystem('media');
+
+const mediaDir = config.MEDIA_DIR || path.join(__dirname, '..', 'media');
+const maxAge = (Number(config.MEDIA_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const maxTotalSize = (Number(config.MEDIA_MAX_SIZE_MB) || 1024) * 1024 * 1024;
+
+const MEDIA_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'];
+
+const extensions = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'application/pdf': 'pdf'
+};
+
+function extensionFor(mimetype) {
+  const base = (mimetype || '').split(';')[0].trim();
+  return extensions[base] || 'bin';
+}
+
+async function ensureMediaDir() {
+  try {
+    await fs.mkdir(mediaDir, { recursive: true });
+  } catch (err) {
+    log.error({ err }, 'Media directory creation error');
+  }
+}
+
+ensureMediaDir();
+
+// Identical content (forwarded memes, resent voice notes) is stored once and
+// shared by every message that carries it.
+async function saveMedia(buffer, mimetype) {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new Error('Invalid buffer for media store');
+  }
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const fileName = `${sha256}.${extensionFor(mimetype)}`;
+  const filePath = path.join(mediaDir, fileName);
+
+  const exists = await fs.access(filePath).then(() => true).catch(() => false);
+  if (!exists) {
+    await fs.writeFile(filePath, buffer);
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO media (sha256, file_name, mimetype, size_bytes)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (sha256) DO UPDATE SET last_used_at = NOW()
+     RETURNING id`,
+    [sha256, fileName, mimetype || null, buffer.length]
+  );
+  return { id: rows[0].id, sha256, size: buffer.length, deduped: exists };
+}
+
+async function loadMedia(mediaId) {
+  if (!mediaId) return null;
+  const { rows } = await pool.query(`SELECT * FROM media WHERE id = $1`, [mediaId]);
+  if (rows.length === 0) return null;
+  try {
+    const buffer = await fs.readFile(path.join(mediaDir, rows[0].file_name));
+    return { ...rows[0], buffer };
+  } catch (err) {
+    log.error({ err }, `Media file missing for ${rows[0].sha256}`);
+    return null;
+  }
+}
+
+// Builds the sendMessage payload that re-sends stored media as its original type.
+function buildMediaContent(messageType, buffer, { caption, mimetype, fileName, ptt } = {}) {
+  switch (messageType) {
+    case 'imageMessage':
+      return { image: buffer, caption: caption || '', mimetype };
+    case 'videoMessage':
+      return { video: buffer, caption: caption || '', mimetype };
+    case 'audioMessage':
+      return { audio: buffer, mimetype: mimetype || 'audio/ogg; codecs=opus', ptt: Boolean(ptt) };
+    case 'documentMessage':
+      return { document: buffer, mimetype, fileName: fileName || `document.${extensionFor(mimetype)}`, caption };
+    case 'stickerMessage':
+      return { sticker: buffer };
+    default:
+      return null;
+  }
+}
+
+async function removeMedia(rows) {
+  for (const row of rows) {
+    await fs.unlink(path.join(mediaDir, row.file_name)).catch(err => {
+      if (err.code !== 'ENOENT') log.error({ err }, 'Media file deletion error');
+    });
+  }
+}
+
+// Media of status posts that have not gone out yet is kept whatever its age;
+// the post cannot be published without it.
+const PINNED = `id NOT IN (SELECT media_id FROM status_posts WHERE state IN ('scheduled', 'posting') AND media_id IS NOT NULL)`;
+// Media a stored message or archived status still uses, for anti-delete
+// recovery, exports and re-sends.
+const IN_USE = `(EXISTS (SELECT 1 FROM messages WHERE messages.media_id = media.id) OR
+                 EXISTS (SELECT 1 FROM status_archive WHERE status_archive.media_id = media.id))`;
+
+// Retention: media nothing uses any more (its messages were cleared, its
+// statuses pruned) goes once it is MEDIA_MAX_AGE_DAYS old. Media in use is kept
+// until the store outgrows MEDIA_MAX_SIZE_MB; the size limit then trims unused
+// media first and media in use after it, oldest first.
+async function pruneMedia() {
+  try {
+    const expired = await pool.query(
+      `DELETE FROM media
+       WHERE last_used_at < NOW() - make_interval(secs => $1) AND ${PINNED} AND NOT ${IN_USE}
+       RETURNING file_name`,
+      [maxAge / 1000]
+    );
+    await removeMedia(expired.rows);
+
+    const { rows } = await pool.query(`SELECT COALESCE(SUM(size_bytes), 0) AS total FROM media`);
+    let total = Number(rows[0].total);
+    let trimmed = 0;
+    while (total > maxTotalSize) {
+      const oldest = await pool.query(
+        `DELETE FROM media
+         WHERE id IN (SELECT id FROM media WHERE ${PINNED} ORDER BY ${IN_USE}, last_used_at ASC LIMIT 50)
+         RETURNING file_name, size_bytes`
+      );
+      if (oldest.rows.length === 0) break;
+      await removeMedia(oldest.rows);
+      total -= oldest.rows.reduce((sum, row) => sum + Number(row.size_bytes), 0);
+      trimmed += oldest.rows.length;
+    }
+
+    if (expired.rows.length || trimmed) {
+      log.info(`Media store pruned: ${expired.rows.length} expired, ${trimmed} over size limit`);
+    }
+  } catch (err) {
+    log.error({ err }, 'Media store prune error');
+  }
+}
+
+async function getUsage() {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS files, COALESCE(SUM(size_bytes), 0)::bigint AS bytes FROM media`
+  );
+  return { files: rows[0].files, bytes: Number(rows[0].bytes) };
+}
+
+setInterval(pruneMedia, 60 * 60 * 1000).unref();
+
+module.exports = {
+  MEDIA_TYPES,
+  mediaDir,
+  saveMedia,
+  loadMedia,
+  buildMediaContent,
+  pruneMedia,
+  getUsage
+};
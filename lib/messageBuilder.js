@@ -0,0 +1,197 @@
+// Turns a POST /api/messages body into a Baileys sendMessage call.
+//   to         phone number or JID (user, group or lid)
+//   type       text | image | video | audio | voice | document | location | contact | reaction
+//   text       message text, or the caption for media
+//   url / data media from an http(s) URL or base64; a multipart "file" upload also works
+//   mentions   numbers or JIDs to mention
+//   quoted     id of a stored message to reply to
+//   location   { latitude, longitude, name, address }
+//   contact    { name, number } or a list of them
+//   reaction   { messageId, emoji }, an empty emoji removes the reaction
+const axios = require('axios');
+const config = require('../config');
+const store = require('./store');
+const { withRetry } = require('./utils');
+
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'voice', 'document', 'location', 'contact', 'reaction'];
+const maxMediaSize = (Number(config.API_MAX_UPLOAD_MB) || 16) * 1024 * 1024;
+
+const defaultMimetypes = {
+  image: 'image/jpeg',
+  video: 'video/mp4',
+  audio: 'audio/mpeg',
+  voice: 'audio/ogg; codecs=opus',
+  document: 'application/octet-stream'
+};
+
+class MessageError extends Error {}
+
+function toJid(value) {
+  const text = String(value || '').trim();
+  if (/@(s\.whatsapp\.net|g\.us|lid)$/.test(text)) return text;
+  const number = text.replace(/[^0-9]/g, '');
+  if (!/^\d{7,15}$/.test(number)) {
+    throw new MessageError(`"${value}" is not a phone number or WhatsApp JID`);
+  }
+  return `${number}@s.whatsapp.net`;
+}
+
+// Multipart fields arrive as strings, so nested values may be JSON text.
+function parseField(value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  if (!text.startsWith('{') && !text.startsWith('[')) return value;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new MessageError(`Invalid JSON in field: ${text.slice(0, 40)}`);
+  }
+}
+
+// Only remote URLs: fetchMedia would also read files from this server's disk.
+async function downloadMedia(url) {
+  if (!/^https?:\/\//i.test(url)) {
+    throw new MessageError('Media url must start with http:// or https://');
+  }
+  try {
+    const response = await withRetry(() => axios.get(url, {
+      responseType: 'arraybuffer',
+      maxContentLength: maxMediaSize
+    }));
+    return { buffer: Buffer.from(response.data), mimetype: response.headers['content-type'] };
+  } catch (err) {
+    throw new MessageError(`Could not download media from ${url}: ${err.message}`);
+  }
+}
+
+async function resolveMedia(input, file) {
+  if (file) return { buffer: file.buffer, mimetype: file.mimetype, fileName: file.originalname };
+  if (input.data) {
+    const buffer = Buffer.from(String(input.data).replace(/^data:[^,]*,/, ''), 'base64');
+    if (buffer.length === 0) throw new MessageError('Media data is empty or not base64');
+    return { buffer };
+  }
+  if (input.url) return downloadMedia(input.url);
+  throw new MessageError(`A ${input.type} message needs a file upload, "url" or base64 "data"`);
+}
+
+// Rebuilds enough of a stored message for Baileys to quote or react to it.
+async function findStoredMessage(messageId, chatJid, sessionId) {
+  const stored = await store.findMessage(messageId, chatJid, sessionId);
+  if (!stored) throw new MessageError(`Message ${messageId} was not found in ${chatJid}`);
+  const key = {
+    remoteJid: chatJid,
+    id: stored.message_id,
+    fromMe: stored.from_me,
+    participant: chatJid.endsWith('@g.us') ? stored.sender_jid : undefined
+  };
+  return {
+    key,
+    message: stored.raw_message || { conversation: stored.message_text || '' }
+  };
+}
+
+function buildVcard({ name, number, organization }) {
+  if (!name || !number) throw new MessageError('A contact needs a "name" and a "number"');
+  const digits = String(number).replace(/[^0-9]/g, '');
+  return 'BEGIN:VCARD\n' +
+    'VERSION:3.0\n' +
+    `FN:${name}\n` +
+    (organization ? `ORG:${organization};\n` : '') +
+    `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}\n` +
+    'END:VCARD';
+}
+
+async function buildContent(input, jid, file, sessionId) {
+  const text = input.text || input.caption || '';
+  switch (input.type) {
+    case 'text':
+      if (!text) throw new MessageError('A text message needs "text"');
+      return { text };
+    case 'image':
+    case 'video':
+    case 'audio':
+    case 'voice':
+    case 'document': {
+      const media = await resolveMedia(input, file);
+      if (media.buffer.length > maxMediaSize) {
+        throw new MessageError(`Media is larger than ${config.API_MAX_UPLOAD_MB || 16} MB`);
+      }
+      const mimetype = input.mimetype || media.mimetype || defaultMimetypes[input.type];
+      if (input.type === 'image') return { image: media.buffer, caption: text, mimetype };
+      if (input.type === 'video') return { video: media.buffer, caption: text, mimetype };
+      if (input.type === 'document') {
+        return {
+          document: media.buffer,
+          mimetype,
+          fileName: input.fileName || media.fileName || 'file',
+          caption: text
+        };
+      }
+      return { audio: media.buffer, mimetype, ptt: input.type === 'voice' };
+    }
+    case 'location': {
+      const location = parseField(input.location) || {};
+      const latitude = Number(location.latitude);
+      const longitude = Number(location.longitude);
+      if (!isFinite(latitude) || !isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        throw new MessageError('A location needs a valid "latitude" and "longitude"');
+      }
+      return {
+        location: {
+          degreesLatitude: latitude,
+          degreesLongitude: longitude,
+          name: location.name,
+          address: location.address
+        }
+      };
+    }
+    case 'contact': {
+      const parsed = parseField(input.contact);
+      const contacts = Array.isArray(parsed) ? parsed : [parsed || {}];
+      if (contacts.length === 0) throw new MessageError('A contact message needs at least one contact');
+      return {
+        contacts: {
+          displayName: contacts.length === 1 ? contacts[0].name : `${contacts.length} contacts`,
+          contacts: contacts.map(contact => ({ vcard: buildVcard(contact) }))
+        }
+      };
+    }
+    case 'reaction': {
+      const reaction = parseField(input.reaction) || {};
+      if (!reaction.messageId) throw new MessageError('A reaction needs "messageId"');
+      const target = await findStoredMessage(reaction.messageId, jid, sessionId);
+      return { react: { text: reaction.emoji || '', key: target.key } };
+    }
+    default:
+      throw new MessageError(`Unknown message type "${input.type}", use one of: ${MESSAGE_TYPES.join(', ')}`);
+  }
+}
+
+// Returns { jid, content, options } or throws a MessageError describing the bad input.
+async function buildOutgoingMessage(input = {}, file = null, sessionId = 'main') {
+  const jid = toJid(input.to);
+  const type = input.type || (file || input.url || input.data ? 'document' : 'text');
+  const content = await buildContent({ ...input, type }, jid, file, sessionId);
+
+  let mentions = parseField(input.mentions);
+  if (typeof mentions === 'string') mentions = mentions.split(',').filter(Boolean);
+  if (mentions) {
+    if (!Array.isArray(mentions)) throw new MessageError('"mentions" must be a list of numbers or JIDs');
+    content.mentions = mentions.map(toJid);
+  }
+
+  const options = {};
+  if (input.quoted && type !== 'reaction') {
+    options.quoted = await findStoredMessage(input.quoted, jid, sessionId);
+  }
+  return { jid, type, content, options };
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  MessageError,
+  toJid,
+  resolveMedia,
+  buildOutgoingMessage
+};
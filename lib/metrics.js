@@ -0,0 +1,127 @@
+// Prometheus metrics served at /metrics. Counters and histograms are bumped by
+// the modules that own the events; gauges are read when Prometheus scrapes,
+// through the getters handed to start().
+const client = require('prom-client');
+const log = require('./logger').forSubsystem('app');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'tadashi_' });
+
+const CONNECTION_STATES = ['connecting', 'qr', 'open', 'restarting', 'reconnecting', 'stale', 'logged-out', 'halted', 'stopped'];
+
+let getSessions = () => [];
+let getQueueDepth = async () => ({});
+let getMediaUsage = async () => ({ files: 0, bytes: 0 });
+
+new client.Gauge({
+  name: 'tadashi_connection_state',
+  help: 'WhatsApp connection state per session, 1 for the current state',
+  labelNames: ['session', 'state'],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const session of getSessions()) {
+      for (const state of CONNECTION_STATES) {
+        this.set({ session: session.id, state }, session.state === state ? 1 : 0);
+      }
+    }
+  }
+});
+
+const reconnects = new client.Counter({
+  name: 'tadashi_reconnects_total',
+  help: 'Reconnect attempts scheduled after a failed or dropped connection',
+  labelNames: ['session'],
+  registers: [register]
+});
+
+const messages = new client.Counter({
+  name: 'tadashi_messages_total',
+  help: 'Messages received from and sent to WhatsApp',
+  labelNames: ['session', 'direction', 'type'],
+  registers: [register]
+});
+
+const sendDuration = new client.Histogram({
+  name: 'tadashi_send_duration_seconds',
+  help: 'Time WhatsApp took to accept an outgoing message',
+  labelNames: ['session'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register]
+});
+
+const retries = new client.Counter({
+  name: 'tadashi_retries_total',
+  help: 'Retries after transient errors, by where they happened',
+  labelNames: ['source'],
+  registers: [register]
+});
+
+const dbErrors = new client.Counter({
+  name: 'tadashi_db_query_errors_total',
+  help: 'Database queries that failed',
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'tadashi_outbox_queue_depth',
+  help: 'Outgoing messages waiting in the outbox',
+  labelNames: ['session'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    try {
+      for (const [session, count] of Object.entries(await getQueueDepth())) {
+        this.set({ session }, count);
+      }
+    } catch (err) {
+      log.error({ err }, 'Queue depth metric error');
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'tadashi_media_store_bytes',
+  help: 'Size of the media store on disk',
+  registers: [register],
+  async collect() {
+    try {
+      const usage = await getMediaUsage();
+      this.set(usage.bytes);
+      mediaFiles.set(usage.files);
+    } catch (err) {
+      log.error({ err }, 'Media store metric error');
+    }
+  }
+});
+
+const mediaFiles = new client.Gauge({
+  name: 'tadashi_media_store_files',
+  help: 'Files kept in the media store',
+  registers: [register]
+});
+
+// Short type names shared by both directions: conversation and
+// extendedTextMessage become "text", imageMessage "image" and so on.
+function messageKind(type) {
+  if (!type) return 'unknown';
+  if (type === 'conversation' || type === 'extendedTextMessage') return 'text';
+  return type.replace(/Message(V\d+)?$/, '');
+}
+
+function start(options) {
+  getSessions = options.getSessions;
+  getQueueDepth = options.getQueueDepth;
+  getMediaUsage = options.getMediaUsage;
+}
+
+module.exports = {
+  register,
+  reconnects,
+  messages,
+  sendDuration,
+  retries,
+  dbErrors,
+  messageKind,
+  start
+};
@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { pool } = require('./db');
+const log = require('./logger').forSubsystem('db');
+
+const migrationsDir = path.join(__dirname, '..', 'migrations');
+// Arbitrary but fixed key so every instance contends for the same advisory lock.
+const MIGRATION_LOCK_KEY = 7245316;
+
+async function loadMigrations() {
+  const files = (await fs.readdir(migrationsDir)).filter(file => /^\d+_.+\.js$/.test(file)).sort();
+  return files.map(file => {
+    const migration = require(path.join(migrationsDir, file));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`);
+    }
+    return {
+      version: parseInt(file, 10),
+      name: file.replace(/\.js$/, ''),
+      ...migration
+    };
+  });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const { rows } = await client.query(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+  return rows;
+}
+
+// Runs fn on a dedicated client while holding the migration lock, so two
+// instances starting together cannot apply the same migration twice.
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query(`SELECT pg_try_advisory_lock($1) AS locked`, [MIGRATION_LOCK_KEY]);
+    if (!rows[0].locked) {
+      log.info('Another instance is migrating, waiting for the migration lock...');
+      await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATION_LOCK_KEY]);
+    }
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+async function migrate() {
+  const migrations = await loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await getApplied(client)).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    for (const migration of pending) {
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]
+        );
+      });
+      log.info(`Applied migration ${migration.name}`);
+    }
+    return pending.map(migration => migration.name);
+  });
+}
+
+async function rollback(steps = 1) {
+  const migrations = await loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = (await getApplied(client)).reverse().slice(0, steps);
+    const rolledBack = [];
+    for (const row of applied) {
+      const migration = migrations.find(m => m.version === row.version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${row.version} (${row.name}) is missing`);
+      }
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [row.version]);
+      });
+      log.info(`Rolled back migration ${migration.name}`);
+      rolledBack.push(migration.name);
+    }
+    return rolledBack;
+  });
+}
+
+async function status() {
+  const migrations = await loadMigrations();
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = new Map((await getApplied(client)).map(row => [row.version, row]));
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  migrate,
+  rollback,
+  status
+};
@@ -0,0 +1,298 @@
+const { jidNormalizedUser } = require('@whiskeysockets/baileys');
+const { pool } = require('./db');
+const outbox = require('./outbox');
+const store = require('./store');
+const { withRetry } = require('./utils');
+const log = require('./logger').forSubsystem('app');
+
+// off: no link checks, invite: WhatsApp group invites only, all: any URL.
+const ANTILINK_MODES = ['off', 'invite', 'all'];
+const DEFAULTS = {
+  antilink: 'off',
+  antispam: false,
+  spam_limit: 6,
+  spam_window_seconds: 10,
+  banned_words: [],
+  max_warnings: 3
+};
+const SETTING_COLUMNS = Object.keys(DEFAULTS);
+const INVITE_PATTERN = /chat\.whatsapp\.com\/[A-Za-z0-9]+|wa\.me\/channel\//i;
+const URL_PATTERN = /https?:\/\/\S+|www\.\S+|\b[a-z0-9-]+\.(?:com|net|org|lk|io|me|ly|xyz|info|link|site|gg|co)\b/i;
+const metadataTtl = 5 * 60 * 1000;
+
+// Group settings are read for every group message, so they are cached.
+const settingsCache = new Map();
+const metadataCache = new Map();
+// Per sender: the times of their messages inside the group's spam window.
+const recentMessages = new Map();
+const spamSweepInterval = 60 * 1000;
+
+function cacheKey(sessionId, groupJid) {
+  return `${sessionId}:${groupJid}`;
+}
+
+async function getSettings(sessionId, groupJid) {
+  const key = cacheKey(sessionId, groupJid);
+  if (settingsCache.has(key)) return settingsCache.get(key);
+  const { rows } = await pool.query(
+    `SELECT ${SETTING_COLUMNS.join(', ')} FROM group_moderation WHERE session_id = $1 AND group_jid = $2`,
+    [sessionId, groupJid]
+  );
+  const settings = { ...DEFAULTS, ...(rows[0] || {}) };
+  settingsCache.set(key, settings);
+  return settings;
+}
+
+async function updateSettings(sessionId, groupJid, changes) {
+  const settings = { ...(await getSettings(sessionId, groupJid)) };
+  for (const column of SETTING_COLUMNS) {
+    if (changes[column] !== undefined) settings[column] = changes[column];
+  }
+  if (!ANTILINK_MODES.includes(settings.antilink)) {
+    throw new Error(`Unknown antilink mode "${settings.antilink}", use one of: ${ANTILINK_MODES.join(', ')}`);
+  }
+  const values = SETTING_COLUMNS.map(column => settings[column]);
+  await pool.query(
+    `INSERT INTO group_moderation (session_id, group_jid, ${SETTING_COLUMNS.join(', ')}, updated_at)
+     VALUES ($1, $2, ${SETTING_COLUMNS.map((_, i) => `$${i + 3}`).join(', ')}, NOW())
+     ON CONFLICT (session_id, group_jid) DO UPDATE SET
+       ${SETTING_COLUMNS.map(column => `${column} = EXCLUDED.${column}`).join(', ')}, updated_at = NOW()`,
+    [sessionId, groupJid, ...values]
+  );
+  settingsCache.set(cacheKey(sessionId, groupJid), settings);
+  return settings;
+}
+
+async function addBannedWords(sessionId, groupJid, words) {
+  const { banned_words: current } = await getSettings(sessionId, groupJid);
+  const merged = [...new Set([...current, ...words.map(word => word.toLowerCase())])];
+  return updateSettings(sessionId, groupJid, { banned_words: merged });
+}
+
+async function removeBannedWords(sessionId, groupJid, words) {
+  const { banned_words: current } = await getSettings(sessionId, groupJid);
+  const removed = new Set(words.map(word => word.toLowerCase()));
+  return updateSettings(sessionId, groupJid, { banned_words: current.filter(word => !removed.has(word)) });
+}
+
+async function addWarning(sessionId, groupJid, memberJid, reason, warnedBy) {
+  await pool.query(
+    `INSERT INTO group_warnings (session_id, group_jid, member_jid, reason, warned_by)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [sessionId, groupJid, memberJid, reason, warnedBy]
+  );
+  return countWarnings(sessionId, groupJid, memberJid);
+}
+
+async function countWarnings(sessionId, groupJid, memberJid) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*) FROM group_warnings WHERE session_id = $1 AND group_jid = $2 AND member_jid = $3`,
+    [sessionId, groupJid, memberJid]
+  );
+  return parseInt(rows[0].count, 10);
+}
+
+// Per member counts, or the individual warnings of one member.
+async function listWarnings(sessionId, groupJid, memberJid = null) {
+  if (memberJid) {
+    const { rows } = await pool.query(
+      `SELECT reason, warned_by, created_at FROM group_warnings
+       WHERE session_id = $1 AND group_jid = $2 AND member_jid = $3
+       ORDER BY id`,
+      [sessionId, groupJid, memberJid]
+    );
+    return rows;
+  }
+  const { rows } = await pool.query(
+    `SELECT member_jid, COUNT(*)::int AS count, MAX(created_at) AS last_warned_at
+     FROM group_warnings
+     WHERE session_id = $1 AND group_jid = $2
+     GROUP BY member_jid
+     ORDER BY count DESC, member_jid`,
+    [sessionId, groupJid]
+  );
+  return rows;
+}
+
+async function clearWarnings(sessionId, groupJid, memberJid) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM group_warnings WHERE session_id = $1 AND group_jid = $2 AND member_jid = $3`,
+    [sessionId, groupJid, memberJid]
+  );
+  return rowCount;
+}
+
+async function getGroupMetadata(conn, sessionId, groupJid) {
+  const key = cacheKey(sessionId, groupJid);
+  const cached = metadataCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < metadataTtl) return cached.metadata;
+  const metadata = await withRetry(() => conn.groupMetadata(groupJid));
+  metadataCache.set(key, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+// Called on group-participants.update so admin changes are seen right away.
+function forgetGroup(sessionId, groupJid) {
+  metadataCache.delete(cacheKey(sessionId, groupJid));
+}
+
+function isAdmin(metadata, jid) {
+  const participant = metadata.participants.find(p => p.id === jid);
+  return Boolean(participant && participant.admin);
+}
+
+// Admin checks for acting on members: whether the bot can delete/kick, and who is exempt.
+async function getRoles(conn, sessionId, groupJid) {
+  const metadata = await getGroupMetadata(conn, sessionId, groupJid);
+  return {
+    metadata,
+    botIsAdmin: isAdmin(metadata, jidNormalizedUser(conn.user.id)),
+    isAdmin: jid => isAdmin(metadata, jid)
+  };
+}
+
+function isFlooding(settings, sessionId, groupJid, senderJid) {
+  const key = `${cacheKey(sessionId, groupJid)}:${senderJid}`;
+  const now = Date.now();
+  const windowMs = settings.spam_window_seconds * 1000;
+  const times = (recentMessages.get(key)?.times || []).filter(time => time > now - windowMs);
+  times.push(now);
+  recentMessages.set(key, { times, windowMs });
+  return times.length > settings.spam_limit;
+}
+
+// Senders who went quiet would otherwise stay in memory for good.
+function sweepRecentMessages() {
+  const now = Date.now();
+  for (const [key, { times, windowMs }] of recentMessages) {
+    if (times[times.length - 1] <= now - windowMs) recentMessages.delete(key);
+  }
+}
+
+setInterval(sweepRecentMessages, spamSweepInterval).unref();
+
+// Returns the first rule the message breaks, or null.
+function findViolation(settings, { sessionId, groupJid, senderJid, text }) {
+  if (settings.antispam && isFlooding(settings, sessionId, groupJid, senderJid)) {
+    return { type: 'spam', reason: `Flooding (more than ${settings.spam_limit} messages in ${settings.spam_window_seconds}s)` };
+  }
+  if (!text) return null;
+  if (settings.antilink !== 'off') {
+    const pattern = settings.antilink === 'invite' ? INVITE_PATTERN : URL_PATTERN;
+    if (pattern.test(text)) {
+      return { type: 'link', reason: settings.antilink === 'invite' ? 'Group invite link' : 'Link' };
+    }
+  }
+  const lower = text.toLowerCase();
+  // Whole words only, in any script (Sinhala letters are not \w).
+  const word = settings.banned_words.find(banned =>
+    new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}])${escapeRegExp(banned)}($|[^\\p{L}\\p{M}\\p{N}])`, 'u').test(lower)
+  );
+  if (word) return { type: 'word', reason: 'Banned word' };
+  return null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function describeSettings(settings) {
+  const antilink = { off: 'off', invite: 'invite links', all: 'all links' }[settings.antilink];
+  return `🛡️ *Group moderation*\n\n` +
+         `🔗 *Anti-link:* ${antilink}\n` +
+         `🌊 *Anti-spam:* ${settings.antispam ? `on (${settings.spam_limit} msgs / ${settings.spam_window_seconds}s)` : 'off'}\n` +
+         `🤬 *Banned words:* ${settings.banned_words.length}\n` +
+         `⚠️ *Kick after:* ${settings.max_warnings} warnings`;
+}
+
+// The member a command is about: the first @mention, the author of the quoted
+// message, or a phone number argument.
+function findTarget(mek, value) {
+  const contextInfo = mek.message?.extendedTextMessage?.contextInfo || {};
+  if (contextInfo.mentionedJid?.length) return contextInfo.mentionedJid[0];
+  if (contextInfo.participant) return contextInfo.participant;
+  const number = String(value || '').replace(/[^0-9]/g, '');
+  return number.length >= 8 ? `${number}@s.whatsapp.net` : null;
+}
+
+async function kickMember(conn, groupJid, memberJid) {
+  await withRetry(() => conn.groupParticipantsUpdate(groupJid, [memberJid], 'remove'));
+}
+
+// Warns the member and kicks them once they reach the group's warning limit.
+// Returns { count, kicked }.
+async function warnMember({ conn, session, groupJid, memberJid, reason, warnedBy }) {
+  const settings = await getSettings(session.id, groupJid);
+  const count = await addWarning(session.id, groupJid, memberJid, reason, warnedBy);
+  const user = memberJid.split('@')[0];
+  let kicked = false;
+  if (count >= settings.max_warnings) {
+    const roles = await getRoles(conn, session.id, groupJid);
+    if (roles.botIsAdmin) {
+      await kickMember(conn, groupJid, memberJid);
+      await clearWarnings(session.id, groupJid, memberJid);
+      kicked = true;
+    }
+  }
+  const text = kicked
+    ? `🚫 @${user} was removed after ${count} warnings.\n📝 *Last reason:* ${reason}`
+    : `⚠️ @${user} warned (${count}/${settings.max_warnings})\n📝 *Reason:* ${reason}` +
+      (count >= settings.max_warnings ? `\n❗ Make the bot an admin so it can remove members.` : '');
+  await outbox.send(groupJid, { text, mentions: [memberJid] }, {}, { sessionId: session.id, source: 'moderation' });
+  return { count, kicked };
+}
+
+// Checks a group message against the group's rules. Admins and owners are
+// exempt. Returns true when the message broke a rule and was dealt with.
+async function moderateMessage({ conn, session, mek, senderJid, text, isOwner }) {
+  const groupJid = mek.key.remoteJid;
+  try {
+    const settings = await getSettings(session.id, groupJid);
+    if (settings.antilink === 'off' && !settings.antispam && settings.banned_words.length === 0) return false;
+    if (mek.key.fromMe || isOwner) return false;
+
+    const violation = findViolation(settings, { sessionId: session.id, groupJid, senderJid, text });
+    if (!violation) return false;
+
+    const roles = await getRoles(conn, session.id, groupJid);
+    if (roles.isAdmin(senderJid)) return false;
+    if (roles.botIsAdmin) {
+      // The revoke comes back as a deletion by the sender; marking it first keeps
+      // anti-delete from restoring what was just removed.
+      await store.markDeleted({
+        sessionId: session.id,
+        remoteJid: groupJid,
+        messageId: mek.key.id,
+        deletedBy: jidNormalizedUser(conn.user.id)
+      });
+      await outbox.send(groupJid, { delete: mek.key }, {}, { sessionId: session.id, source: 'moderation' });
+    }
+    // Start a fresh window so a single flood is not one strike per message.
+    if (violation.type === 'spam') recentMessages.delete(`${cacheKey(session.id, groupJid)}:${senderJid}`);
+    await warnMember({ conn, session, groupJid, memberJid: senderJid, reason: violation.reason, warnedBy: 'auto' });
+    log.info(`Moderation: ${violation.type} from ${senderJid} in ${groupJid}`);
+    return true;
+  } catch (err) {
+    log.error({ err }, 'Moderation error');
+    return false;
+  }
+}
+
+module.exports = {
+  ANTILINK_MODES,
+  getSettings,
+  updateSettings,
+  addBannedWords,
+  removeBannedWords,
+  countWarnings,
+  listWarnings,
+  clearWarnings,
+  getRoles,
+  forgetGroup,
+  findViolation,
+  describeSettings,
+  findTarget,
+  kickMember,
+  warnMember,
+  moderateMessage
+};
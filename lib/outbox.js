@@ -0,0 +1,409 @@
+const config = require('../config');
+const { pool } = require('./db');
+const { isTransientError, backoffDelay } = require('./utils');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+const log = logger.forSubsystem('connection');
+
+const globalLimit = Number(config.OUTBOX_GLOBAL_PER_MINUTE) || 30;
+const chatLimit = Number(config.OUTBOX_CHAT_PER_MINUTE) || 10;
+const minInterval = Number(config.OUTBOX_MIN_INTERVAL_MS) || 0;
+const maxAttempts = Number(config.OUTBOX_MAX_ATTEMPTS) || 6;
+const retryBaseDelay = 2000;
+const windowMs = 60 * 1000;
+const waitTimeout = 60 * 1000;
+
+const STATUSES = ['queued', 'sending', 'sent', 'delivered', 'read', 'played', 'failed'];
+// WAMessageStatus values reported in messages.update.
+const RECEIPT_STATUSES = { 3: 'delivered', 4: 'read', 5: 'played' };
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3, played: 4 };
+
+// One queue per session: each WhatsApp account has its own connection and its
+// own rate limits.
+const queues = new Map();
+const waiters = new Map();
+
+function queueFor(sessionId) {
+  if (!queues.has(sessionId)) {
+    queues.set(sessionId, {
+      sessionId,
+      connection: null,
+      draining: false,
+      drainAgain: false,
+      wakeTimer: null,
+      lastSentAt: 0,
+      globalSends: [],
+      chatSends: new Map()
+    });
+  }
+  return queues.get(sessionId);
+}
+
+// Buffers are stored as base64 so queued media survives a restart. JSON.stringify
+// would otherwise turn them into arrays of numbers, so they are swapped out first.
+function encode(value) {
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return { type: 'Buffer', data: Buffer.from(value).toString('base64') };
+  }
+  if (Array.isArray(value)) return value.map(encode);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) result[key] = encode(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+function serialize(value) {
+  return JSON.stringify(encode(value));
+}
+
+function deserialize(text) {
+  if (!text) return null;
+  return JSON.parse(text, (key, value) => (
+    value && value.type === 'Buffer' && typeof value.data === 'string' ? Buffer.from(value.data, 'base64') : value
+  ));
+}
+
+// "text", "image", "sticker"... from the content's first key.
+function contentKind(content) {
+  return Object.keys(content).find(key => key !== 'contextInfo' && key !== 'mentions') || 'message';
+}
+
+function previewOf(content) {
+  const text = content.text || content.caption;
+  if (text) return text.slice(0, 200);
+  return `[${contentKind(content)}]`;
+}
+
+function isConnected(queue) {
+  return Boolean(queue.connection && queue.connection.user);
+}
+
+function pruneWindow(times, now) {
+  while (times.length > 0 && times[0] <= now - windowMs) times.shift();
+}
+
+// How long the next message to this chat has to wait to stay within the limits.
+function rateLimitDelay(queue, chatJid, now) {
+  pruneWindow(queue.globalSends, now);
+  const chatTimes = queue.chatSends.get(chatJid) || [];
+  pruneWindow(chatTimes, now);
+  if (chatTimes.length === 0) queue.chatSends.delete(chatJid);
+
+  let delay = queue.lastSentAt + minInterval - now;
+  if (queue.globalSends.length >= globalLimit) delay = Math.max(delay, queue.globalSends[0] + windowMs - now);
+  if (chatTimes.length >= chatLimit) delay = Math.max(delay, chatTimes[0] + windowMs - now);
+  return delay;
+}
+
+function recordSend(queue, chatJid, now) {
+  queue.lastSentAt = now;
+  queue.globalSends.push(now);
+  if (!queue.chatSends.has(chatJid)) queue.chatSends.set(chatJid, []);
+  queue.chatSends.get(chatJid).push(now);
+}
+
+function settle(id, err, sent) {
+  const waiter = waiters.get(id);
+  if (!waiter) return;
+  waiters.delete(id);
+  clearTimeout(waiter.timer);
+  if (err) waiter.reject(err);
+  else waiter.resolve(sent);
+}
+
+function waitFor(id) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => expire(id), waitTimeout);
+    waiters.set(id, { resolve, reject, timer });
+  });
+}
+
+// A message still queued when its waiter gives up is failed rather than left to
+// go out after nobody is waiting for it. One already being sent is waited for.
+async function expire(id) {
+  try {
+    const { rowCount } = await pool.query(
+      `UPDATE outbound_messages SET status = 'failed', last_error = 'Not sent in time'
+       WHERE id = $1 AND status = 'queued'`,
+      [id]
+    );
+    if (rowCount > 0) settle(id, new Error(`Outbox message #${id} was not sent within ${waitTimeout / 1000}s`));
+  } catch (err) {
+    log.error({ err }, 'Outbox timeout error');
+    settle(id, err);
+  }
+}
+
+function wake(queue, delay) {
+  clearTimeout(queue.wakeTimer);
+  queue.wakeTimer = setTimeout(() => {
+    queue.wakeTimer = null;
+    drain(queue);
+  }, Math.max(delay, 50));
+}
+
+// Runs under the correlation id of whatever queued the message, so its send,
+// retries and failure log next to the incoming message or request behind it.
+function deliver(queue, conn, id, correlationId) {
+  return logger.withCorrelation(correlationId, () => deliverMessage(queue, conn, id));
+}
+
+async function deliverMessage(queue, conn, id) {
+  const { rows } = await pool.query(
+    `UPDATE outbound_messages SET status = 'sending', attempts = attempts + 1
+     WHERE id = $1 AND status = 'queued'
+     RETURNING *`,
+    [id]
+  );
+  if (rows.length === 0) return;
+  const message = rows[0];
+  recordSend(queue, message.chat_jid, Date.now());
+
+  try {
+    const content = deserialize(message.payload);
+    const endTimer = metrics.sendDuration.startTimer({ session: queue.sessionId });
+    const sent = await conn.sendMessage(message.chat_jid, content, deserialize(message.options) || {});
+    endTimer();
+    metrics.messages.inc({ session: queue.sessionId, direction: 'out', type: contentKind(content) });
+    // The payload is only needed until WhatsApp has the message.
+    await pool.query(
+      `UPDATE outbound_messages
+       SET status = 'sent', wa_message_id = $2, sent_at = NOW(), last_error = NULL, payload = NULL, options = NULL
+       WHERE id = $1`,
+      [id, sent?.key?.id || null]
+    );
+    log.debug(`Sent outbox message #${id} (${message.source || 'api'}) to ${message.chat_jid}`);
+    settle(id, null, sent);
+  } catch (err) {
+    if (isTransientError(err) && message.attempts < maxAttempts) {
+      const delay = backoffDelay(message.attempts, retryBaseDelay);
+      log.warn({ err }, `Outbox message #${id} to ${message.chat_jid} failed, retrying in ${delay}ms`);
+      metrics.retries.inc({ source: 'outbox' });
+      await pool.query(
+        `UPDATE outbound_messages
+         SET status = 'queued', last_error = $2, next_attempt_at = NOW() + make_interval(secs => $3)
+         WHERE id = $1`,
+        [id, err.message, delay / 1000]
+      );
+    } else {
+      log.error({ err }, `Outbox message #${id} to ${message.chat_jid} failed`);
+      await pool.query(
+        `UPDATE outbound_messages SET status = 'failed', last_error = $2 WHERE id = $1`,
+        [id, err.message]
+      );
+      settle(id, err);
+    }
+  }
+}
+
+// Sends queued messages oldest first. Only the oldest message of each chat is a
+// candidate so a chat's messages never overtake each other, even while one of
+// them is waiting to be retried.
+async function drain(queue) {
+  if (queue.draining) {
+    queue.drainAgain = true;
+    return;
+  }
+  queue.draining = true;
+  try {
+    while (isConnected(queue)) {
+      const { rows } = await pool.query(
+        `SELECT * FROM (
+           SELECT DISTINCT ON (chat_jid) id, chat_jid, next_attempt_at, correlation_id
+           FROM outbound_messages
+           WHERE status = 'queued' AND session_id = $1
+           ORDER BY chat_jid, id
+         ) heads
+         ORDER BY id
+         LIMIT 100`,
+        [queue.sessionId]
+      );
+      if (rows.length === 0) break;
+
+      const now = Date.now();
+      let next = null;
+      let wait = Infinity;
+      for (const row of rows) {
+        const delay = Math.max(new Date(row.next_attempt_at).getTime() - now, rateLimitDelay(queue, row.chat_jid, now));
+        if (delay <= 0) {
+          next = row;
+          break;
+        }
+        wait = Math.min(wait, delay);
+      }
+      if (!next) {
+        wake(queue, wait);
+        break;
+      }
+      await deliver(queue, queue.connection, next.id, next.correlation_id);
+    }
+  } catch (err) {
+    log.error({ err }, `Outbox error (${queue.sessionId})`);
+    wake(queue, 5000);
+  } finally {
+    queue.draining = false;
+    if (queue.drainAgain) {
+      queue.drainAgain = false;
+      drain(queue);
+    }
+  }
+}
+
+// Queues a message and resolves with { id }. Messages wait in the queue while
+// disconnected. With wait, it resolves with the sent message once WhatsApp
+// accepted it instead, and rejects if it failed or was not sent within a minute.
+async function send(jid, content, options = {}, { sessionId = 'main', source = null, wait = false } = {}) {
+  const queue = queueFor(sessionId);
+  let id;
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO outbound_messages (session_id, chat_jid, payload, options, preview, source, correlation_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [sessionId, jid, serialize(content), serialize(options), previewOf(content), source, logger.correlationId()]
+    );
+    id = rows[0].id;
+  } catch (err) {
+    // Without the database there is nothing to queue into; send directly if we can.
+    log.error({ err }, 'Outbox insert error');
+    if (!isConnected(queue)) throw err;
+    return queue.connection.sendMessage(jid, content, options);
+  }
+
+  const result = wait ? waitFor(id) : Promise.resolve({ id });
+  drain(queue);
+  return result;
+}
+
+function setConnection(sessionId, conn) {
+  const queue = queueFor(sessionId);
+  queue.connection = conn;
+  if (isConnected(queue)) {
+    log.info(`Outbox connected for ${sessionId}, flushing queued messages`);
+    drain(queue);
+  }
+}
+
+// Messages caught mid-send by a crash or restart go back in the queue.
+async function recover() {
+  try {
+    const { rowCount } = await pool.query(
+      `UPDATE outbound_messages SET status = 'queued' WHERE status = 'sending'`
+    );
+    if (rowCount > 0) log.info(`Requeued ${rowCount} outbound message(s) interrupted by a restart`);
+  } catch (err) {
+    log.error({ err }, 'Outbox recovery error');
+  }
+}
+
+// Fails every unsent message from one source, for callers that give up on
+// sends a restart interrupted. Run before the queues start draining.
+async function cancelQueued(source, reason) {
+  const { rows } = await pool.query(
+    `UPDATE outbound_messages SET status = 'failed', last_error = $2
+     WHERE source = $1 AND status IN ('queued', 'sending')
+     RETURNING id`,
+    [source, reason]
+  );
+  for (const { id } of rows) settle(id, new Error(reason));
+  return rows.length;
+}
+
+// Records delivery/read receipts for our own messages. Status only moves forward.
+async function recordStatus(key, status) {
+  if (!key?.fromMe || !key.id) return;
+  try {
+    if (status === 0) {
+      await pool.query(
+        `UPDATE outbound_messages SET status = 'failed', last_error = 'Rejected by WhatsApp'
+         WHERE wa_message_id = $1 AND status = 'sent'`,
+        [key.id]
+      );
+      return;
+    }
+    const name = RECEIPT_STATUSES[status];
+    if (!name) return;
+    const lowerStatuses = Object.keys(STATUS_RANK).filter(other => STATUS_RANK[other] < STATUS_RANK[name]);
+    await pool.query(
+      `UPDATE outbound_messages
+       SET status = $2,
+           delivered_at = COALESCE(delivered_at, NOW()),
+           read_at = CASE WHEN $2 IN ('read', 'played') THEN COALESCE(read_at, NOW()) ELSE read_at END
+       WHERE wa_message_id = $1 AND status = ANY($3)`,
+      [key.id, name, lowerStatuses]
+    );
+  } catch (err) {
+    log.error({ err }, 'Outbox status update error');
+  }
+}
+
+// Group messages report receipts per participant; the first one counts.
+async function recordReceipt(key, receipt) {
+  if (!key?.id) return;
+  const read = Boolean(receipt.readTimestamp || receipt.playedTimestamp);
+  await recordStatus({ ...key, fromMe: true }, read ? 4 : 3);
+}
+
+async function listMessages({ sessionId = null, status = null, chatJid = null, limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT id, session_id, chat_jid, preview, source, status, attempts, last_error, next_attempt_at,
+            wa_message_id, correlation_id, created_at, sent_at, delivered_at, read_at
+     FROM outbound_messages
+     WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR chat_jid = $2)
+       AND ($3::text IS NULL OR session_id = $3)
+     ORDER BY id DESC
+     LIMIT $4`,
+    [status, chatJid, sessionId, Math.min(Math.max(Number(limit) || 50, 1), 500)]
+  );
+  return rows;
+}
+
+async function getMessage(id, sessionId = null) {
+  const { rows } = await pool.query(
+    `SELECT id, session_id, chat_jid, preview, source, status, attempts, last_error, next_attempt_at,
+            wa_message_id, correlation_id, created_at, sent_at, delivered_at, read_at
+     FROM outbound_messages
+     WHERE id = $1 AND ($2::text IS NULL OR session_id = $2)`,
+    [id, sessionId]
+  );
+  return rows[0] || null;
+}
+
+async function countByStatus(sessionId = null) {
+  const { rows } = await pool.query(
+    `SELECT status, COUNT(*)::int AS count FROM outbound_messages
+     WHERE $1::text IS NULL OR session_id = $1
+     GROUP BY status`,
+    [sessionId]
+  );
+  return Object.fromEntries(rows.map(row => [row.status, row.count]));
+}
+
+// Queued messages per session, for the outbox queue depth metric.
+async function countQueued() {
+  const { rows } = await pool.query(
+    `SELECT session_id, COUNT(*)::int AS count FROM outbound_messages
+     WHERE status = 'queued'
+     GROUP BY session_id`
+  );
+  return Object.fromEntries(rows.map(row => [row.session_id, row.count]));
+}
+
+module.exports = {
+  STATUSES,
+  send,
+  setConnection,
+  recover,
+  cancelQueued,
+  recordStatus,
+  recordReceipt,
+  listMessages,
+  getMessage,
+  countByStatus,
+  countQueued
+};
@@ -0,0 +1,67 @@
+const Ajv = require('ajv');
+const schema = require('../schemas/reply.schema.json');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(schema);
+
+// Turns "/rules/2/response/0" into "rules[2].response[0]".
+function formatPath(instancePath) {
+  if (!instancePath) return 'reply.json';
+  return instancePath
+    .split('/')
+    .slice(1)
+    .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('')
+    .replace(/^\./, '');
+}
+
+function formatError(error) {
+  const where = formatPath(error.instancePath);
+  switch (error.keyword) {
+    case 'required':
+      return `${where} is missing "${error.params.missingProperty}"`;
+    case 'additionalProperties':
+      return `${where} has unknown field "${error.params.additionalProperty}"`;
+    case 'enum':
+      return `${where} must be one of: ${error.params.allowedValues.join(', ')}`;
+    case 'anyOf':
+      return `${where} needs a "trigger" or a "pattern"`;
+    default:
+      return `${where} ${error.message}`;
+  }
+}
+
+// Returns a list of human readable problems; an empty list means the rules are usable.
+function validateRules(data) {
+  if (!validateSchema(data)) {
+    const messages = validateSchema.errors
+      // "if" and "anyOf" also report the branch errors that caused them.
+      .filter(error => error.keyword !== 'if' && !error.schemaPath.includes('/anyOf/'))
+      .map(formatError);
+    return [...new Set(messages)];
+  }
+
+  const errors = [];
+  data.rules.forEach((rule, index) => {
+    if (rule.pattern) {
+      try {
+        new RegExp(rule.pattern, rule.flags || 'i');
+      } catch (err) {
+        errors.push(`rules[${index}].pattern is not a valid regex: ${err.message}`);
+      }
+    }
+  });
+
+  const seen = new Set();
+  data.rules.forEach((rule, index) => {
+    if (!rule.id) return;
+    if (seen.has(rule.id)) errors.push(`rules[${index}].id "${rule.id}" is used by another rule`);
+    seen.add(rule.id);
+  });
+  return errors;
+}
+
+module.exports = {
+  schema,
+  validateRules
+};
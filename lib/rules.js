@@ -0,0 +1,284 @@
+// Reply rule fields (reply.json):
+//   trigger / pattern  substring or case-insensitive regex ("flags" overrides 'i')
+//   id                 stable name used for cooldowns, defaults to trigger/pattern
+//   priority           higher runs first, ties keep file order
+//   continue           keep evaluating lower rules after this one fires
+//   cooldown           seconds before the same sender can trigger the rule again
+//   enabled            set to false to switch a rule off without deleting it
+//   conditions         chatType ('dm' | 'group'), groups, excludeGroups, senders,
+//                      excludeSenders, messageTypes, time { from, to, days, timezone }
+// Templates: ${pushname} ${userid} ${senderdpurl} ${groupname} ${message} ${match}
+// ${date} ${time} ${datetime} ${day}, ${1}.. for capture groups and ${name} for
+// named groups.
+const config = require('../config');
+const { withRetry, fetchMedia } = require('./utils');
+const outbox = require('./outbox');
+const log = require('./logger').forSubsystem('rules');
+
+const defaultTimezone = config.TIMEZONE || 'Asia/Colombo';
+const defaultDpUrl = 'https://i.imgur.com/default-profile.jpg';
+
+// Short names accepted in conditions.messageTypes next to the raw Baileys types.
+const MESSAGE_TYPE_ALIASES = {
+  text: ['conversation', 'extendedTextMessage'],
+  image: ['imageMessage'],
+  video: ['videoMessage'],
+  audio: ['audioMessage'],
+  document: ['documentMessage'],
+  sticker: ['stickerMessage']
+};
+
+// Per session, rule and sender: when the rule may fire for them again.
+const cooldowns = new Map();
+const cooldownSweepInterval = 60 * 1000;
+
+function ruleId(rule, index) {
+  return rule.id || rule.trigger || rule.pattern || `rule-${index}`;
+}
+
+function toJid(value) {
+  return value.includes('@') ? value : `${value}@s.whatsapp.net`;
+}
+
+function expandMessageTypes(types) {
+  return types.flatMap(type => MESSAGE_TYPE_ALIASES[type] || [type]);
+}
+
+function zonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = type => parts.find(part => part.type === type).value;
+  return { minutes: Number(get('hour')) * 60 + Number(get('minute')), weekday: get('weekday').toLowerCase() };
+}
+
+function parseClock(value) {
+  const [hours, minutes = '0'] = String(value).split(':');
+  return Number(hours) * 60 + Number(minutes);
+}
+
+// Windows may wrap past midnight, e.g. { from: '22:00', to: '06:00' }.
+function inTimeWindow(window, now) {
+  const { minutes, weekday } = zonedParts(now, window.timezone || defaultTimezone);
+  if (window.days && !window.days.map(day => day.toLowerCase().slice(0, 3)).includes(weekday)) {
+    return false;
+  }
+  if (window.from === undefined && window.to === undefined) return true;
+  const from = parseClock(window.from ?? '00:00');
+  const to = parseClock(window.to ?? '24:00');
+  return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+function checkConditions(conditions = {}, ctx) {
+  if (conditions.chatType === 'dm' && ctx.isGroup) return false;
+  if (conditions.chatType === 'group' && !ctx.isGroup) return false;
+  if (conditions.groups && !(ctx.isGroup && conditions.groups.includes(ctx.chatJid))) return false;
+  if (conditions.excludeGroups && conditions.excludeGroups.includes(ctx.chatJid)) return false;
+  if (conditions.senders && !conditions.senders.map(toJid).includes(ctx.senderJid)) return false;
+  if (conditions.excludeSenders && conditions.excludeSenders.map(toJid).includes(ctx.senderJid)) return false;
+  if (conditions.messageTypes && !expandMessageTypes(conditions.messageTypes).includes(ctx.messageType)) return false;
+  if (conditions.time && !inTimeWindow(conditions.time, ctx.now)) return false;
+  return true;
+}
+
+function matchText(rule, text) {
+  if (rule.pattern) {
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, rule.flags || 'i');
+    } catch (err) {
+      log.error({ err }, `Invalid regex pattern in rule "${rule.trigger}"`);
+    }
+    if (regex) return regex.exec(text);
+  }
+  if (rule.trigger && text.toLowerCase().includes(rule.trigger.toLowerCase())) {
+    return [rule.trigger];
+  }
+  return null;
+}
+
+function isCoolingDown(id, rule, { sessionId = 'main', senderJid, dryRun }, now) {
+  if (!rule.cooldown) return false;
+  const key = `${sessionId}:${id}:${senderJid}`;
+  if ((cooldowns.get(key) || 0) > now) return true;
+  if (!dryRun) cooldowns.set(key, now + rule.cooldown * 1000);
+  return false;
+}
+
+// Senders who never come back would otherwise stay in memory for good.
+function sweepCooldowns() {
+  const now = Date.now();
+  for (const [key, readyAt] of cooldowns) {
+    if (readyAt <= now) cooldowns.delete(key);
+  }
+}
+
+setInterval(sweepCooldowns, cooldownSweepInterval).unref();
+
+// Returns every rule that should fire for this message, highest priority first.
+// A rule stops the evaluation unless it sets "continue": true. Cooldowns count
+// per ctx.sessionId; with ctx.dryRun they are checked but not started.
+function matchRules(rules, ctx) {
+  const now = ctx.now || new Date();
+  const ordered = (rules || [])
+    .map((rule, index) => ({ rule, index, id: ruleId(rule, index) }))
+    .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index);
+
+  const matches = [];
+  for (const { rule, id } of ordered) {
+    if (rule.enabled === false) continue;
+    if (!checkConditions(rule.conditions, { ...ctx, now })) continue;
+    const match = matchText(rule, ctx.text);
+    if (!match) continue;
+    if (isCoolingDown(id, rule, ctx, now.getTime())) continue;
+    matches.push({ rule, id, match });
+    if (!rule.continue) break;
+  }
+  return matches;
+}
+
+// Builds the ${...} variables available to a rule's response. Values may be
+// functions so expensive lookups (profile picture, group name) only run when
+// a template actually uses them.
+function buildVariables({ conn, senderJid, chatJid, isGroup, pushName, text, match }) {
+  const now = new Date();
+  const variables = {
+    pushname: pushName || 'Unknown',
+    userid: senderJid.split('@')[0],
+    message: text,
+    match: match[0],
+    date: now.toLocaleDateString('en-GB', { timeZone: defaultTimezone }),
+    time: now.toLocaleTimeString('en-GB', { timeZone: defaultTimezone, hour: '2-digit', minute: '2-digit' }),
+    datetime: now.toLocaleString('en-US', { timeZone: defaultTimezone }),
+    day: now.toLocaleDateString('en-US', { timeZone: defaultTimezone, weekday: 'long' }),
+    senderdpurl: async () => {
+      if (!conn) return defaultDpUrl;
+      try {
+        return await conn.profilePictureUrl(senderJid, 'image') || defaultDpUrl;
+      } catch (err) {
+        log.warn({ err }, `Failed to fetch profile picture for ${senderJid}`);
+        return defaultDpUrl;
+      }
+    },
+    groupname: async () => {
+      if (!isGroup || !conn) return '';
+      try {
+        return (await withRetry(() => conn.groupMetadata(chatJid))).subject;
+      } catch (err) {
+        log.warn({ err }, `Failed to fetch group name for ${chatJid}`);
+        return '';
+      }
+    }
+  };
+  match.forEach((value, index) => {
+    variables[String(index)] = value || '';
+  });
+  for (const [name, value] of Object.entries(match.groups || {})) {
+    variables[name] = value || '';
+  }
+  return variables;
+}
+
+async function renderTemplate(template, variables) {
+  if (!template) return template;
+  const names = [...new Set([...template.matchAll(/\$\{(\w+)\}/g)].map(m => m[1]))];
+  const values = {};
+  for (const name of names) {
+    const key = name.toLowerCase() in variables ? name.toLowerCase() : name;
+    if (!(key in variables)) continue;
+    if (typeof variables[key] === 'function') {
+      variables[key] = await variables[key]();
+    }
+    values[name] = variables[key];
+  }
+  return template.replace(/\$\{(\w+)\}/g, (whole, name) => (name in values ? String(values[name]) : whole));
+}
+
+async function buildResponse(response, variables, contextInfo) {
+  const content = await renderTemplate(response.content, variables);
+  const caption = await renderTemplate(response.caption, variables);
+  const url = await renderTemplate(response.url, variables);
+
+  switch (response.type) {
+    case 'text':
+      return { text: content, contextInfo };
+    case 'image': {
+      const imageBuffer = await fetchMedia(url);
+      return imageBuffer && { image: imageBuffer, caption: caption || '', contextInfo };
+    }
+    case 'video': {
+      const videoBuffer = await fetchMedia(url);
+      return videoBuffer && { video: videoBuffer, caption: caption || '', contextInfo };
+    }
+    case 'voice': {
+      const voiceBuffer = await fetchMedia(url);
+      return voiceBuffer && { audio: voiceBuffer, mimetype: 'audio/mpeg', ptt: true, contextInfo };
+    }
+    default:
+      log.warn(`Unknown response type "${response.type}" in reply rule`);
+      return null;
+  }
+}
+
+// What sendRuleResponses would send, without downloading media or sending anything.
+async function previewRule(rule, variables) {
+  const responses = [];
+  for (const response of rule.response) {
+    const preview = { type: response.type };
+    if (response.delay) preview.delay = response.delay;
+    for (const field of ['content', 'url', 'caption']) {
+      if (response[field] !== undefined) {
+        preview[field] = await renderTemplate(response[field], variables);
+      }
+    }
+    responses.push(preview);
+  }
+  return responses;
+}
+
+async function dryRun(rules, ctx) {
+  const matches = matchRules(rules, { ...ctx, dryRun: true });
+  const results = [];
+  for (const { rule, id, match } of matches) {
+    const variables = buildVariables({ ...ctx, match });
+    results.push({
+      id,
+      priority: rule.priority || 0,
+      continue: Boolean(rule.continue),
+      match: [...match],
+      responses: await previewRule(rule, variables)
+    });
+  }
+  return results;
+}
+
+async function sendRuleResponses(session, mek, rule, variables) {
+  const contextInfo = {
+    quotedMessage: mek.message,
+    forwardingScore: 999,
+    isForwarded: true
+  };
+  for (const response of rule.response) {
+    if (response.delay) {
+      await new Promise(resolve => setTimeout(resolve, response.delay));
+    }
+    const message = await buildResponse(response, variables, contextInfo);
+    if (message) {
+      await outbox.send(mek.key.remoteJid, message, { quoted: mek }, { sessionId: session.id, source: 'rule' });
+    }
+  }
+}
+
+module.exports = {
+  matchRules,
+  buildVariables,
+  renderTemplate,
+  buildResponse,
+  previewRule,
+  dryRun,
+  sendRuleResponses
+};
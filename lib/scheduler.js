@@ -0,0 +1,284 @@
+const cronParser = require('cron-parser');
+const config = require('../config');
+const { pool } = require('./db');
+const outbox = require('./outbox');
+const rules = require('./rules');
+const log = require('./logger').forSubsystem('app');
+
+const defaultTimezone = config.TIMEZONE || 'Asia/Colombo';
+const pollInterval = 30 * 1000;
+const RESPONSE_TYPES = ['text', 'image', 'video', 'voice'];
+// Media comes from remote URLs only: fetchMedia would also read files from this
+// server's disk (.env included) and send them to the chat.
+const REMOTE_URL_PATTERN = /^https?:\/\//i;
+
+let timer = null;
+let ticking = false;
+let getSessions = () => [];
+
+class ScheduleError extends Error {}
+
+// An unknown zone would only fail later, when the next run is computed.
+function checkTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: timezone });
+  } catch (err) {
+    throw new ScheduleError(`Unknown timezone "${timezone}", use an IANA name like Asia/Colombo`);
+  }
+}
+
+function nextCronRun(cron, timezone, from = new Date()) {
+  return cronParser.parseExpression(cron, { tz: timezone, currentDate: from }).next().toDate();
+}
+
+// Offset in ms between UTC and the given zone at that instant.
+function timezoneOffset(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - date.getTime();
+}
+
+// "2026-10-20 08:00" read as wall-clock time in the given zone.
+function parseLocalDateTime(value, timezone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match) return null;
+  const [, year, month, day, hours, minutes] = match.map(Number);
+  const guess = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+  return new Date(guess.getTime() - timezoneOffset(guess, timezone));
+}
+
+// Accepts a cron expression, "in 10m" style delays or a local date and time.
+function parseWhen(value, timezone = defaultTimezone) {
+  checkTimezone(timezone);
+  const text = (value || '').trim();
+  // cron-parser reads an empty expression as "every minute".
+  if (!text) throw new ScheduleError('Say when to send it: a cron expression, "in 10m" delay or "YYYY-MM-DD HH:MM" time');
+  const delay = /^in\s+(\d+)\s*([smhd])$/i.exec(text);
+  if (delay) {
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return { runAt: new Date(Date.now() + Number(delay[1]) * units[delay[2].toLowerCase()]) };
+  }
+  const runAt = parseLocalDateTime(text, timezone);
+  if (runAt) return { runAt };
+  try {
+    nextCronRun(text, timezone);
+    return { cron: text };
+  } catch (err) {
+    throw new ScheduleError(`"${text}" is not a cron expression, "in 10m" delay or "YYYY-MM-DD HH:MM" time`);
+  }
+}
+
+function validateResponse(response) {
+  if (!Array.isArray(response) || response.length === 0) {
+    throw new ScheduleError('A schedule needs at least one message to send');
+  }
+  for (const item of response) {
+    if (!RESPONSE_TYPES.includes(item.type)) {
+      throw new ScheduleError(`Unknown message type "${item.type}", use one of: ${RESPONSE_TYPES.join(', ')}`);
+    }
+    if (item.type === 'text' ? !item.content : !item.url) {
+      throw new ScheduleError(`A ${item.type} message needs ${item.type === 'text' ? 'content' : 'a url'}`);
+    }
+    if (item.type !== 'text' && !REMOTE_URL_PATTERN.test(item.url)) {
+      throw new ScheduleError(`The ${item.type} url must start with http:// or https://`);
+    }
+  }
+}
+
+async function createJob({ sessionId = 'main', name = null, chatJid, cron = null, runAt = null, timezone = defaultTimezone, response, createdBy = null }) {
+  if (!chatJid || !chatJid.includes('@')) {
+    throw new ScheduleError('A schedule needs a chat JID to send to');
+  }
+  checkTimezone(timezone);
+  validateResponse(response);
+
+  let nextRunAt;
+  if (cron) {
+    try {
+      nextRunAt = nextCronRun(cron, timezone);
+    } catch (err) {
+      throw new ScheduleError(`"${cron}" is not a cron expression`);
+    }
+  } else {
+    nextRunAt = new Date(runAt);
+    if (isNaN(nextRunAt.getTime())) throw new ScheduleError('Invalid run time');
+    if (nextRunAt.getTime() < Date.now()) throw new ScheduleError('Run time is in the past');
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO scheduled_jobs (name, chat_jid, cron, run_at, timezone, response, next_run_at, created_by, session_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [name, chatJid, cron, cron ? null : nextRunAt, timezone, JSON.stringify(response), nextRunAt, createdBy, sessionId]
+  );
+  log.info(`Scheduled job #${rows[0].id} for ${chatJid}, next run ${nextRunAt.toISOString()}`);
+  return rows[0];
+}
+
+async function listJobs(sessionId = null) {
+  const { rows } = await pool.query(
+    `SELECT * FROM scheduled_jobs
+     WHERE $1::text IS NULL OR session_id = $1
+     ORDER BY enabled DESC, next_run_at ASC NULLS LAST, id`,
+    [sessionId]
+  );
+  return rows;
+}
+
+async function removeJob(id, sessionId = null) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM scheduled_jobs WHERE id = $1 AND ($2::text IS NULL OR session_id = $2)`,
+    [id, sessionId]
+  );
+  return rowCount > 0;
+}
+
+async function setEnabled(id, enabled, sessionId = null) {
+  const { rows } = await pool.query(
+    `SELECT * FROM scheduled_jobs WHERE id = $1 AND ($2::text IS NULL OR session_id = $2)`,
+    [id, sessionId]
+  );
+  if (rows.length === 0) return null;
+  const job = rows[0];
+  let nextRunAt = job.next_run_at;
+  if (enabled && job.cron) {
+    nextRunAt = nextCronRun(job.cron, job.timezone);
+  } else if (enabled && job.run_at && new Date(job.run_at).getTime() < Date.now()) {
+    throw new ScheduleError('This one-shot schedule already ran');
+  }
+  const updated = await pool.query(
+    `UPDATE scheduled_jobs SET enabled = $2, next_run_at = $3 WHERE id = $1 RETURNING *`,
+    [id, enabled, nextRunAt]
+  );
+  return updated.rows[0];
+}
+
+async function buildJobVariables(conn, job) {
+  const { rows } = await pool.query(`SELECT push_name FROM contacts WHERE jid = $1`, [job.chat_jid]);
+  return rules.buildVariables({
+    conn,
+    senderJid: job.chat_jid,
+    chatJid: job.chat_jid,
+    isGroup: job.chat_jid.endsWith('@g.us'),
+    pushName: rows[0]?.push_name,
+    text: '',
+    match: ['']
+  });
+}
+
+async function runJob(conn, job) {
+  const variables = await buildJobVariables(conn, job);
+  for (const response of job.response) {
+    if (response.delay) {
+      await new Promise(resolve => setTimeout(resolve, response.delay));
+    }
+    // Checked again here for jobs stored before URLs were validated.
+    if (response.type !== 'text' && !REMOTE_URL_PATTERN.test(response.url || '')) {
+      throw new Error(`Refusing to send ${response.type} from "${response.url}", only http(s) URLs are allowed`);
+    }
+    const message = await rules.buildResponse(response, variables);
+    if (!message) throw new Error(`Could not build ${response.type} message`);
+    await outbox.send(job.chat_jid, message, {}, { sessionId: job.session_id, source: 'schedule' });
+  }
+}
+
+// Claims due jobs by moving next_run_at forward in the same statement, so a
+// job is never picked up twice even if two instances poll at once.
+async function claimDueJobs(sessionIds) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT * FROM scheduled_jobs
+       WHERE enabled AND next_run_at <= NOW() AND session_id = ANY($1)
+       ORDER BY next_run_at
+       FOR UPDATE SKIP LOCKED`,
+      [sessionIds]
+    );
+    for (const job of rows) {
+      if (job.cron) {
+        await client.query(
+          `UPDATE scheduled_jobs SET next_run_at = $2 WHERE id = $1`,
+          [job.id, nextCronRun(job.cron, job.timezone)]
+        );
+      } else {
+        await client.query(`UPDATE scheduled_jobs SET enabled = FALSE, next_run_at = NULL WHERE id = $1`, [job.id]);
+      }
+    }
+    await client.query('COMMIT');
+    return rows;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// A job with delays can outlast the poll interval; the next tick is skipped
+// rather than run alongside it.
+async function tick() {
+  if (ticking) return;
+  // Jobs stay due while their session is disconnected and run once it is back.
+  const connected = new Map(getSessions().map(session => [session.id, session.conn]));
+  if (connected.size === 0) return;
+  ticking = true;
+  try {
+    const jobs = await claimDueJobs([...connected.keys()]);
+    for (const job of jobs) {
+      try {
+        await runJob(connected.get(job.session_id), job);
+        await pool.query(
+          `UPDATE scheduled_jobs SET last_run_at = NOW(), last_error = NULL, run_count = run_count + 1 WHERE id = $1`,
+          [job.id]
+        );
+        log.info(`Ran scheduled job #${job.id} for ${job.chat_jid}`);
+      } catch (err) {
+        log.error({ err }, `Scheduled job #${job.id} error`);
+        await pool.query(
+          `UPDATE scheduled_jobs SET last_run_at = NOW(), last_error = $2 WHERE id = $1`,
+          [job.id, err.message]
+        );
+      }
+    }
+  } catch (err) {
+    log.error({ err }, 'Scheduler tick error');
+  } finally {
+    ticking = false;
+  }
+}
+
+// sessionsGetter returns the sessions that are currently connected.
+function start(sessionsGetter) {
+  getSessions = sessionsGetter;
+  if (timer) return;
+  timer = setInterval(tick, pollInterval);
+  log.info('Scheduler started');
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  ScheduleError,
+  parseWhen,
+  createJob,
+  listJobs,
+  removeJob,
+  setEnabled,
+  start,
+  stop,
+  tick
+};
@@ -0,0 +1,97 @@
+// Full-text search over stored messages. The query uses web search syntax:
+// words are ANDed, "quoted phrases" match in order, "or" and -word work too.
+const config = require('../config');
+const { pool } = require('./db');
+const { isCalendarDate } = require('./utils');
+
+const TYPE_ALIASES = {
+  text: ['conversation', 'extendedTextMessage'],
+  image: ['imageMessage'],
+  video: ['videoMessage'],
+  audio: ['audioMessage'],
+  sticker: ['stickerMessage'],
+  document: ['documentMessage', 'documentWithCaptionMessage']
+};
+const timezone = config.TIMEZONE || 'Asia/Colombo';
+
+class SearchError extends Error {}
+
+// Friendly names from TYPE_ALIASES, or a raw Baileys message type.
+function resolveTypes(type) {
+  if (!type) return null;
+  const key = String(type).toLowerCase();
+  if (TYPE_ALIASES[key]) return TYPE_ALIASES[key];
+  if (/^[a-z][A-Za-z]*Message$/.test(type)) return [type];
+  throw new SearchError(`Unknown message type "${type}", use one of: ${Object.keys(TYPE_ALIASES).join(', ')}`);
+}
+
+function checkDate(value, name) {
+  if (value && !isCalendarDate(value)) throw new SearchError(`${name} must be a YYYY-MM-DD date`);
+  return value || null;
+}
+
+// Dates are whole days in the bot's timezone, both ends included. deleted and
+// edited are true, false or null for either.
+async function searchMessages({
+  sessionId,
+  query = null,
+  chatJid = null,
+  senderJid = null,
+  type = null,
+  from = null,
+  to = null,
+  deleted = null,
+  edited = null,
+  limit = 20,
+  offset = 0
+}) {
+  const text = query && query.trim() ? query.trim() : null;
+  const { rows } = await pool.query(
+    `SELECT m.id, m.message_id, m.remote_jid, ch.name AS chat_name, m.sender_jid, ct.push_name,
+            m.from_me, m.message_type, m.message_text, m.timestamp, m.is_deleted, m.is_edited, m.media_id,
+            CASE WHEN $2::text IS NULL THEN NULL
+                 ELSE ts_headline('simple', COALESCE(m.message_text, ''), q,
+                                  'StartSel=*, StopSel=*, MaxWords=20, MinWords=8, MaxFragments=2')
+            END AS snippet,
+            COUNT(*) OVER () AS total
+     FROM messages m
+     CROSS JOIN websearch_to_tsquery('simple', COALESCE($2::text, '')) q
+     LEFT JOIN chats ch ON ch.jid = m.remote_jid
+     LEFT JOIN contacts ct ON ct.jid = m.sender_jid
+     WHERE m.session_id = $1
+       AND ($2::text IS NULL OR m.search_vector @@ q)
+       AND ($3::text IS NULL OR m.remote_jid = $3)
+       AND ($4::text IS NULL OR m.sender_jid = $4)
+       AND ($5::text[] IS NULL OR m.message_type = ANY($5))
+       AND ($6::date IS NULL OR (m.timestamp AT TIME ZONE $8)::date >= $6::date)
+       AND ($7::date IS NULL OR (m.timestamp AT TIME ZONE $8)::date <= $7::date)
+       AND ($9::boolean IS NULL OR COALESCE(m.is_deleted, FALSE) = $9)
+       AND ($10::boolean IS NULL OR COALESCE(m.is_edited, FALSE) = $10)
+     ORDER BY CASE WHEN $2::text IS NULL THEN 0 ELSE ts_rank(m.search_vector, q) END DESC, m.timestamp DESC
+     LIMIT $11 OFFSET $12`,
+    [
+      sessionId,
+      text,
+      chatJid,
+      senderJid,
+      resolveTypes(type),
+      checkDate(from, 'from'),
+      checkDate(to, 'to'),
+      timezone,
+      deleted,
+      edited,
+      Math.min(Math.max(Number(limit) || 20, 1), 200),
+      Math.max(Number(offset) || 0, 0)
+    ]
+  );
+  return {
+    total: rows.length > 0 ? parseInt(rows[0].total, 10) : 0,
+    results: rows.map(({ total, ...row }) => row)
+  };
+}
+
+module.exports = {
+  TYPE_ALIASES,
+  SearchError,
+  searchMessages
+};
@@ -0,0 +1,244 @@
+// Registry of the WhatsApp accounts this process runs. Each session has its own
+// auth state, owners, reply rules and setting overrides; the "main" session
+// is the one configured in config.js and always exists.
+const path = require('path');
+const config = require('../config');
+const configSchema = require('./configSchema');
+const { pool } = require('./db');
+const supervisor = require('./supervisor');
+const log = require('./logger').forSubsystem('connection');
+
+const DEFAULT_SESSION = 'main';
+const SESSION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+// Config keys a session may override in its settings.
+const SESSION_SETTINGS = Object.keys(configSchema.SCHEMA).filter(configSchema.isSessionSetting);
+// The subset that can change while the session runs (.set and the dashboard).
+const RUNTIME_SETTINGS = Object.keys(configSchema.SCHEMA).filter(configSchema.isRuntimeSetting);
+
+const rootDir = path.join(__dirname, '..');
+const sessions = new Map();
+let connector = null;
+
+function parseOwners(value) {
+  return String(value || '').split(',').map(owner => owner.trim()).filter(Boolean);
+}
+
+function parseSettings(id, settings) {
+  return configSchema.parseSessionSettings(settings || {}, (key, err) => {
+    log.warn({ err }, `Ignoring stored setting ${key} of session ${id}`);
+  });
+}
+
+function buildSession(row) {
+  const isMain = row.id === DEFAULT_SESSION;
+  const replyFile = row.reply_file || (isMain ? 'reply.json' : `reply.${row.id}.json`);
+  const settings = parseSettings(row.id, row.settings);
+  return {
+    id: row.id,
+    // Only read to import auth files from before auth state moved to the database.
+    authDir: isMain ? path.join(rootDir, 'sessions') : path.join(rootDir, 'sessions', row.id),
+    ownerNumber: parseOwners(row.owner_number || config.OWNER_NUMBER),
+    config: { ...config, ...settings },
+    settings,
+    replyPath: path.join(rootDir, replyFile),
+    lastGoodReplyPath: path.join(rootDir, replyFile.replace(/\.json$/, '.last-good.json')),
+    replyRules: { rules: [] },
+    autoStart: row.auto_start !== false,
+    // socket is the latest Baileys socket, conn is only set while it is open.
+    socket: null,
+    conn: null,
+    // Pending login: the latest QR string and the last pairing code handed out.
+    qr: null,
+    pairingCode: null,
+    state: 'stopped',
+    stopped: true,
+    connectedAt: null
+  };
+}
+
+// Existing session objects are updated in place so live sockets keep working.
+// That includes config: a connection holds on to the object it started with.
+function register(row) {
+  const fresh = buildSession(row);
+  const existing = sessions.get(row.id);
+  if (!existing) {
+    sessions.set(row.id, fresh);
+    return fresh;
+  }
+  const { socket, conn, qr, pairingCode, state, stopped, connectedAt, replyRules, config: merged, ...definition } = fresh;
+  Object.assign(existing.config, merged);
+  return Object.assign(existing, definition);
+}
+
+register({ id: DEFAULT_SESSION });
+
+function validateDefinition({ id, settings = {} }) {
+  if (!SESSION_ID_PATTERN.test(id || '')) {
+    throw new Error('Session id must be 1-32 lowercase letters, digits, "-" or "_"');
+  }
+  const unknown = Object.keys(settings).filter(key => !SESSION_SETTINGS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown setting(s) ${unknown.join(', ')}, sessions can override: ${SESSION_SETTINGS.join(', ')}`);
+  }
+  for (const [key, value] of Object.entries(settings)) configSchema.parseValue(key, value);
+}
+
+async function loadSessions() {
+  try {
+    const { rows } = await pool.query(`SELECT * FROM wa_sessions ORDER BY created_at, id`);
+    rows.forEach(register);
+  } catch (err) {
+    log.error({ err }, 'Session list error');
+  }
+  return listSessions();
+}
+
+function setConnector(connect) {
+  connector = connect;
+}
+
+function getSession(id = DEFAULT_SESSION) {
+  return sessions.get(id) || null;
+}
+
+function listSessions() {
+  return [...sessions.values()];
+}
+
+function isConnected(session) {
+  return Boolean(session && session.conn && session.conn.user);
+}
+
+function connectedSessions() {
+  return listSessions().filter(isConnected);
+}
+
+async function startSession(id) {
+  const session = getSession(id);
+  if (!session) throw new Error(`Unknown session "${id}"`);
+  if (!session.stopped) return session;
+  session.stopped = false;
+  await connector(session);
+  return session;
+}
+
+// Closes the socket without logging out; the session keeps its auth state.
+async function stopSession(id) {
+  const session = getSession(id);
+  if (!session) throw new Error(`Unknown session "${id}"`);
+  session.stopped = true;
+  supervisor.cancelReconnect(id);
+  if (session.state !== 'stopped') supervisor.setState(session, 'stopped');
+  if (session.socket) {
+    session.socket.end(undefined);
+    session.socket = null;
+  }
+  session.conn = null;
+  session.qr = null;
+  session.pairingCode = null;
+  return session;
+}
+
+async function addSession({ id, ownerNumber = null, replyFile = null, settings = {}, autoStart = true }) {
+  validateDefinition({ id, settings });
+  if (sessions.has(id)) throw new Error(`Session "${id}" already exists`);
+  const { rows } = await pool.query(
+    `INSERT INTO wa_sessions (id, owner_number, reply_file, settings, auto_start)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [id, ownerNumber, replyFile, configSchema.parseSessionSettings(settings), autoStart]
+  );
+  log.info(`Session ${id} added`);
+  return register(rows[0]);
+}
+
+// The session's stored auth state is deleted with it (wa_auth_state cascades).
+async function removeSession(id) {
+  if (id === DEFAULT_SESSION) throw new Error('The main session cannot be removed');
+  if (!sessions.has(id)) return false;
+  await stopSession(id);
+  await pool.query(`DELETE FROM wa_sessions WHERE id = $1`, [id]);
+  sessions.delete(id);
+  log.info(`Session ${id} removed`);
+  return true;
+}
+
+// Changes a running session's setting overrides; a null value drops the
+// override so the global value applies again. The session's config object is
+// updated in place, so an open connection sees the change on its next message.
+async function updateSettings(id, changes, { runtimeOnly = false } = {}) {
+  const session = getSession(id);
+  if (!session) throw new Error(`Unknown session "${id}"`);
+  const allowed = runtimeOnly ? RUNTIME_SETTINGS : SESSION_SETTINGS;
+  const settings = { ...session.settings };
+  for (const [key, value] of Object.entries(changes)) {
+    if (!allowed.includes(key)) {
+      throw new configSchema.ConfigError(`${key} cannot be changed here, use one of: ${allowed.join(', ')}`);
+    }
+    if (value === null) delete settings[key];
+    else settings[key] = configSchema.parseValue(key, value);
+  }
+
+  // The main session's row exists since migration 011, but a hand-cleaned table may lack it.
+  await pool.query(
+    `INSERT INTO wa_sessions (id, settings) VALUES ($1, $2)
+     ON CONFLICT (id) DO UPDATE SET settings = EXCLUDED.settings`,
+    [id, settings]
+  );
+  session.settings = settings;
+  for (const key of Object.keys(changes)) {
+    session.config[key] = key in settings ? settings[key] : config[key];
+  }
+  log.info({ changes }, `Session ${id} settings updated`);
+  return settings;
+}
+
+// Current values of the runtime settings, for .set and the dashboard.
+function describeSettings(session) {
+  return RUNTIME_SETTINGS.map(key => {
+    const { type, description, values } = configSchema.SCHEMA[key];
+    return {
+      key,
+      type,
+      values,
+      description,
+      value: session.config[key],
+      default: config[key],
+      overridden: key in session.settings
+    };
+  });
+}
+
+function describeSession(session) {
+  return {
+    id: session.id,
+    state: session.state,
+    user: session.conn?.user?.id || null,
+    loginPending: Boolean(session.qr),
+    connectedAt: session.connectedAt,
+    ownerNumber: session.ownerNumber,
+    replyFile: path.basename(session.replyPath),
+    rules: session.replyRules.rules.length,
+    settings: session.settings,
+    autoStart: session.autoStart
+  };
+}
+
+module.exports = {
+  DEFAULT_SESSION,
+  SESSION_SETTINGS,
+  RUNTIME_SETTINGS,
+  loadSessions,
+  setConnector,
+  getSession,
+  listSessions,
+  isConnected,
+  connectedSessions,
+  startSession,
+  stopSession,
+  addSession,
+  removeSession,
+  updateSettings,
+  describeSettings,
+  describeSession
+};
@@ -0,0 +1,215 @@
+// Archive of contacts' statuses (stories). Contacts on the deny list are never
+// archived; once anyone is on the allow list, only allowed contacts are.
+const { downloadMediaMessage, getContentType, jidNormalizedUser } = require('@whiskeysockets/baileys');
+const config = require('../config');
+const { pool } = require('./db');
+const mediaStore = require('./mediaStore');
+const outbox = require('./outbox');
+const { withRetry } = require('./utils');
+const logger = require('./logger');
+
+const log = logger.forSubsystem('media');
+
+const STATUS_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  extendedTextMessage: 'text',
+  conversation: 'text'
+};
+const FILTER_MODES = ['allow', 'deny'];
+const retentionDays = Number(config.STATUS_ARCHIVE_RETENTION_DAYS) || 30;
+const timezone = config.TIMEZONE || 'Asia/Colombo';
+
+function describeStatusMessage(message) {
+  const messageType = getContentType(message || {});
+  return {
+    messageType,
+    statusType: STATUS_TYPES[messageType] || null,
+    content: message?.[messageType]
+  };
+}
+
+function statusText({ messageType, content }) {
+  if (messageType === 'conversation') return content || '';
+  return content?.text || content?.caption || '';
+}
+
+function downloadStatusMedia(conn, message) {
+  return withRetry(() => downloadMediaMessage({ message }, 'buffer', {}, {
+    logger: logger.forSubsystem('baileys'),
+    reuploadRequest: conn.updateMediaMessage
+  }));
+}
+
+// sendMessage content that re-posts a live status message, or null when the
+// status is not an image, video, text or audio.
+async function buildStatusContent(conn, message) {
+  const status = describeStatusMessage(message);
+  if (!status.statusType) return null;
+  if (status.statusType === 'text') return { text: statusText(status) };
+  const buffer = await downloadStatusMedia(conn, message);
+  if (!Buffer.isBuffer(buffer)) throw new Error(`Invalid buffer received for ${status.statusType}`);
+  return mediaStore.buildMediaContent(status.messageType, buffer, {
+    caption: status.content.caption,
+    mimetype: status.content.mimetype,
+    ptt: status.content.ptt
+  });
+}
+
+async function shouldArchive(sessionId, senderJid) {
+  const { rows } = await pool.query(
+    `SELECT contact_jid, mode FROM status_filters
+     WHERE session_id = $1 AND (mode = 'allow' OR contact_jid = $2)`,
+    [sessionId, senderJid]
+  );
+  if (rows.some(row => row.contact_jid === senderJid && row.mode === 'deny')) return false;
+  const allowed = rows.filter(row => row.mode === 'allow');
+  return allowed.length === 0 || allowed.some(row => row.contact_jid === senderJid);
+}
+
+async function archiveStatus(session, conn, mek) {
+  try {
+    if (mek.key.fromMe) return null;
+    const status = describeStatusMessage(mek.message);
+    // Status deletions, reactions and other protocol messages are not archived.
+    if (!status.statusType) return null;
+    const senderJid = jidNormalizedUser(mek.key.participant || mek.participant || '');
+    if (!senderJid || !(await shouldArchive(session.id, senderJid))) return null;
+
+    let mediaId = null;
+    if (status.statusType !== 'text') {
+      const buffer = await downloadStatusMedia(conn, mek.message);
+      mediaId = (await mediaStore.saveMedia(buffer, status.content.mimetype)).id;
+    }
+    const postedAt = mek.messageTimestamp ? new Date(Number(mek.messageTimestamp) * 1000) : new Date();
+    const { rows } = await pool.query(
+      `INSERT INTO status_archive
+         (session_id, status_id, sender_jid, push_name, status_type, text, media_id, mimetype, is_voice_note, posted_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (session_id, sender_jid, status_id) DO NOTHING
+       RETURNING id`,
+      [
+        session.id,
+        mek.key.id,
+        senderJid,
+        mek.pushName || null,
+        status.statusType,
+        statusText(status) || null,
+        mediaId,
+        status.content?.mimetype || null,
+        Boolean(status.content?.ptt),
+        postedAt
+      ]
+    );
+    if (rows.length > 0) log.info(`Archived ${status.statusType} status from ${senderJid}`);
+    return rows[0]?.id || null;
+  } catch (err) {
+    log.error({ err }, 'Status archive error');
+    return null;
+  }
+}
+
+// date is a YYYY-MM-DD day in the bot's timezone.
+async function listStatuses({ sessionId, contactJid = null, date = null, limit = 20 }) {
+  const { rows } = await pool.query(
+    `SELECT id, status_id, sender_jid, push_name, status_type, text, media_id, mimetype, posted_at
+     FROM status_archive
+     WHERE session_id = $1
+       AND ($2::text IS NULL OR sender_jid = $2)
+       AND ($3::date IS NULL OR (posted_at AT TIME ZONE $4)::date = $3::date)
+     ORDER BY posted_at DESC
+     LIMIT $5`,
+    [sessionId, contactJid, date, timezone, Math.min(Math.max(Number(limit) || 20, 1), 200)]
+  );
+  return rows;
+}
+
+async function getStatus(id, sessionId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM status_archive WHERE id = $1 AND session_id = $2`,
+    [id, sessionId]
+  );
+  return rows[0] || null;
+}
+
+// Re-sendable content for an archived status, or null once its media was pruned.
+async function loadStatusContent(status) {
+  if (status.status_type === 'text') return { text: status.text || '' };
+  const media = await mediaStore.loadMedia(status.media_id);
+  if (!media) return null;
+  return mediaStore.buildMediaContent(`${status.status_type}Message`, media.buffer, {
+    caption: status.text,
+    mimetype: status.mimetype || media.mimetype,
+    ptt: status.is_voice_note
+  });
+}
+
+async function resendStatus(sessionId, id, chatJid) {
+  const status = await getStatus(id, sessionId);
+  if (!status) return null;
+  const content = await loadStatusContent(status);
+  if (!content) throw new Error(`The media of status #${id} is no longer stored`);
+  const postedAt = new Date(status.posted_at).toLocaleString('en-US', { timeZone: timezone });
+  await outbox.send(chatJid, {
+    text: `📸 *Status #${status.id}*\n👤 ${status.push_name || status.sender_jid.split('@')[0]}\n🕒 ${postedAt}`
+  }, {}, { sessionId, source: 'status-archive' });
+  await outbox.send(chatJid, content, {}, { sessionId, source: 'status-archive' });
+  return status;
+}
+
+async function listFilters(sessionId) {
+  const { rows } = await pool.query(
+    `SELECT contact_jid, mode, created_at FROM status_filters WHERE session_id = $1 ORDER BY mode, contact_jid`,
+    [sessionId]
+  );
+  return rows;
+}
+
+// mode null removes the contact from both lists.
+async function setFilter(sessionId, contactJid, mode) {
+  if (mode === null) {
+    const { rowCount } = await pool.query(
+      `DELETE FROM status_filters WHERE session_id = $1 AND contact_jid = $2`,
+      [sessionId, contactJid]
+    );
+    return rowCount > 0;
+  }
+  if (!FILTER_MODES.includes(mode)) {
+    throw new Error(`Unknown filter mode "${mode}", use one of: ${FILTER_MODES.join(', ')}`);
+  }
+  await pool.query(
+    `INSERT INTO status_filters (session_id, contact_jid, mode)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (session_id, contact_jid) DO UPDATE SET mode = $3, created_at = NOW()`,
+    [sessionId, contactJid, mode]
+  );
+  return true;
+}
+
+async function pruneArchive() {
+  try {
+    const { rowCount } = await pool.query(
+      `DELETE FROM status_archive WHERE posted_at < NOW() - make_interval(days => $1)`,
+      [retentionDays]
+    );
+    if (rowCount > 0) log.info(`Pruned ${rowCount} archived statuses`);
+  } catch (err) {
+    log.error({ err }, 'Status archive prune error');
+  }
+}
+
+setInterval(pruneArchive, 60 * 60 * 1000);
+
+module.exports = {
+  FILTER_MODES,
+  buildStatusContent,
+  archiveStatus,
+  listStatuses,
+  getStatus,
+  loadStatusContent,
+  resendStatus,
+  listFilters,
+  setFilter,
+  pruneArchive
+};
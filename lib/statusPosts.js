@@ -0,0 +1,315 @@
+// Our own statuses (stories). A post goes to status@broadcast for one audience
+// list, right away or at a scheduled time, and the viewers WhatsApp reports in
+// receipts are recorded against it. The "contacts" audience is everyone the
+// session has a direct chat with.
+const { jidNormalizedUser } = require('@whiskeysockets/baileys');
+const { pool } = require('./db');
+const mediaStore = require('./mediaStore');
+const outbox = require('./outbox');
+const log = require('./logger').forSubsystem('media');
+
+const STATUS_JID = 'status@broadcast';
+const POST_TYPES = ['text', 'image', 'video'];
+const STATES = ['scheduled', 'posting', 'posted', 'failed'];
+const CONTACTS_AUDIENCE = 'contacts';
+// ExtendedTextMessage.FontType values.
+const FONTS = { sans: 0, serif: 1, norican: 2, bryndan: 3, bebas: 4, oswald: 5 };
+const DEFAULT_BACKGROUND = '#128C7E';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const AUDIENCE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const pollInterval = 30 * 1000;
+
+let timer = null;
+let getSessions = () => [];
+
+async function listAudiences(sessionId) {
+  const { rows } = await pool.query(
+    `SELECT name, members, updated_at FROM status_audiences WHERE session_id = $1 ORDER BY name`,
+    [sessionId]
+  );
+  return rows;
+}
+
+async function setAudience(sessionId, name, members) {
+  const key = String(name || '').toLowerCase();
+  if (key === CONTACTS_AUDIENCE) throw new Error(`"${CONTACTS_AUDIENCE}" is built in and cannot be changed`);
+  if (!AUDIENCE_NAME_PATTERN.test(key)) {
+    throw new Error('Audience names use lowercase letters, digits, "-" and "_" (up to 32)');
+  }
+  const unique = [...new Set(members)];
+  const { rows } = await pool.query(
+    `INSERT INTO status_audiences (session_id, name, members)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (session_id, name) DO UPDATE SET members = $3, updated_at = NOW()
+     RETURNING name, members, updated_at`,
+    [sessionId, key, unique]
+  );
+  return rows[0];
+}
+
+async function getAudience(sessionId, name) {
+  const { rows } = await pool.query(
+    `SELECT name, members, updated_at FROM status_audiences WHERE session_id = $1 AND name = $2`,
+    [sessionId, String(name).toLowerCase()]
+  );
+  return rows[0] || null;
+}
+
+async function addAudienceMembers(sessionId, name, members) {
+  const audience = await getAudience(sessionId, name);
+  return setAudience(sessionId, name, [...(audience?.members || []), ...members]);
+}
+
+async function removeAudienceMembers(sessionId, name, members) {
+  const audience = await getAudience(sessionId, name);
+  if (!audience) return null;
+  const removed = new Set(members);
+  return setAudience(sessionId, name, audience.members.filter(member => !removed.has(member)));
+}
+
+async function deleteAudience(sessionId, name) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM status_audiences WHERE session_id = $1 AND name = $2`,
+    [sessionId, String(name).toLowerCase()]
+  );
+  return rowCount > 0;
+}
+
+async function resolveAudience(sessionId, name) {
+  if (name === CONTACTS_AUDIENCE) {
+    const { rows } = await pool.query(
+      `SELECT DISTINCT remote_jid FROM messages
+       WHERE session_id = $1 AND remote_jid LIKE '%@s.whatsapp.net'`,
+      [sessionId]
+    );
+    return rows.map(row => row.remote_jid);
+  }
+  const audience = await getAudience(sessionId, name);
+  if (!audience) throw new Error(`Unknown audience "${name}"`);
+  return audience.members;
+}
+
+function validatePost({ type, text, backgroundColor, font, media }) {
+  if (!POST_TYPES.includes(type)) {
+    throw new Error(`Unknown status type "${type}", use one of: ${POST_TYPES.join(', ')}`);
+  }
+  if (type === 'text' && !text) throw new Error('A text status needs text');
+  if (type !== 'text' && !media) throw new Error(`A ${type} status needs media`);
+  if (backgroundColor && !COLOR_PATTERN.test(backgroundColor)) {
+    throw new Error('The background color must look like #RRGGBB');
+  }
+  if (font !== undefined && font !== null && !Object.values(FONTS).includes(font)) {
+    throw new Error(`Unknown font, use one of: ${Object.keys(FONTS).join(', ')}`);
+  }
+}
+
+// Saves a post and publishes it now when it is due and its session is
+// connected; otherwise the poller publishes it. Returns the post row.
+async function createPost({ sessionId = 'main', type, text = null, backgroundColor = null, font = null, media = null, audience = CONTACTS_AUDIENCE, scheduledFor = null, createdBy = null }) {
+  validatePost({ type, text, backgroundColor, font, media });
+  const audienceName = String(audience).toLowerCase();
+  if (audienceName !== CONTACTS_AUDIENCE && !(await getAudience(sessionId, audienceName))) {
+    throw new Error(`Unknown audience "${audience}"`);
+  }
+  const runAt = scheduledFor ? new Date(scheduledFor) : new Date();
+  if (isNaN(runAt.getTime())) throw new Error('Invalid schedule time');
+  if (scheduledFor && runAt.getTime() < Date.now()) throw new Error('Schedule time is in the past');
+
+  const stored = media ? await mediaStore.saveMedia(media.buffer, media.mimetype) : null;
+  const { rows } = await pool.query(
+    `INSERT INTO status_posts
+       (session_id, status_type, text, background_color, font, media_id, mimetype, audience, scheduled_for, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      sessionId,
+      type,
+      text,
+      type === 'text' ? backgroundColor || DEFAULT_BACKGROUND : null,
+      type === 'text' ? font : null,
+      stored?.id || null,
+      media?.mimetype || null,
+      audienceName,
+      runAt,
+      createdBy
+    ]
+  );
+  const post = rows[0];
+  const connected = getSessions().some(session => session.id === sessionId);
+  if (!scheduledFor && connected) return publishPost(post.id);
+  log.info(`Status post #${post.id} scheduled for ${runAt.toISOString()}`);
+  return post;
+}
+
+async function buildPostContent(post) {
+  if (post.status_type === 'text') return { text: post.text };
+  const media = await mediaStore.loadMedia(post.media_id);
+  if (!media) throw new Error('The media of this post is no longer stored');
+  return mediaStore.buildMediaContent(`${post.status_type}Message`, media.buffer, {
+    caption: post.text,
+    mimetype: post.mimetype || media.mimetype
+  });
+}
+
+// Claims the post by moving it to "posting", so it is never published twice.
+async function publishPost(id) {
+  const { rows } = await pool.query(
+    `UPDATE status_posts SET state = 'posting' WHERE id = $1 AND state = 'scheduled' RETURNING *`,
+    [id]
+  );
+  const post = rows[0];
+  if (!post) return null;
+  try {
+    const recipients = await resolveAudience(post.session_id, post.audience);
+    if (recipients.length === 0) throw new Error(`Audience "${post.audience}" is empty`);
+    const options = { statusJidList: recipients, broadcast: true };
+    if (post.status_type === 'text') {
+      options.backgroundColor = post.background_color;
+      if (post.font !== null) options.font = post.font;
+    }
+    const content = await buildPostContent(post);
+    const sent = await outbox.send(STATUS_JID, content, options, { sessionId: post.session_id, source: 'status-post', wait: true });
+    const updated = await pool.query(
+      `UPDATE status_posts
+       SET state = 'posted', wa_message_id = $2, recipient_count = $3, posted_at = NOW(), last_error = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [post.id, sent?.key?.id || null, recipients.length]
+    );
+    log.info(`Posted status #${post.id} to ${recipients.length} contacts`);
+    return updated.rows[0];
+  } catch (err) {
+    log.error({ err }, `Status post #${post.id} error`);
+    const updated = await pool.query(
+      `UPDATE status_posts SET state = 'failed', last_error = $2 WHERE id = $1 RETURNING *`,
+      [post.id, err.message]
+    );
+    return updated.rows[0];
+  }
+}
+
+async function listPosts(sessionId, { state = null, limit = 20 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT p.id, p.status_type, p.text, p.background_color, p.font, p.audience, p.state, p.scheduled_for,
+            p.wa_message_id, p.recipient_count, p.posted_at, p.last_error, p.created_by, p.created_at,
+            COUNT(v.viewer_jid)::int AS view_count
+     FROM status_posts p
+     LEFT JOIN status_post_views v ON v.post_id = p.id
+     WHERE p.session_id = $1 AND ($2::text IS NULL OR p.state = $2)
+     GROUP BY p.id
+     ORDER BY p.scheduled_for DESC
+     LIMIT $3`,
+    [sessionId, state, Math.min(Math.max(Number(limit) || 20, 1), 200)]
+  );
+  return rows;
+}
+
+async function getPost(id, sessionId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM status_posts WHERE id = $1 AND session_id = $2`,
+    [id, sessionId]
+  );
+  if (rows.length === 0) return null;
+  const views = await pool.query(
+    `SELECT v.viewer_jid, c.push_name, v.viewed_at
+     FROM status_post_views v
+     LEFT JOIN contacts c ON c.jid = v.viewer_jid
+     WHERE v.post_id = $1
+     ORDER BY v.viewed_at`,
+    [id]
+  );
+  return { ...rows[0], viewers: views.rows };
+}
+
+// Only posts that have not gone out yet can be cancelled.
+async function cancelPost(id, sessionId) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM status_posts WHERE id = $1 AND session_id = $2 AND state IN ('scheduled', 'failed')`,
+    [id, sessionId]
+  );
+  return rowCount > 0;
+}
+
+// Called for message-receipt.update; only read receipts on our statuses count.
+async function recordView(sessionId, key, receipt) {
+  if (key?.remoteJid !== STATUS_JID || !key.id || !receipt?.userJid) return;
+  const viewedAt = receipt.readTimestamp || receipt.playedTimestamp;
+  if (!viewedAt) return;
+  try {
+    await pool.query(
+      `INSERT INTO status_post_views (post_id, viewer_jid, viewed_at)
+       SELECT id, $3, $4 FROM status_posts WHERE session_id = $1 AND wa_message_id = $2
+       ON CONFLICT (post_id, viewer_jid) DO NOTHING`,
+      [sessionId, key.id, jidNormalizedUser(receipt.userJid), new Date(Number(viewedAt) * 1000)]
+    );
+  } catch (err) {
+    log.error({ err }, 'Status view record error');
+  }
+}
+
+async function tick() {
+  const sessionIds = getSessions().map(session => session.id);
+  if (sessionIds.length === 0) return;
+  try {
+    const { rows } = await pool.query(
+      `SELECT id FROM status_posts
+       WHERE state = 'scheduled' AND scheduled_for <= NOW() AND session_id = ANY($1)
+       ORDER BY scheduled_for`,
+      [sessionIds]
+    );
+    for (const { id } of rows) {
+      await publishPost(id);
+    }
+  } catch (err) {
+    log.error({ err }, 'Status post tick error');
+  }
+}
+
+// A restart mid-publish loses the wait on the outbox, so nothing would record
+// the outcome of a requeued send. Posts still "posting" are marked failed and
+// their unsent outbox messages cancelled, so the recorded state stays true;
+// the owner can post them again. Runs after outbox.recover() and before any
+// session connects, so the outbox has not picked the messages up yet.
+async function recover() {
+  try {
+    const { rowCount } = await pool.query(
+      `UPDATE status_posts SET state = 'failed', last_error = 'Interrupted by a restart' WHERE state = 'posting'`
+    );
+    const cancelled = await outbox.cancelQueued('status-post', 'Status post interrupted by a restart');
+    if (rowCount || cancelled) {
+      log.warn(`${rowCount} status post(s) interrupted by a restart marked failed, ${cancelled} queued send(s) cancelled`);
+    }
+  } catch (err) {
+    log.error({ err }, 'Status post recovery error');
+  }
+}
+
+// sessionsGetter returns the sessions that are currently connected.
+function start(sessionsGetter) {
+  getSessions = sessionsGetter;
+  if (timer) return;
+  timer = setInterval(tick, pollInterval);
+}
+
+module.exports = {
+  STATUS_JID,
+  POST_TYPES,
+  STATES,
+  FONTS,
+  CONTACTS_AUDIENCE,
+  listAudiences,
+  getAudience,
+  setAudience,
+  addAudienceMembers,
+  removeAudienceMembers,
+  deleteAudience,
+  createPost,
+  publishPost,
+  listPosts,
+  getPost,
+  cancelPost,
+  recover,
+  recordView,
+  start,
+  tick
+};
@@ -0,0 +1,121 @@
+const { pool } = require('./db');
+
+async function upsertChat(jid, { name = null, timestamp = new Date() } = {}) {
+  const { rows } = await pool.query(
+    `INSERT INTO chats (jid, name, is_group, last_message_at)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (jid) DO UPDATE
+       SET name = COALESCE($2, chats.name),
+           last_message_at = GREATEST(chats.last_message_at, $4)
+     RETURNING (xmax = 0) AS inserted, name`,
+    [jid, name, jid.endsWith('@g.us'), timestamp]
+  );
+  return { isNew: rows[0].inserted, name: rows[0].name };
+}
+
+async function setChatName(jid, name) {
+  await pool.query(
+    `INSERT INTO chats (jid, name, is_group) VALUES ($1, $2, $3)
+     ON CONFLICT (jid) DO UPDATE SET name = $2`,
+    [jid, name, jid.endsWith('@g.us')]
+  );
+}
+
+// Keeps one contacts row per JID plus a history row every time the pushName changes.
+async function upsertContact(jid, pushName = null) {
+  const { rows } = await pool.query(
+    `WITH previous AS (SELECT push_name FROM contacts WHERE jid = $1)
+     INSERT INTO contacts (jid, push_name)
+     VALUES ($1, $2)
+     ON CONFLICT (jid) DO UPDATE
+       SET push_name = COALESCE($2, contacts.push_name), last_seen = NOW()
+     RETURNING (SELECT push_name FROM previous) AS previous_name`,
+    [jid, pushName]
+  );
+  if (pushName && rows[0].previous_name !== pushName) {
+    await pool.query(
+      `INSERT INTO contact_names (contact_jid, push_name) VALUES ($1, $2)`,
+      [jid, pushName]
+    );
+  }
+}
+
+async function saveMessage(message) {
+  const { rows } = await pool.query(
+    `INSERT INTO messages
+     (message_id, sender_jid, remote_jid, from_me, message_text, message_type, timestamp,
+      quoted_message_id, mentions, mimetype, file_name, is_voice_note, image_url, media_id, raw_message, session_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+     ON CONFLICT (session_id, remote_jid, message_id) DO NOTHING
+     RETURNING id`,
+    [
+      message.messageId,
+      message.senderJid,
+      message.remoteJid,
+      Boolean(message.fromMe),
+      message.text || null,
+      message.type,
+      message.timestamp || new Date(),
+      message.quotedMessageId || null,
+      message.mentions && message.mentions.length ? message.mentions : null,
+      message.mimetype || null,
+      message.fileName || null,
+      Boolean(message.isVoiceNote),
+      message.imageUrl || null,
+      message.mediaId || null,
+      message.raw || null,
+      message.sessionId || 'main'
+    ]
+  );
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+async function findMessage(messageId, remoteJid = null, sessionId = null) {
+  const { rows } = await pool.query(
+    `SELECT * FROM messages
+     WHERE message_id = $1 AND ($2::text IS NULL OR remote_jid = $2)
+       AND ($3::text IS NULL OR session_id = $3)
+     ORDER BY id LIMIT 1`,
+    [messageId, remoteJid, sessionId]
+  );
+  return rows[0] || null;
+}
+
+// Returns false when the message was already marked deleted, e.g. by the bot
+// itself before it revoked the message.
+async function markDeleted({ sessionId, remoteJid, messageId, deletedBy }) {
+  const { rowCount } = await pool.query(
+    `UPDATE messages
+     SET is_deleted = TRUE, deleted_at = NOW(), deleted_by = $1
+     WHERE remote_jid = $2 AND message_id = $3 AND session_id = $4 AND is_deleted IS NOT TRUE`,
+    [deletedBy, remoteJid, messageId, sessionId]
+  );
+  return rowCount > 0;
+}
+
+// An empty emoji means the sender took their reaction back.
+async function saveReaction({ messageId, chatJid, senderJid, emoji }) {
+  if (!emoji) {
+    await pool.query(
+      `DELETE FROM reactions WHERE chat_jid = $1 AND message_id = $2 AND sender_jid = $3`,
+      [chatJid, messageId, senderJid]
+    );
+    return;
+  }
+  await pool.query(
+    `INSERT INTO reactions (message_id, chat_jid, sender_jid, emoji)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (chat_jid, message_id, sender_jid) DO UPDATE SET emoji = $4, reacted_at = NOW()`,
+    [messageId, chatJid, senderJid, emoji]
+  );
+}
+
+module.exports = {
+  upsertChat,
+  setChatName,
+  upsertContact,
+  saveMessage,
+  findMessage,
+  markDeleted,
+  saveReaction
+};
@@ -0,0 +1,257 @@
+// Keeps every session connected: decides per DisconnectReason whether and when to
+// reconnect, backs off with jitter on repeated failures, pings open sockets to
+// catch ones that silently died, and keeps a short state history per session.
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+const config = require('../config');
+const outbox = require('./outbox');
+const authState = require('./authState');
+const { backoffDelay } = require('./utils');
+const metrics = require('./metrics');
+const log = require('./logger').forSubsystem('connection');
+
+const baseDelay = Number(config.RECONNECT_BASE_DELAY_MS) || 2000;
+const maxDelay = Number(config.RECONNECT_MAX_DELAY_MS) || 5 * 60 * 1000;
+const notifyAfter = Number(config.RECONNECT_NOTIFY_AFTER) || 5;
+const watchdogInterval = Number(config.WATCHDOG_INTERVAL_MS) || 60 * 1000;
+const pingTimeout = 20 * 1000;
+const maxMissedPings = 2;
+const connectTimeout = 2 * 60 * 1000;
+const historyLimit = 50;
+
+const REASON_NAMES = Object.fromEntries(
+  Object.entries(DisconnectReason).map(([name, code]) => [code, name])
+);
+
+const health = new Map();
+let connect = null;
+let getSessions = () => [];
+let watchdog = null;
+
+function healthFor(sessionId) {
+  if (!health.has(sessionId)) {
+    health.set(sessionId, {
+      failures: 0,
+      history: [],
+      reconnectTimer: null,
+      nextRetryAt: null,
+      missedPings: 0,
+      lastPingAt: null,
+      stateSince: Date.now(),
+      downSince: null,
+      notified: false
+    });
+  }
+  return health.get(sessionId);
+}
+
+function setState(session, state, details = {}) {
+  const entry = healthFor(session.id);
+  session.state = state;
+  entry.stateSince = Date.now();
+  entry.history.push({ state, at: new Date().toISOString(), ...details });
+  if (entry.history.length > historyLimit) entry.history.shift();
+}
+
+// Warnings go out through another connected session when there is one, since
+// the failing session cannot send; otherwise they wait in its own outbox.
+async function notifyOwners(session, text) {
+  const relay = getSessions().find(other => other !== session && other.conn?.user);
+  const sessionId = relay ? relay.id : session.id;
+  for (const owner of session.ownerNumber) {
+    await outbox.send(`${owner}@s.whatsapp.net`, { text }, {}, { sessionId, source: 'supervisor' })
+      .catch(err => log.error({ err }, 'Supervisor notify error'));
+  }
+}
+
+function cancelReconnect(sessionId) {
+  const entry = healthFor(sessionId);
+  clearTimeout(entry.reconnectTimer);
+  entry.reconnectTimer = null;
+  entry.nextRetryAt = null;
+}
+
+function scheduleReconnect(session, delay) {
+  const entry = healthFor(session.id);
+  cancelReconnect(session.id);
+  entry.nextRetryAt = new Date(Date.now() + delay).toISOString();
+  entry.reconnectTimer = setTimeout(() => {
+    entry.reconnectTimer = null;
+    entry.nextRetryAt = null;
+    if (!session.stopped) connect(session);
+  }, delay);
+}
+
+async function recordFailure(session, details) {
+  const entry = healthFor(session.id);
+  entry.failures++;
+  metrics.reconnects.inc({ session: session.id });
+  if (!entry.downSince) entry.downSince = Date.now();
+  const delay = backoffDelay(entry.failures, baseDelay, maxDelay);
+  setState(session, 'reconnecting', { ...details, attempt: entry.failures, retryInMs: delay });
+  log.warn(`Session ${session.id} reconnecting in ${Math.round(delay / 1000)}s (attempt ${entry.failures})`);
+  scheduleReconnect(session, delay);
+
+  if (entry.failures >= notifyAfter && !entry.notified) {
+    entry.notified = true;
+    await notifyOwners(session,
+      `⚠️ *Connection trouble* ⚠️\n\n` +
+      `📱 *Session:* ${session.id}\n` +
+      `🔁 *Failed attempts:* ${entry.failures}\n` +
+      `❗ *Last error:* ${details.reason || 'unknown'}\n` +
+      `⏳ Still retrying, next attempt in ${Math.round(delay / 1000)}s`
+    );
+  }
+}
+
+function connecting(session) {
+  cancelReconnect(session.id);
+  healthFor(session.id).missedPings = 0;
+  setState(session, 'connecting');
+}
+
+function waitingForLogin(session) {
+  if (session.state !== 'qr') setState(session, 'qr');
+}
+
+async function connected(session) {
+  const entry = healthFor(session.id);
+  const downFor = entry.downSince ? Math.round((Date.now() - entry.downSince) / 1000) : 0;
+  const wasNotified = entry.notified;
+  cancelReconnect(session.id);
+  Object.assign(entry, { failures: 0, missedPings: 0, downSince: null, notified: false });
+  setState(session, 'open', downFor ? { downForSeconds: downFor } : {});
+  if (wasNotified) {
+    await notifyOwners(session,
+      `✅ *Connection restored* ✅\n\n📱 *Session:* ${session.id}\n⏱️ *Down for:* ${downFor}s`
+    );
+  }
+}
+
+// Called for every closed socket. Returns whether the session will come back
+// by itself, for the connection.close webhook.
+async function disconnected(session, conn, lastDisconnect) {
+  // Each reconnect builds a new socket; drop the dead one's handlers.
+  conn.ev.removeAllListeners();
+  const statusCode = lastDisconnect?.error?.output?.statusCode || null;
+  const details = {
+    statusCode,
+    reason: REASON_NAMES[statusCode] || lastDisconnect?.error?.message || 'unknown'
+  };
+
+  if (session.stopped) {
+    cancelReconnect(session.id);
+    if (session.state !== 'stopped') setState(session, 'stopped', details);
+    log.info(`Session ${session.id} stopped`);
+    return false;
+  }
+
+  switch (statusCode) {
+    case DisconnectReason.restartRequired:
+      // WhatsApp asks for this right after a QR scan or pairing; not a failure.
+      setState(session, 'restarting', details);
+      scheduleReconnect(session, 0);
+      return true;
+
+    case DisconnectReason.loggedOut:
+    case DisconnectReason.multideviceMismatch:
+      // The stored creds are useless now. The session stays stopped until someone
+      // starts it from the dashboard, which offers a fresh QR or pairing code.
+      cancelReconnect(session.id);
+      setState(session, 'logged-out', details);
+      session.stopped = true;
+      session.qr = null;
+      log.info(`Session ${session.id} logged out (${details.reason}), waiting for a new login`);
+      await authState.clearAuthState(session.id).catch(err => log.error({ err }, 'Auth state clear error'));
+      await notifyOwners(session, `🔒 *Session ${session.id} was logged out* (${details.reason})\n\nStart it from the dashboard to link it again.`);
+      return false;
+
+    case DisconnectReason.connectionReplaced:
+    case DisconnectReason.forbidden:
+      // Another instance took over the login, or WhatsApp refused it; retrying
+      // would only fight over the session.
+      cancelReconnect(session.id);
+      setState(session, 'halted', details);
+      log.error(`Session ${session.id} halted (${details.reason}), start it again once resolved`);
+      session.stopped = true;
+      await notifyOwners(session, `⛔ *Session ${session.id} halted* (${details.reason})\n\nIt will not reconnect until started again.`);
+      return false;
+
+    default:
+      // connectionClosed, connectionLost/timedOut, unavailableService and badSession
+      // (Baileys also reports generic stream errors as badSession) are retried.
+      await recordFailure(session, details);
+      return true;
+  }
+}
+
+// connectToWA threw before a socket was up (network, database...).
+function failed(session, err) {
+  if (session.stopped) return;
+  recordFailure(session, { statusCode: null, reason: err.message });
+}
+
+async function pingSession(session) {
+  const entry = healthFor(session.id);
+  if (session.state === 'connecting' && Date.now() - entry.stateSince > connectTimeout) {
+    log.warn(`Session ${session.id} stuck connecting, restarting its socket`);
+    session.socket?.end(new Error('Watchdog: connection attempt timed out'));
+    return;
+  }
+  if (session.state !== 'open' || !session.conn) return;
+  const conn = session.conn;
+  try {
+    await conn.query({
+      tag: 'iq',
+      attrs: { to: 's.whatsapp.net', type: 'get', xmlns: 'w:p' },
+      content: [{ tag: 'ping', attrs: {} }]
+    }, pingTimeout);
+    entry.missedPings = 0;
+    entry.lastPingAt = new Date().toISOString();
+  } catch (err) {
+    entry.missedPings++;
+    log.warn({ err }, `Session ${session.id} missed keep-alive ping ${entry.missedPings}/${maxMissedPings}`);
+    if (entry.missedPings >= maxMissedPings && session.conn === conn) {
+      setState(session, 'stale', { reason: err.message });
+      conn.end(new Error('Watchdog: socket stopped answering pings'));
+    }
+  }
+}
+
+async function runWatchdog() {
+  for (const session of getSessions()) {
+    if (session.stopped) continue;
+    await pingSession(session).catch(err => log.error({ err }, 'Watchdog error'));
+  }
+}
+
+function start(options) {
+  connect = options.connect;
+  getSessions = options.getSessions;
+  if (watchdog) return;
+  watchdog = setInterval(runWatchdog, watchdogInterval);
+  log.info('Connection supervisor started');
+}
+
+function describe(sessionId) {
+  const { failures, nextRetryAt, lastPingAt, missedPings, stateSince, history } = healthFor(sessionId);
+  return {
+    failures,
+    nextRetryAt,
+    lastPingAt,
+    missedPings,
+    stateSince: new Date(stateSince).toISOString(),
+    history: [...history].reverse()
+  };
+}
+
+module.exports = {
+  start,
+  setState,
+  connecting,
+  waitingForLogin,
+  connected,
+  disconnected,
+  failed,
+  cancelReconnect,
+  describe
+};
@@ -0,0 +1,47 @@
+// Word-level diff for edited message alerts: removed words ~struck~, added
+// ones *bold*, in WhatsApp formatting.
+
+// Words in the changed middle (after trimming the common start and end) past
+// which no diff is drawn; the LCS table grows with the product of both sides.
+const maxDiffWords = 300;
+
+// The diff, or null when the change is too large to diff.
+function diffWords(before, after) {
+  const a = before.split(/\s+/).filter(Boolean);
+  const b = after.split(/\s+/).filter(Boolean);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+  const oldWords = a.slice(start, a.length - end);
+  const newWords = b.slice(start, b.length - end);
+  if (oldWords.length > maxDiffWords || newWords.length > maxDiffWords) return null;
+
+  const lcs = Array.from({ length: oldWords.length + 1 }, () => new Array(newWords.length + 1).fill(0));
+  for (let i = oldWords.length - 1; i >= 0; i--) {
+    for (let j = newWords.length - 1; j >= 0; j--) {
+      lcs[i][j] = oldWords[i] === newWords[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const parts = a.slice(0, start);
+  let i = 0;
+  let j = 0;
+  while (i < oldWords.length && j < newWords.length) {
+    if (oldWords[i] === newWords[j]) {
+      parts.push(oldWords[i++]);
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      parts.push(`~${oldWords[i++]}~`);
+    } else {
+      parts.push(`*${newWords[j++]}*`);
+    }
+  }
+  while (i < oldWords.length) parts.push(`~${oldWords[i++]}~`);
+  while (j < newWords.length) parts.push(`*${newWords[j++]}*`);
+  parts.push(...a.slice(a.length - end));
+  return parts.join(' ');
+}
+
+module.exports = {
+  diffWords
+};
@@ -0,0 +1,86 @@
+const fs = require('fs').promises;
+const axios = require('axios');
+const config = require('../config');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+const log = logger.forSubsystem('app');
+const mediaLog = logger.forSubsystem('media');
+
+// Boom status codes Baileys uses for timeouts, closed connections and rate limits.
+const TRANSIENT_STATUS_CODES = [408, 428, 429, 500, 502, 503, 504];
+const TRANSIENT_ERROR_PATTERN = /socket hang up|timed? ?out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|ENOTFOUND|EPIPE|Connection Closed|Connection Terminated|Stream Errored|rate-overlimit/i;
+
+function isTransientError(err) {
+  if (!err) return false;
+  const statusCode = err.output?.statusCode || err.response?.status;
+  if (TRANSIENT_STATUS_CODES.includes(statusCode)) return true;
+  return TRANSIENT_ERROR_PATTERN.test(`${err.code || ''} ${err.message || ''}`);
+}
+
+// Exponential backoff with jitter: roughly base, 2x base, 4x base... capped at max.
+function backoffDelay(attempt, base = 1000, max = 5 * 60 * 1000) {
+  const delay = Math.min(max, base * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+async function withRetry(operation, maxRetries = config.MAX_RETRIES || 3, delay = 1000) {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation();
+    } catch (err) {
+      if (isTransientError(err) && attempt < maxRetries) {
+        const wait = backoffDelay(attempt, delay);
+        log.warn({ err }, `Attempt ${attempt} failed, retrying after ${wait}ms`);
+        metrics.retries.inc({ source: 'with_retry' });
+        await new Promise(resolve => setTimeout(resolve, wait));
+        continue;
+      }
+      throw err;
+    }
+  }
+}
+
+const runtime = (seconds) => {
+  seconds = Number(seconds);
+  const days = Math.floor(seconds / (3600 * 24));
+  const hours = Math.floor((seconds % (3600 * 24)) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${days}d ${hours}h ${minutes}m ${secs}s`;
+};
+
+// A real YYYY-MM-DD day, so 2026-02-30 is refused rather than left to fail in SQL.
+function isCalendarDate(value) {
+  const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+async function fetchMedia(source) {
+  try {
+    let buffer;
+    if (source.startsWith('http://') || source.startsWith('https://')) {
+      const response = await withRetry(() => axios.get(source, { responseType: 'arraybuffer' }));
+      buffer = Buffer.from(response.data);
+    } else {
+      buffer = await fs.readFile(source);
+    }
+    mediaLog.debug(`Fetched media from ${source}`);
+    return buffer;
+  } catch (err) {
+    mediaLog.error({ err }, 'Media fetch error');
+    return null;
+  }
+}
+
+module.exports = {
+  isTransientError,
+  backoffDelay,
+  withRetry,
+  runtime,
+  isCalendarDate,
+  fetchMedia
+};
@@ -0,0 +1,26 @@
+// Webhook request signing, kept free of config and database imports so the
+// standalone receiver in scripts/ can verify deliveries without the bot's setup.
+// Receivers check X-Tadashi-Signature against HMAC-SHA256("<timestamp>.<body>")
+// with the webhook secret; the timestamp lets them reject replays.
+const crypto = require('crypto');
+
+const MAX_CLOCK_SKEW_SECONDS = 5 * 60;
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// True when the signature matches and the timestamp is within the allowed skew.
+function verify(secret, timestamp, body, signature, now = Date.now()) {
+  if (typeof signature !== 'string' || !Number.isFinite(Number(timestamp))) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > MAX_CLOCK_SKEW_SECONDS) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+module.exports = {
+  MAX_CLOCK_SKEW_SECONDS,
+  sign,
+  verify
+};
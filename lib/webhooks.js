@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const { pool } = require('./db');
+const { backoffDelay } = require('./utils');
+const { sign } = require('./webhookSignature');
+const log = require('./logger').forSubsystem('http');
+
+const EVENTS = [
+  'message.received',
+  'message.deleted',
+  'group.participants',
+  'connection.open',
+  'connection.close',
+  'call'
+];
+const maxAttempts = Number(config.WEBHOOK_MAX_ATTEMPTS) || 8;
+const requestTimeout = Number(config.WEBHOOK_TIMEOUT_MS) || 10000;
+const retentionDays = Number(config.WEBHOOK_LOG_RETENTION_DAYS) || 14;
+const retryBaseDelay = 5000;
+const maxRetryDelay = 60 * 60 * 1000;
+const pollInterval = 10 * 1000;
+
+let timer = null;
+let polling = false;
+let pollAgain = false;
+
+class WebhookError extends Error {}
+
+function validateWebhook({ url, events, enabled }) {
+  if (!url || !/^https?:\/\//i.test(url)) {
+    throw new WebhookError('Webhook url must start with http:// or https://');
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new WebhookError(`Pick at least one event: ${EVENTS.join(', ')} or *`);
+  }
+  const unknown = events.filter(event => event !== '*' && !EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new WebhookError(`Unknown event(s) ${unknown.join(', ')}, use: ${EVENTS.join(', ')} or *`);
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new WebhookError('enabled must be true or false');
+  }
+}
+
+function publicWebhook(row) {
+  const { secret, ...rest } = row;
+  return rest;
+}
+
+// A webhook without a sessionId receives events from every session.
+async function createWebhook({ url, events, secret = null, description = null, sessionId = null, createdBy = null }) {
+  validateWebhook({ url, events });
+  const { rows } = await pool.query(
+    `INSERT INTO webhooks (url, secret, events, description, session_id, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [url, secret || crypto.randomBytes(24).toString('hex'), events, description, sessionId, createdBy]
+  );
+  log.info(`Webhook #${rows[0].id} created for ${url} (${events.join(', ')})`);
+  // The secret is only shown once, when the webhook is created.
+  return rows[0];
+}
+
+async function listWebhooks() {
+  const { rows } = await pool.query(`SELECT * FROM webhooks ORDER BY id`);
+  return rows.map(publicWebhook);
+}
+
+async function updateWebhook(id, changes) {
+  const { rows } = await pool.query(`SELECT * FROM webhooks WHERE id = $1`, [id]);
+  if (rows.length === 0) return null;
+  const webhook = { ...rows[0] };
+  for (const field of ['url', 'events', 'description', 'enabled']) {
+    if (changes[field] !== undefined) webhook[field] = changes[field];
+  }
+  validateWebhook(webhook);
+  const updated = await pool.query(
+    `UPDATE webhooks SET url = $2, events = $3, description = $4, enabled = $5 WHERE id = $1 RETURNING *`,
+    [id, webhook.url, webhook.events, webhook.description, webhook.enabled]
+  );
+  return publicWebhook(updated.rows[0]);
+}
+
+async function removeWebhook(id) {
+  const { rowCount } = await pool.query(`DELETE FROM webhooks WHERE id = $1`, [id]);
+  return rowCount > 0;
+}
+
+async function listDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT id, webhook_id, event, status, attempts, response_status, response_body, last_error,
+            next_attempt_at, created_at, delivered_at
+     FROM webhook_deliveries
+     WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY id DESC
+     LIMIT $3`,
+    [webhookId, status, Math.min(Math.max(Number(limit) || 50, 1), 500)]
+  );
+  return rows;
+}
+
+async function queueDeliveries(webhookIds, event, data, sessionId) {
+  if (webhookIds.length === 0) return [];
+  const payload = { event, sessionId, timestamp: new Date().toISOString(), data };
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     SELECT id, $2, $3 FROM UNNEST($1::int[]) AS id
+     RETURNING id`,
+    [webhookIds, event, payload]
+  );
+  poll();
+  return rows.map(row => row.id);
+}
+
+// Queues the event for every enabled webhook subscribed to it. Never throws, so
+// callers can fire and forget from inside event handlers.
+async function emit(event, data, sessionId = 'main') {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id FROM webhooks
+       WHERE enabled AND (events && ARRAY[$1, '*']) AND (session_id IS NULL OR session_id = $2)`,
+      [event, sessionId]
+    );
+    await queueDeliveries(rows.map(row => row.id), event, data, sessionId);
+  } catch (err) {
+    log.error({ err }, `Webhook emit error for ${event}`);
+  }
+}
+
+// Sends a "ping" to one webhook regardless of its event filter.
+async function sendTest(id) {
+  const { rows } = await pool.query(`SELECT id FROM webhooks WHERE id = $1`, [id]);
+  if (rows.length === 0) return null;
+  const [deliveryId] = await queueDeliveries([id], 'ping', { message: 'Test delivery from TADASHI-MD' }, null);
+  return deliveryId;
+}
+
+async function redeliver(deliveryId) {
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+     WHERE id = $1
+     RETURNING id`,
+    [deliveryId]
+  );
+  if (rows.length > 0) poll();
+  return rows.length > 0;
+}
+
+// Leases due deliveries for a minute so a slow receiver is not hit twice.
+async function claimDueDeliveries() {
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET next_attempt_at = NOW() + INTERVAL '1 minute', attempts = d.attempts + 1
+     FROM webhooks w
+     WHERE d.webhook_id = w.id
+       AND d.id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY id
+         LIMIT 20
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING d.*, w.url, w.secret`
+  );
+  return rows.sort((a, b) => a.id - b.id);
+}
+
+async function deliver(delivery) {
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const response = await axios.post(delivery.url, body, {
+      timeout: requestTimeout,
+      maxRedirects: 0,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TADASHI-MD-Webhooks',
+        'X-Tadashi-Event': delivery.event,
+        'X-Tadashi-Delivery': String(delivery.id),
+        'X-Tadashi-Timestamp': String(timestamp),
+        'X-Tadashi-Signature': sign(delivery.secret, timestamp, body)
+      }
+    });
+    responseStatus = response.status;
+    responseBody = String(response.data ?? '').slice(0, 1000);
+    if (response.status < 200 || response.status >= 300) {
+      error = `Receiver answered HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', delivered_at = NOW(), response_status = $2, response_body = $3, last_error = NULL
+       WHERE id = $1`,
+      [delivery.id, responseStatus, responseBody]
+    );
+    return;
+  }
+
+  const giveUp = delivery.attempts >= maxAttempts;
+  const delay = backoffDelay(delivery.attempts, retryBaseDelay, maxRetryDelay);
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $2, response_status = $3, response_body = $4, last_error = $5,
+         next_attempt_at = CASE WHEN $2 = 'pending' THEN NOW() + make_interval(secs => $6) ELSE next_attempt_at END
+     WHERE id = $1`,
+    [delivery.id, giveUp ? 'failed' : 'pending', responseStatus, responseBody, error, delay / 1000]
+  );
+  if (giveUp) {
+    log.error({ error }, `Webhook delivery #${delivery.id} to ${delivery.url} failed after ${delivery.attempts} attempts`);
+  } else {
+    log.warn({ error }, `Webhook delivery #${delivery.id} to ${delivery.url} failed, retrying in ${Math.round(delay / 1000)}s`);
+  }
+}
+
+async function poll() {
+  if (polling) {
+    pollAgain = true;
+    return;
+  }
+  polling = true;
+  try {
+    let deliveries;
+    do {
+      deliveries = await claimDueDeliveries();
+      for (const delivery of deliveries) {
+        await deliver(delivery);
+      }
+    } while (deliveries.length > 0);
+  } catch (err) {
+    log.error({ err }, 'Webhook poll error');
+  } finally {
+    polling = false;
+    if (pollAgain) {
+      pollAgain = false;
+      poll();
+    }
+  }
+}
+
+async function pruneDeliveries() {
+  try {
+    const { rowCount } = await pool.query(
+      `DELETE FROM webhook_deliveries
+       WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)`,
+      [retentionDays]
+    );
+    if (rowCount > 0) log.info(`Pruned ${rowCount} old webhook deliveries`);
+  } catch (err) {
+    log.error({ err }, 'Webhook log prune error');
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(poll, pollInterval);
+  setInterval(pruneDeliveries, 60 * 60 * 1000);
+  log.info('Webhook dispatcher started');
+}
+
+module.exports = {
+  EVENTS,
+  WebhookError,
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  removeWebhook,
+  listDeliveries,
+  emit,
+  sendTest,
+  redeliver,
+  start,
+  poll
+};
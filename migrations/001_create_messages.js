@@ -0,0 +1,24 @@
+// Baseline table; IF NOT EXISTS lets databases created before migrations adopt it.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id SERIAL PRIMARY KEY,
+        message_id TEXT NOT NULL,
+        sender_jid TEXT NOT NULL,
+        remote_jid TEXT NOT NULL,
+        message_text TEXT,
+        message_type TEXT,
+        timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        is_deleted BOOLEAN DEFAULT FALSE,
+        deleted_at TIMESTAMP WITH TIME ZONE,
+        deleted_by TEXT,
+        sri_lanka_time TIMESTAMP WITH TIME ZONE DEFAULT (NOW() AT TIME ZONE 'Asia/Colombo')
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS messages`);
+  }
+};
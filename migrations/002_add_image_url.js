@@ -0,0 +1,9 @@
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS image_url TEXT`);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE messages DROP COLUMN IF EXISTS image_url`);
+  }
+};
@@ -0,0 +1,9 @@
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS auto_reply_sent BOOLEAN DEFAULT FALSE`);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE messages DROP COLUMN IF EXISTS auto_reply_sent`);
+  }
+};
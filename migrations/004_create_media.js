@@ -0,0 +1,24 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS media (
+        id SERIAL PRIMARY KEY,
+        sha256 TEXT NOT NULL UNIQUE,
+        file_name TEXT NOT NULL,
+        mimetype TEXT,
+        size_bytes BIGINT NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`
+      ALTER TABLE messages
+      ADD COLUMN IF NOT EXISTS media_id INTEGER REFERENCES media(id) ON DELETE SET NULL
+    `);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE messages DROP COLUMN IF EXISTS media_id`);
+    await client.query(`DROP TABLE IF EXISTS media`);
+  }
+};
@@ -0,0 +1,29 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE messages
+      ADD COLUMN IF NOT EXISTS is_edited BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS message_edits (
+        id SERIAL PRIMARY KEY,
+        message_id TEXT NOT NULL,
+        remote_jid TEXT NOT NULL,
+        edited_by TEXT,
+        old_text TEXT,
+        new_text TEXT,
+        edited_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS message_edits`);
+    await client.query(`
+      ALTER TABLE messages
+      DROP COLUMN IF EXISTS is_edited,
+      DROP COLUMN IF EXISTS edited_at
+    `);
+  }
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS anti_delete_settings (
+        chat_jid TEXT PRIMARY KEY,
+        route TEXT NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS anti_delete_settings`);
+  }
+};
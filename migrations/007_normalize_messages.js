@@ -0,0 +1,174 @@
+const MEDIA_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'];
+const TEXT_TYPES = ['conversation', 'extendedTextMessage'];
+const BATCH_SIZE = 1000;
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Media rows used to keep {caption, mimetype, ...} as JSON in message_text and
+// every other non-text type kept the whole message as JSON. Move those into
+// real columns so message_text only ever holds human readable text.
+async function backfillMessageText(client) {
+  let lastId = 0;
+  for (;;) {
+    const { rows } = await client.query(
+      `SELECT id, message_type, message_text FROM messages
+       WHERE id > $1 AND NOT (message_type = ANY($2)) AND message_text LIKE '{%'
+       ORDER BY id LIMIT $3`,
+      [lastId, TEXT_TYPES, BATCH_SIZE]
+    );
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      const parsed = parseJson(row.message_text);
+      if (!parsed) continue;
+      if (MEDIA_TYPES.includes(row.message_type)) {
+        await client.query(
+          `UPDATE messages SET message_text = $2, mimetype = $3, file_name = $4, is_voice_note = $5 WHERE id = $1`,
+          [row.id, parsed.caption || null, parsed.mimetype || null, parsed.fileName || null, Boolean(parsed.ptt)]
+        );
+      } else {
+        await client.query(
+          `UPDATE messages SET message_text = NULL, raw_message = $2 WHERE id = $1`,
+          [row.id, parsed]
+        );
+      }
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS chats (
+        jid TEXT PRIMARY KEY,
+        name TEXT,
+        is_group BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_message_at TIMESTAMP WITH TIME ZONE
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contacts (
+        jid TEXT PRIMARY KEY,
+        push_name TEXT,
+        first_seen TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_seen TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contact_names (
+        id SERIAL PRIMARY KEY,
+        contact_jid TEXT NOT NULL REFERENCES contacts(jid) ON DELETE CASCADE,
+        push_name TEXT NOT NULL,
+        seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reactions (
+        id SERIAL PRIMARY KEY,
+        message_id TEXT NOT NULL,
+        chat_jid TEXT NOT NULL,
+        sender_jid TEXT NOT NULL,
+        emoji TEXT NOT NULL,
+        reacted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (chat_jid, message_id, sender_jid)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE messages
+      ADD COLUMN from_me BOOLEAN DEFAULT FALSE,
+      ADD COLUMN quoted_message_id TEXT,
+      ADD COLUMN mentions TEXT[],
+      ADD COLUMN mimetype TEXT,
+      ADD COLUMN file_name TEXT,
+      ADD COLUMN is_voice_note BOOLEAN DEFAULT FALSE,
+      ADD COLUMN raw_message JSONB
+    `);
+    await backfillMessageText(client);
+    await client.query(`ALTER TABLE messages DROP COLUMN IF EXISTS sri_lanka_time`);
+
+    await client.query(`
+      INSERT INTO chats (jid, is_group, created_at, last_message_at)
+      SELECT remote_jid, remote_jid LIKE '%@g.us', MIN(timestamp), MAX(timestamp)
+      FROM messages GROUP BY remote_jid
+      ON CONFLICT (jid) DO NOTHING
+    `);
+    await client.query(`
+      INSERT INTO contacts (jid, first_seen, last_seen)
+      SELECT sender_jid, MIN(timestamp), MAX(timestamp)
+      FROM messages GROUP BY sender_jid
+      ON CONFLICT (jid) DO NOTHING
+    `);
+
+    // Upserts used to be delivered twice after reconnects; keep the first copy.
+    await client.query(`
+      DELETE FROM messages a USING messages b
+      WHERE a.remote_jid = b.remote_jid AND a.message_id = b.message_id AND a.id > b.id
+    `);
+    await client.query(`CREATE UNIQUE INDEX messages_chat_message_idx ON messages (remote_jid, message_id)`);
+    await client.query(`CREATE INDEX messages_message_id_idx ON messages (message_id)`);
+    await client.query(`CREATE INDEX messages_sender_jid_idx ON messages (sender_jid)`);
+    await client.query(`CREATE INDEX messages_timestamp_idx ON messages (timestamp)`);
+    await client.query(`CREATE INDEX message_edits_message_id_idx ON message_edits (message_id)`);
+    await client.query(`CREATE INDEX reactions_message_id_idx ON reactions (message_id)`);
+    await client.query(`CREATE INDEX contact_names_contact_jid_idx ON contact_names (contact_jid)`);
+
+    await client.query(`
+      ALTER TABLE messages
+      ADD CONSTRAINT messages_remote_jid_fkey FOREIGN KEY (remote_jid) REFERENCES chats(jid),
+      ADD CONSTRAINT messages_sender_jid_fkey FOREIGN KEY (sender_jid) REFERENCES contacts(jid)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE messages
+      DROP CONSTRAINT IF EXISTS messages_remote_jid_fkey,
+      DROP CONSTRAINT IF EXISTS messages_sender_jid_fkey
+    `);
+    await client.query(`DROP INDEX IF EXISTS messages_chat_message_idx`);
+    await client.query(`DROP INDEX IF EXISTS messages_message_id_idx`);
+    await client.query(`DROP INDEX IF EXISTS messages_sender_jid_idx`);
+    await client.query(`DROP INDEX IF EXISTS messages_timestamp_idx`);
+    await client.query(`DROP INDEX IF EXISTS message_edits_message_id_idx`);
+
+    await client.query(`
+      ALTER TABLE messages
+      ADD COLUMN sri_lanka_time TIMESTAMP WITH TIME ZONE DEFAULT (NOW() AT TIME ZONE 'Asia/Colombo')
+    `);
+    await client.query(`UPDATE messages SET sri_lanka_time = timestamp`);
+    await client.query(`
+      UPDATE messages
+      SET message_text = json_build_object(
+        'caption', COALESCE(message_text, ''),
+        'mimetype', mimetype,
+        'fileName', file_name,
+        'ptt', is_voice_note
+      )::text
+      WHERE message_type = ANY($1)
+    `, [MEDIA_TYPES]);
+    await client.query(`UPDATE messages SET message_text = raw_message::text WHERE raw_message IS NOT NULL`);
+    await client.query(`
+      ALTER TABLE messages
+      DROP COLUMN from_me,
+      DROP COLUMN quoted_message_id,
+      DROP COLUMN mentions,
+      DROP COLUMN mimetype,
+      DROP COLUMN file_name,
+      DROP COLUMN is_voice_note,
+      DROP COLUMN raw_message
+    `);
+
+    await client.query(`DROP TABLE IF EXISTS reactions`);
+    await client.query(`DROP TABLE IF EXISTS contact_names`);
+    await client.query(`DROP TABLE IF EXISTS contacts`);
+    await client.query(`DROP TABLE IF EXISTS chats`);
+  }
+};
@@ -0,0 +1,28 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE scheduled_jobs (
+        id SERIAL PRIMARY KEY,
+        name TEXT,
+        chat_jid TEXT NOT NULL,
+        cron TEXT,
+        run_at TIMESTAMP WITH TIME ZONE,
+        timezone TEXT NOT NULL DEFAULT 'Asia/Colombo',
+        response JSONB NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        next_run_at TIMESTAMP WITH TIME ZONE,
+        last_run_at TIMESTAMP WITH TIME ZONE,
+        last_error TEXT,
+        run_count INTEGER NOT NULL DEFAULT 0,
+        created_by TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CHECK (cron IS NOT NULL OR run_at IS NOT NULL)
+      )
+    `);
+    await client.query(`CREATE INDEX scheduled_jobs_due_idx ON scheduled_jobs (next_run_at) WHERE enabled`);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS scheduled_jobs`);
+  }
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE outbound_messages (
+        id SERIAL PRIMARY KEY,
+        chat_jid TEXT NOT NULL,
+        payload TEXT,
+        options TEXT,
+        preview TEXT,
+        source TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        wa_message_id TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP WITH TIME ZONE,
+        delivered_at TIMESTAMP WITH TIME ZONE,
+        read_at TIMESTAMP WITH TIME ZONE
+      )
+    `);
+    await client.query(`CREATE INDEX outbound_messages_pending_idx ON outbound_messages (chat_jid, id) WHERE status = 'queued'`);
+    await client.query(`CREATE INDEX outbound_messages_wa_id_idx ON outbound_messages (wa_message_id)`);
+    await client.query(`CREATE INDEX outbound_messages_created_idx ON outbound_messages (created_at)`);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS outbound_messages`);
+  }
+};
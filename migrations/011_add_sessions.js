@@ -0,0 +1,43 @@
+// Several WhatsApp accounts can run in one process. Everything that belongs to
+// one account is tagged with its session id; rows from before this migration
+// belong to the original "main" session.
+const TAGGED_TABLES = ['messages', 'message_edits', 'outbound_messages', 'scheduled_jobs'];
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE wa_sessions (
+        id TEXT PRIMARY KEY,
+        owner_number TEXT,
+        reply_file TEXT,
+        settings JSONB NOT NULL DEFAULT '{}',
+        auto_start BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`INSERT INTO wa_sessions (id) VALUES ('main')`);
+
+    for (const table of TAGGED_TABLES) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN session_id TEXT NOT NULL DEFAULT 'main'`);
+    }
+    // A group message reaches every session that is in the group, with the same id.
+    await client.query(`DROP INDEX IF EXISTS messages_chat_message_idx`);
+    await client.query(`CREATE UNIQUE INDEX messages_session_chat_message_idx ON messages (session_id, remote_jid, message_id)`);
+    await client.query(`CREATE INDEX outbound_messages_session_idx ON outbound_messages (session_id, id)`);
+
+    // NULL means the webhook receives events from every session.
+    await client.query(`ALTER TABLE webhooks ADD COLUMN session_id TEXT`);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE webhooks DROP COLUMN IF EXISTS session_id`);
+    await client.query(`DROP INDEX IF EXISTS outbound_messages_session_idx`);
+    await client.query(`DROP INDEX IF EXISTS messages_session_chat_message_idx`);
+    await client.query(`DELETE FROM messages WHERE session_id <> 'main'`);
+    await client.query(`CREATE UNIQUE INDEX messages_chat_message_idx ON messages (remote_jid, message_id)`);
+    for (const table of TAGGED_TABLES) {
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS session_id`);
+    }
+    await client.query(`DROP TABLE IF EXISTS wa_sessions`);
+  }
+};
@@ -0,0 +1,19 @@
+// Baileys auth state (creds and signal keys) lives in the database so a
+// redeploy on an ephemeral filesystem does not log the bot out.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE wa_auth_state (
+        session_id TEXT NOT NULL REFERENCES wa_sessions(id) ON DELETE CASCADE,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, key)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS wa_auth_state`);
+  }
+};
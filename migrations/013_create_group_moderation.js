@@ -0,0 +1,35 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE group_moderation (
+        session_id TEXT NOT NULL DEFAULT 'main',
+        group_jid TEXT NOT NULL,
+        antilink TEXT NOT NULL DEFAULT 'off',
+        antispam BOOLEAN NOT NULL DEFAULT FALSE,
+        spam_limit INTEGER NOT NULL DEFAULT 6,
+        spam_window_seconds INTEGER NOT NULL DEFAULT 10,
+        banned_words TEXT[] NOT NULL DEFAULT '{}',
+        max_warnings INTEGER NOT NULL DEFAULT 3,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, group_jid)
+      )
+    `);
+    await client.query(`
+      CREATE TABLE group_warnings (
+        id SERIAL PRIMARY KEY,
+        session_id TEXT NOT NULL DEFAULT 'main',
+        group_jid TEXT NOT NULL,
+        member_jid TEXT NOT NULL,
+        reason TEXT,
+        warned_by TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX group_warnings_member_idx ON group_warnings (session_id, group_jid, member_jid)`);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS group_warnings`);
+    await client.query(`DROP TABLE IF EXISTS group_moderation`);
+  }
+};
@@ -0,0 +1,21 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE group_greetings (
+        session_id TEXT NOT NULL DEFAULT 'main',
+        group_jid TEXT NOT NULL,
+        welcome_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        welcome_template TEXT,
+        goodbye_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        goodbye_template TEXT,
+        with_picture BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, group_jid)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS group_greetings`);
+  }
+};
@@ -0,0 +1,37 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE status_archive (
+        id SERIAL PRIMARY KEY,
+        session_id TEXT NOT NULL DEFAULT 'main',
+        status_id TEXT NOT NULL,
+        sender_jid TEXT NOT NULL,
+        push_name TEXT,
+        status_type TEXT NOT NULL,
+        text TEXT,
+        media_id INTEGER REFERENCES media(id) ON DELETE SET NULL,
+        mimetype TEXT,
+        is_voice_note BOOLEAN NOT NULL DEFAULT FALSE,
+        posted_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        archived_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (session_id, sender_jid, status_id)
+      )
+    `);
+    await client.query(`CREATE INDEX status_archive_sender_idx ON status_archive (session_id, sender_jid, posted_at DESC)`);
+    await client.query(`CREATE INDEX status_archive_posted_idx ON status_archive (posted_at)`);
+    await client.query(`
+      CREATE TABLE status_filters (
+        session_id TEXT NOT NULL DEFAULT 'main',
+        contact_jid TEXT NOT NULL,
+        mode TEXT NOT NULL CHECK (mode IN ('allow', 'deny')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, contact_jid)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS status_filters`);
+    await client.query(`DROP TABLE IF EXISTS status_archive`);
+  }
+};
@@ -0,0 +1,50 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE status_audiences (
+        session_id TEXT NOT NULL DEFAULT 'main',
+        name TEXT NOT NULL,
+        members TEXT[] NOT NULL DEFAULT '{}',
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, name)
+      )
+    `);
+    await client.query(`
+      CREATE TABLE status_posts (
+        id SERIAL PRIMARY KEY,
+        session_id TEXT NOT NULL DEFAULT 'main',
+        status_type TEXT NOT NULL CHECK (status_type IN ('text', 'image', 'video')),
+        text TEXT,
+        background_color TEXT,
+        font SMALLINT,
+        media_id INTEGER REFERENCES media(id) ON DELETE SET NULL,
+        mimetype TEXT,
+        audience TEXT NOT NULL,
+        state TEXT NOT NULL DEFAULT 'scheduled' CHECK (state IN ('scheduled', 'posting', 'posted', 'failed')),
+        scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        wa_message_id TEXT,
+        recipient_count INTEGER,
+        posted_at TIMESTAMP WITH TIME ZONE,
+        last_error TEXT,
+        created_by TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX status_posts_due_idx ON status_posts (scheduled_for) WHERE state = 'scheduled'`);
+    await client.query(`CREATE INDEX status_posts_message_idx ON status_posts (session_id, wa_message_id)`);
+    await client.query(`
+      CREATE TABLE status_post_views (
+        post_id INTEGER NOT NULL REFERENCES status_posts(id) ON DELETE CASCADE,
+        viewer_jid TEXT NOT NULL,
+        viewed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        PRIMARY KEY (post_id, viewer_jid)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS status_post_views`);
+    await client.query(`DROP TABLE IF EXISTS status_posts`);
+    await client.query(`DROP TABLE IF EXISTS status_audiences`);
+  }
+};
@@ -0,0 +1,27 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE calls (
+        id SERIAL PRIMARY KEY,
+        session_id TEXT NOT NULL DEFAULT 'main',
+        call_id TEXT NOT NULL,
+        caller_jid TEXT NOT NULL,
+        group_jid TEXT,
+        is_video BOOLEAN NOT NULL DEFAULT FALSE,
+        is_group BOOLEAN NOT NULL DEFAULT FALSE,
+        status TEXT NOT NULL,
+        rejected BOOLEAN NOT NULL DEFAULT FALSE,
+        caller_blocked BOOLEAN NOT NULL DEFAULT FALSE,
+        called_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (session_id, call_id)
+      )
+    `);
+    await client.query(`CREATE INDEX calls_caller_idx ON calls (session_id, caller_jid, called_at DESC)`);
+    await client.query(`CREATE INDEX calls_called_at_idx ON calls (session_id, called_at DESC)`);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS calls`);
+  }
+};
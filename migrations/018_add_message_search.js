@@ -0,0 +1,19 @@
+// The 'simple' configuration does no stemming or stop words, so Sinhala and
+// English (and mixed) messages are tokenized the same way.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE messages
+      ADD COLUMN search_vector tsvector
+        GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(message_text, ''))) STORED
+    `);
+    await client.query(`CREATE INDEX messages_search_idx ON messages USING GIN (search_vector)`);
+    await client.query(`CREATE INDEX messages_session_chat_time_idx ON messages (session_id, remote_jid, timestamp)`);
+  },
+
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS messages_session_chat_time_idx`);
+    await client.query(`DROP INDEX IF EXISTS messages_search_idx`);
+    await client.query(`ALTER TABLE messages DROP COLUMN IF EXISTS search_vector`);
+  }
+};
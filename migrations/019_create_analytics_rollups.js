@@ -0,0 +1,25 @@
+// Hourly counters for events that leave no row of their own (reply rule hits,
+// command runs). Message volume is aggregated straight from messages.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE analytics_rollups (
+        session_id TEXT NOT NULL DEFAULT 'main',
+        bucket TIMESTAMP WITH TIME ZONE NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('rule', 'command')),
+        name TEXT NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (session_id, kind, name, bucket)
+      )
+    `);
+    await client.query(`CREATE INDEX analytics_rollups_bucket_idx ON analytics_rollups (session_id, bucket)`);
+    await client.query(`CREATE INDEX messages_session_time_idx ON messages (session_id, timestamp)`);
+    await client.query(`CREATE INDEX message_edits_session_time_idx ON message_edits (session_id, edited_at)`);
+  },
+
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS message_edits_session_time_idx`);
+    await client.query(`DROP INDEX IF EXISTS messages_session_time_idx`);
+    await client.query(`DROP TABLE IF EXISTS analytics_rollups`);
+  }
+};
@@ -0,0 +1,11 @@
+// Ties a queued reply to the incoming message or API request that caused it, so
+// the send (and its retries) log under the same correlation id.
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE outbound_messages ADD COLUMN correlation_id TEXT`);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE outbound_messages DROP COLUMN IF EXISTS correlation_id`);
+  }
+};
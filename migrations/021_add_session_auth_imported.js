@@ -0,0 +1,16 @@
+// Creds from a sessions/ folder or the MEGA SESSION_ID are imported at most
+// once per session. Without this flag a logout (which wipes wa_auth_state)
+// would be undone by importing the same, already unlinked creds again.
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE wa_sessions ADD COLUMN auth_imported BOOLEAN NOT NULL DEFAULT FALSE`);
+    await client.query(`
+      UPDATE wa_sessions SET auth_imported = TRUE
+      WHERE id IN (SELECT DISTINCT session_id FROM wa_auth_state)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE wa_sessions DROP COLUMN IF EXISTS auth_imported`);
+  }
+};
@@ -0,0 +1,16 @@
+// Anti-delete routes were shared by every session; like the other per-chat
+// settings they now belong to one session. Existing routes stay with "main".
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE anti_delete_settings ADD COLUMN session_id TEXT NOT NULL DEFAULT 'main'`);
+    await client.query(`ALTER TABLE anti_delete_settings DROP CONSTRAINT anti_delete_settings_pkey`);
+    await client.query(`ALTER TABLE anti_delete_settings ADD PRIMARY KEY (session_id, chat_jid)`);
+  },
+
+  async down(client) {
+    await client.query(`DELETE FROM anti_delete_settings WHERE session_id <> 'main'`);
+    await client.query(`ALTER TABLE anti_delete_settings DROP CONSTRAINT anti_delete_settings_pkey`);
+    await client.query(`ALTER TABLE anti_delete_settings ADD PRIMARY KEY (chat_jid)`);
+    await client.query(`ALTER TABLE anti_delete_settings DROP COLUMN session_id`);
+  }
+};
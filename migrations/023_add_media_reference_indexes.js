@@ -0,0 +1,13 @@
+// Media pruning skips files that stored messages or archived statuses still
+// use, which it looks up by media_id for every candidate.
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE INDEX IF NOT EXISTS messages_media_idx ON messages (media_id) WHERE media_id IS NOT NULL`);
+    await client.query(`CREATE INDEX IF NOT EXISTS status_archive_media_idx ON status_archive (media_id) WHERE media_id IS NOT NULL`);
+  },
+
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS status_archive_media_idx`);
+    await client.query(`DROP INDEX IF EXISTS messages_media_idx`);
+  }
+};
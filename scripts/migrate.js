@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// Usage: node scripts/migrate.js [up|rollback|status] [steps]
+const migrator = require('../lib/migrator');
+const { pool } = require('../lib/db');
+
+async function main() {
+  const [action = 'up', stepsArg] = process.argv.slice(2);
+
+  switch (action) {
+    case 'up': {
+      const applied = await migrator.migrate();
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'rollback': {
+      const steps = stepsArg ? parseInt(stepsArg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of steps "${stepsArg}"`);
+      }
+      const rolledBack = await migrator.rollback(steps);
+      console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      const migrations = await migrator.status();
+      for (const migration of migrations) {
+        const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        console.log(`${migration.name.padEnd(40)} ${state}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown action "${action}", use up, rollback or status`);
+  }
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async (err) => {
+    console.error('Migration error:', err.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// Local webhook receiver for trying out webhook subscriptions.
+// Usage: node scripts/webhook-receiver.js [port] [secret] [--fail N]
+//   Prints every delivery and whether its signature matches the secret.
+//   --fail N answers the first N deliveries with HTTP 500 to exercise retries.
+const http = require('http');
+const { verify } = require('../lib/webhookSignature');
+
+const args = process.argv.slice(2);
+const failIndex = args.indexOf('--fail');
+let failuresLeft = failIndex >= 0 ? parseInt(args.splice(failIndex, 2)[1], 10) || 0 : 0;
+const [portArg = '4000', secret = ''] = args;
+const port = parseInt(portArg, 10);
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const event = req.headers['x-tadashi-event'];
+    const delivery = req.headers['x-tadashi-delivery'];
+    const timestamp = req.headers['x-tadashi-timestamp'];
+    const signature = req.headers['x-tadashi-signature'];
+
+    let verdict = 'not checked (no secret given)';
+    if (secret) {
+      verdict = verify(secret, timestamp, body, signature) ? 'valid ✅' : 'INVALID ❌';
+    }
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`Event: ${event}  Delivery: #${delivery}  Signature: ${verdict}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (err) {
+      console.log(body);
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`Answering 500 on purpose (${failuresLeft} failure(s) left)`);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      return res.end('Simulated failure');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
@@ -0,0 +1,34 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const antiDelete = require('../lib/antiDelete');
+const { fakeQueries } = require('./fakeDb');
+
+// anti_delete_settings, keyed by session and chat.
+function fakeRoutes(t) {
+  const routes = new Map();
+  fakeQueries(t, [
+    [/SELECT route FROM anti_delete_settings/, ([sessionId, chatJid]) => {
+      const route = routes.get(`${sessionId}|${chatJid}`);
+      return route ? [{ route }] : [];
+    }],
+    [/INSERT INTO anti_delete_settings/, ([sessionId, chatJid, route]) => { routes.set(`${sessionId}|${chatJid}`, route); }],
+    [/DELETE FROM anti_delete_settings/, ([sessionId, chatJid]) => { routes.delete(`${sessionId}|${chatJid}`); }]
+  ]);
+  return routes;
+}
+
+test('routes belong to the session that set them', async (t) => {
+  fakeRoutes(t);
+  assert.equal(await antiDelete.setRoute('main', 'group@g.us', 'off'), 'off');
+  assert.equal(await antiDelete.getRoute('main', 'group@g.us'), 'off');
+  assert.equal(await antiDelete.getRoute('second', 'group@g.us'), antiDelete.defaultRoute);
+});
+
+test('"default" removes the chat\'s route and unknown routes are refused', async (t) => {
+  const routes = fakeRoutes(t);
+  await antiDelete.setRoute('main', 'group@g.us', 'chat');
+  assert.equal(await antiDelete.setRoute('main', 'group@g.us', 'default'), antiDelete.defaultRoute);
+  assert.equal(routes.size, 0);
+  await assert.rejects(antiDelete.setRoute('main', 'group@g.us', 'everywhere'), /Unknown route "everywhere"/);
+});
@@ -0,0 +1,80 @@
+require('./env');
+process.env.DASHBOARD_USERS = 'ann:correct-horse:admin,vic:battery-staple:viewer,old:change-me:admin';
+process.env.API_TOKENS = 'reporting-token:viewer';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../lib/auth');
+
+// Runs a requireRole middleware against a request with these headers.
+function callRoute(role, headers = {}) {
+  const req = { get: name => headers[name.toLowerCase()] };
+  const result = { status: 200, next: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+  auth.requireRole(role)(req, res, () => { result.next = true; });
+  return { ...result, auth: req.auth };
+}
+
+test('configured users log in and get a token for their role', () => {
+  const result = auth.login('ann', 'correct-horse', '10.0.0.1');
+  assert.equal(result.role, 'admin');
+  assert.match(result.token, /^[0-9a-f]{64}$/);
+  assert.equal(auth.login('ann', 'wrong', '10.0.0.1').status, 401);
+  assert.equal(auth.login('nobody', 'correct-horse', '10.0.0.1').status, 401);
+});
+
+test('the published default password never logs in', () => {
+  assert.equal(auth.login('old', 'change-me', '10.0.0.2').status, 401);
+});
+
+test('an address is locked out after five failed logins', () => {
+  for (let i = 0; i < 5; i++) assert.equal(auth.login('ann', 'guess', '10.0.0.3').status, 401);
+  assert.equal(auth.login('ann', 'correct-horse', '10.0.0.3').status, 429);
+  assert.equal(auth.login('ann', 'correct-horse', '10.0.0.4').role, 'admin', 'other addresses are not affected');
+});
+
+test('the lockout ends after fifteen minutes', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  for (let i = 0; i < 5; i++) auth.login('ann', 'guess', '10.0.0.5');
+  assert.equal(auth.login('ann', 'correct-horse', '10.0.0.5').status, 429);
+  t.mock.timers.tick(15 * 60 * 1000 + 1);
+  assert.equal(auth.login('ann', 'correct-horse', '10.0.0.5').role, 'admin');
+});
+
+test('routes need a valid token with a high enough role', () => {
+  const admin = auth.login('ann', 'correct-horse', '10.0.1.1').token;
+  const viewer = auth.login('vic', 'battery-staple', '10.0.1.1').token;
+
+  assert.equal(callRoute('viewer').status, 401);
+  assert.equal(callRoute('viewer', { authorization: 'Bearer not-a-token' }).status, 401);
+  assert.equal(callRoute('admin', { authorization: `Bearer ${viewer}` }).status, 403);
+  const allowed = callRoute('admin', { authorization: `Bearer ${admin}` });
+  assert.equal(allowed.next, true);
+  assert.equal(allowed.auth.username, 'ann');
+  assert.equal(callRoute('viewer', { authorization: `Bearer ${admin}` }).next, true, 'admins can do what viewers can');
+});
+
+test('API tokens work as a bearer token or X-Api-Key', () => {
+  assert.equal(callRoute('viewer', { authorization: 'Bearer reporting-token' }).next, true);
+  assert.equal(callRoute('viewer', { 'x-api-key': 'reporting-token' }).auth.username, 'api-token');
+  assert.equal(callRoute('admin', { 'x-api-key': 'reporting-token' }).status, 403);
+});
+
+test('logins end on logout or when they expire', (t) => {
+  const first = auth.login('vic', 'battery-staple', '10.0.2.1').token;
+  assert.equal(auth.logout(first), true);
+  assert.equal(callRoute('viewer', { authorization: `Bearer ${first}` }).status, 401);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const second = auth.login('vic', 'battery-staple', '10.0.2.1').token;
+  t.mock.timers.tick(12 * 60 * 60 * 1000 + 1);
+  assert.equal(callRoute('viewer', { authorization: `Bearer ${second}` }).status, 401);
+});
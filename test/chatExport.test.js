@@ -0,0 +1,76 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chatExport = require('../lib/chatExport');
+const exportCommand = require('../commands/export');
+const { UsageError } = require('../lib/commands');
+const { fakeQueries } = require('./fakeDb');
+
+const chatJid = '94771234567@s.whatsapp.net';
+
+function storedMessage(id, overrides = {}) {
+  return {
+    id,
+    message_id: `MSG${id}`,
+    sender_jid: chatJid,
+    sender_name: 'Ann',
+    from_me: false,
+    message_type: 'conversation',
+    message_text: `message ${id}`,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 8, id)),
+    media_id: null,
+    media_file_name: null,
+    media_size: null,
+    ...overrides
+  };
+}
+
+test('dates must be real calendar days', async (t) => {
+  const queries = fakeQueries(t, []);
+  for (const from of ['2026-13-45', '2026-02-30', '26-01-01', 'yesterday']) {
+    await assert.rejects(chatExport.loadChatMessages('main', chatJid, { from }), chatExport.ExportError);
+  }
+  await assert.rejects(chatExport.loadChatMessages('main', chatJid, { to: ['2026-01-01'] }), /to must be a YYYY-MM-DD date/);
+  assert.equal(queries.length, 0, 'nothing reaches the database');
+});
+
+test('a valid date range is passed on as days', async (t) => {
+  const queries = fakeQueries(t, [[/FROM messages m/, () => [storedMessage(1)]]]);
+  const messages = await chatExport.loadChatMessages('main', chatJid, { from: '2024-02-29', to: '2026-01-31' });
+  assert.equal(messages.length, 1);
+  assert.deepEqual(queries[0].params.slice(3, 5), ['2024-02-29', '2026-01-31']);
+});
+
+test('exports too big to send as a document are refused', async (t) => {
+  const media = { message_type: 'videoMessage', media_id: 7, media_file_name: 'big.mp4', media_size: 80 * 1024 * 1024 };
+  fakeQueries(t, [[/FROM messages m/, () => [storedMessage(1, media), storedMessage(2, media)]]]);
+  await assert.rejects(
+    chatExport.exportChatBuffer({ sessionId: 'main', chatJid, includeMedia: true }),
+    /adds up to 160 MB.*nomedia/s
+  );
+  const exported = await chatExport.exportChatBuffer({ sessionId: 'main', chatJid, includeMedia: false });
+  assert.equal(exported.messages, 2);
+  assert.equal(exported.buffer.subarray(0, 2).toString(), 'PK');
+});
+
+test('export formats are checked', () => {
+  assert.deepEqual(chatExport.parseFormats('CSV, json,csv'), ['csv', 'json']);
+  assert.deepEqual(chatExport.parseFormats(undefined), chatExport.FORMATS);
+  assert.throws(() => chatExport.parseFormats('pdf'), /Unknown export format "pdf"/);
+});
+
+test('.export reads the chat, formats, media and dates from its arguments', () => {
+  const ctx = { from: '120363000000000000@g.us' };
+  assert.deepEqual(exportCommand.parseArgs([], ctx), { chatJid: ctx.from, formats: chatExport.FORMATS, includeMedia: true, from: null, to: null });
+  assert.deepEqual(exportCommand.parseArgs(['+94771234567', 'TXT,json', 'NoMedia', 'after:2026-01-01', 'before:2026-01-31'], ctx), {
+    chatJid: chatJid,
+    formats: ['txt', 'json'],
+    includeMedia: false,
+    from: '2026-01-01',
+    to: '2026-01-31'
+  });
+  assert.equal(exportCommand.parseArgs(['here'], ctx).chatJid, ctx.from);
+  assert.throws(() => exportCommand.parseArgs(['after:2026-02-30'], ctx), { message: 'after needs a YYYY-MM-DD date' });
+  assert.throws(() => exportCommand.parseArgs(['before:soon'], ctx), UsageError);
+  assert.throws(() => exportCommand.parseArgs(['pdf'], ctx), /"pdf" is not a phone number, JID or "here"/);
+});
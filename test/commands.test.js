@@ -0,0 +1,116 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const commands = require('../lib/commands');
+const { fakeQueries } = require('./fakeDb');
+
+const ran = [];
+commands.registerCommand({
+  name: 'Greet',
+  aliases: ['hello'],
+  usage: '<name>',
+  cooldown: 30,
+  parseArgs(args) {
+    if (!args.length) throw new commands.UsageError('Say who to greet.');
+    return { name: args.join(' ') };
+  },
+  async execute(ctx, options) {
+    ran.push(options.name);
+    await ctx.reply(`Hi ${options.name}`);
+  }
+});
+commands.registerCommand({ name: 'ban', permission: 'admin', execute: async (ctx) => ctx.reply('banned') });
+commands.registerCommand({ name: 'restart', permission: 'owner', execute: async (ctx) => ctx.reply('restarting') });
+commands.registerCommand({ name: 'boom', execute: async () => { throw new Error('disk full'); } });
+
+const senderJid = '94771234567@s.whatsapp.net';
+const groupJid = '120363000000000000@g.us';
+
+// Runs text through handleCommand as a chat message and returns the replies.
+async function run(t, text, overrides = {}) {
+  fakeQueries(t, [[/INSERT INTO analytics_rollups/, () => []]]);
+  const replies = [];
+  const ctx = {
+    text,
+    prefix: '.',
+    session: { id: 'main' },
+    from: senderJid,
+    sender: senderJid,
+    isGroup: false,
+    isOwner: false,
+    reply: async message => { replies.push(message); },
+    ...overrides
+  };
+  const handled = await commands.handleCommand(ctx);
+  return { handled, replies };
+}
+
+test('parseCommand splits the name and arguments', () => {
+  assert.deepEqual(commands.parseCommand('.Greet  Ann  Lee', '.'), { name: 'greet', args: ['Ann', 'Lee'], rawArgs: 'Ann  Lee' });
+  assert.deepEqual(commands.parseCommand('!ping', '!'), { name: 'ping', args: [], rawArgs: '' });
+  assert.equal(commands.parseCommand('greet Ann', '.'), null);
+  assert.equal(commands.parseCommand('. hi', '.'), null);
+  assert.equal(commands.parseCommand('...', '.'), null);
+  assert.equal(commands.parseCommand('', '.'), null);
+});
+
+test('registerCommand rejects broken, duplicate and clashing commands', () => {
+  assert.throws(() => commands.registerCommand({ name: 'nothing' }), /must export a name and an execute function/);
+  assert.throws(() => commands.registerCommand({ name: 'GREET', execute() {} }), /Duplicate command name "greet"/);
+  assert.throws(() => commands.registerCommand({ name: 'hello', execute() {} }), /Duplicate command name "hello"/);
+  assert.throws(() => commands.registerCommand({ name: 'wave', aliases: ['ban'], execute() {} }), /Alias "ban" of command "wave" is already taken/);
+  assert.throws(() => commands.registerCommand({ name: 'nuke', permission: 'root', execute() {} }), /Unknown permission "root"/);
+});
+
+test('commands are found by name or alias', () => {
+  assert.equal(commands.findCommand('GREET').name, 'greet');
+  assert.equal(commands.findCommand('hello').name, 'greet');
+  assert.equal(commands.findCommand('missing'), null);
+});
+
+test('ordinary messages are not handled', async (t) => {
+  assert.deepEqual(await run(t, 'hello there'), { handled: false, replies: [] });
+});
+
+test('unknown commands suggest the closest one', async (t) => {
+  const { handled, replies } = await run(t, '.gret Ann');
+  assert.equal(handled, true);
+  assert.match(replies[0], /Unknown command \*\.gret\*\. Did you mean \*\.greet\*\?/);
+  assert.doesNotMatch((await run(t, '.zzzzzzzz')).replies[0], /Did you mean/);
+});
+
+test('admin commands need a group admin and owner commands the owner', async (t) => {
+  const conn = {
+    groupMetadata: async () => ({ participants: [{ id: senderJid, admin: null }, { id: '94770000000@s.whatsapp.net', admin: 'admin' }] })
+  };
+  const member = { isGroup: true, from: groupJid, conn };
+  assert.deepEqual((await run(t, '.ban', member)).replies, ['🚫 Only group admins can use the .ban command.']);
+  assert.deepEqual((await run(t, '.ban', { isGroup: false })).replies, ['🚫 Only group admins can use the .ban command.']);
+  assert.deepEqual((await run(t, '.ban', { ...member, sender: '94770000000@s.whatsapp.net' })).replies, ['banned']);
+  assert.deepEqual((await run(t, '.ban', { ...member, isOwner: true })).replies, ['banned']);
+
+  assert.deepEqual((await run(t, '.restart', { ...member, sender: '94770000000@s.whatsapp.net' })).replies, ['🚫 Only owners can use the .restart command.']);
+  assert.deepEqual((await run(t, '.restart', { isOwner: true })).replies, ['restarting']);
+});
+
+test('bad arguments answer with the usage', async (t) => {
+  const { replies } = await run(t, '.greet', { sender: '94771111111@s.whatsapp.net' });
+  assert.deepEqual(replies, ['❌ Say who to greet.\n\n*Usage:* .greet <name>']);
+});
+
+test('commands run with parsed arguments, then cool down per sender', async (t) => {
+  const sender = '94772222222@s.whatsapp.net';
+  assert.deepEqual((await run(t, '.hello Ann Lee', { sender })).replies, ['Hi Ann Lee']);
+  assert.match((await run(t, '.greet Ann', { sender })).replies[0], /^⏳ Please wait 30s before using \.greet again\.$/);
+  assert.deepEqual((await run(t, '.greet Bo', { sender: '94773333333@s.whatsapp.net' })).replies, ['Hi Bo']);
+  assert.deepEqual((await run(t, '.greet Cy', { sender, isOwner: true })).replies, ['Hi Cy'], 'owners skip cooldowns');
+  assert.deepEqual(ran.slice(-3), ['Ann Lee', 'Bo', 'Cy']);
+});
+
+test('failing commands report the error and record the hit', async (t) => {
+  const { replies } = await run(t, '.boom');
+  assert.deepEqual(replies, ['❌ Failed to run .boom: disk full']);
+  const queries = fakeQueries(t, [[/INSERT INTO analytics_rollups/, () => []]]);
+  await commands.handleCommand({ text: '.boom', prefix: '.', session: { id: 'second' }, sender: senderJid, reply: async () => {} });
+  assert.deepEqual(queries[0].params, ['second', 'command', 'boom']);
+});
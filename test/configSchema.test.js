@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigError, parseValue, loadConfig, parseSessionSettings } = require('../lib/configSchema');
+
+const required = { DATABASE_URL: 'postgres://localhost/bot', OWNER_NUMBER: '94771234567' };
+
+test('booleans accept on/off words in any case', () => {
+  for (const word of ['true', 'ON', 'yes', '1', 'enabled']) assert.equal(parseValue('AUTO_READ', word), true);
+  for (const word of ['false', 'Off', 'no', '0', 'disabled']) assert.equal(parseValue('AUTO_READ', word), false);
+  assert.equal(parseValue('AUTO_READ', true), true);
+  assert.throws(() => parseValue('AUTO_READ', 'maybe'), ConfigError);
+});
+
+test('numbers are parsed and checked against their minimum', () => {
+  assert.equal(parseValue('PORT', ' 8080 '), 8080);
+  assert.equal(parseValue('CALL_BLOCK_AFTER', 0), 0);
+  assert.throws(() => parseValue('PORT', 'abc'), /PORT must be a number/);
+  assert.throws(() => parseValue('PORT', ''), /PORT must be a number/);
+  assert.throws(() => parseValue('PORT', '0'), /at least 1/);
+});
+
+test('enums, lists and timezones are validated', () => {
+  assert.equal(parseValue('ANTI_DELETE_ROUTE', 'log'), 'log');
+  assert.throws(() => parseValue('ANTI_DELETE_ROUTE', 'everyone'), /must be one of/);
+  assert.equal(parseValue('OWNER_NUMBER', ' 94771234567 , 94777654321,'), '94771234567,94777654321');
+  assert.throws(() => parseValue('OWNER_NUMBER', '94771234567,abc'), /invalid entries: abc/);
+  assert.equal(parseValue('TIMEZONE', 'Europe/London'), 'Europe/London');
+  assert.throws(() => parseValue('TIMEZONE', 'Mars/Base'), /IANA timezone/);
+  assert.throws(() => parseValue('NOT_A_SETTING', 'x'), /Unknown setting/);
+});
+
+test('loadConfig fills defaults and types values from the environment', () => {
+  const { values, errors } = loadConfig({ ...required, AUTO_READ: 'on', PORT: '', CALL_REJECT_MESSAGE: '' });
+  assert.deepEqual(errors, []);
+  assert.equal(values.AUTO_READ, true);
+  assert.equal(values.AUTO_RECORDING, true);
+  assert.equal(values.PORT, 9090, 'an empty number falls back to its default');
+  assert.equal(values.CALL_REJECT_MESSAGE, '', 'text may be empty on purpose');
+  assert.equal(values.IMGBB_API_KEY, '');
+});
+
+test('loadConfig reports every problem at once', () => {
+  const { errors } = loadConfig({ DATABASE_URL: '', PORT: 'x', AUTO_READ: 'maybe' });
+  assert.equal(errors.length, 4);
+  assert.match(errors.join('\n'), /DATABASE_URL is required/);
+  assert.match(errors.join('\n'), /OWNER_NUMBER is required/);
+});
+
+test('stored session settings skip invalid and non-session keys', () => {
+  const invalid = [];
+  const parsed = parseSessionSettings(
+    { AUTO_READ: 'true', PREFIX: '!', CALL_BLOCK_AFTER: 'lots', PORT: 1234 },
+    key => invalid.push(key)
+  );
+  assert.deepEqual(parsed, { AUTO_READ: true, PREFIX: '!' });
+  assert.deepEqual(invalid.sort(), ['CALL_BLOCK_AFTER', 'PORT']);
+});
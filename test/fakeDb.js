@@ -0,0 +1,26 @@
+// Stands in for PostgreSQL during a test: each handler answers the queries
+// whose SQL matches its pattern with rows, like pg does. Any other query fails
+// the test. Returns the queries made, in order.
+const { pool } = require('../lib/db');
+
+function fakeQueries(t, handlers) {
+  const queries = [];
+  t.mock.method(pool, 'query', async (sql, params = []) => {
+    queries.push({ sql, params });
+    const handler = handlers.find(([pattern]) => pattern.test(sql));
+    if (!handler) throw new Error(`Unexpected query: ${sql.replace(/\s+/g, ' ').slice(0, 80)}`);
+    const rows = (await handler[1](params, sql)) || [];
+    return { rows, rowCount: rows.length };
+  });
+  return queries;
+}
+
+// Lets pending promise callbacks and I/O run, for code that is not awaited.
+async function flush() {
+  for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = {
+  fakeQueries,
+  flush
+};
@@ -0,0 +1,173 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const moderation = require('../lib/moderation');
+const antiDelete = require('../lib/antiDelete');
+const { fakeQueries } = require('./fakeDb');
+
+const session = { id: 'main', ownerNumber: ['94700000000'] };
+const groupJid = '120363000000000000@g.us';
+const botJid = '94700000001@s.whatsapp.net';
+const senderJid = '94771234567@s.whatsapp.net';
+const conn = {
+  user: { id: '94700000001:7@s.whatsapp.net' },
+  groupMetadata: async () => ({ participants: [{ id: botJid, admin: 'admin' }, { id: senderJid, admin: null }] })
+};
+
+// A group with anti-link on and one stored message, plus what gets queued.
+function fakeGroup(t) {
+  const message = {
+    id: 1,
+    message_id: 'SPAM1',
+    remote_jid: groupJid,
+    sender_jid: senderJid,
+    message_type: 'conversation',
+    message_text: 'join https://spam.example',
+    deleted_by: null
+  };
+  const sent = [];
+  fakeQueries(t, [
+    [/FROM group_moderation/, () => [{ antilink: 'all', antispam: false, spam_limit: 6, spam_window_seconds: 10, banned_words: [], max_warnings: 3 }]],
+    [/INSERT INTO group_warnings/, () => []],
+    [/COUNT\(\*\) FROM group_warnings/, () => [{ count: '1' }]],
+    [/UPDATE messages\s+SET is_deleted/, ([deletedBy]) => {
+      if (message.deleted_by) return [];
+      message.deleted_by = deletedBy;
+      return [message];
+    }],
+    [/SELECT \* FROM messages/, () => [message]],
+    [/FROM anti_delete_settings/, () => []],
+    [/INSERT INTO outbound_messages/, ([, chatJid, payload, , , source]) => {
+      sent.push({ chatJid, content: JSON.parse(payload), source });
+      return [{ id: sent.length }];
+    }]
+  ]);
+  return { message, sent };
+}
+
+function groupMessage(text) {
+  return { key: { remoteJid: groupJid, id: 'SPAM1', participant: senderJid, fromMe: false }, message: { conversation: text } };
+}
+
+test('links are removed and their sender warned', async (t) => {
+  const { message, sent } = fakeGroup(t);
+  const mek = groupMessage(message.message_text);
+  assert.equal(await moderation.moderateMessage({ conn, session, mek, senderJid, text: mek.message.conversation, isOwner: false }), true);
+  assert.deepEqual(sent.map(({ content, source }) => [Object.keys(content)[0], source]), [['delete', 'moderation'], ['text', 'moderation']]);
+  assert.match(sent[1].content.text, /warned \(1\/3\)/);
+});
+
+test('anti-delete leaves messages the bot removed itself alone', async (t) => {
+  const { message, sent } = fakeGroup(t);
+  const mek = groupMessage(message.message_text);
+  await moderation.moderateMessage({ conn, session, mek, senderJid, text: mek.message.conversation, isOwner: false });
+  assert.equal(message.deleted_by, botJid);
+
+  // WhatsApp reports the revoke with the sender's key.
+  await antiDelete.handleDeletedMessage(session, { key: { ...mek.key } });
+  assert.equal(sent.filter(item => item.source === 'anti-delete').length, 0);
+  assert.equal(message.deleted_by, botJid);
+});
+
+test('anti-delete still recovers messages their sender deleted', async (t) => {
+  const { message, sent } = fakeGroup(t);
+  await antiDelete.handleDeletedMessage(session, { key: groupMessage('').key });
+  assert.equal(message.deleted_by, senderJid);
+  const recovered = sent.filter(item => item.source === 'anti-delete');
+  assert.equal(recovered.length, 2);
+  assert.deepEqual(recovered[0], { chatJid: '94700000000@s.whatsapp.net', content: { text: message.message_text }, source: 'anti-delete' });
+});
+
+test('senders flood once they pass the limit inside the window', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T00:00:00Z') });
+  const settings = { antilink: 'off', antispam: true, spam_limit: 3, spam_window_seconds: 10, banned_words: [] };
+  const message = { sessionId: 'main', groupJid: 'flood@g.us', senderJid, text: 'hi' };
+  for (let i = 0; i < 3; i++) assert.equal(moderation.findViolation(settings, message), null);
+  assert.equal(moderation.findViolation(settings, message).type, 'spam');
+  assert.equal(moderation.findViolation(settings, { ...message, senderJid: botJid }), null, 'other senders are counted apart');
+  assert.equal(moderation.findViolation(settings, { ...message, groupJid: 'other@g.us' }), null, 'and so are other groups');
+  assert.equal(moderation.findViolation(settings, { ...message, sessionId: 'second' }), null, 'and other sessions');
+
+  t.mock.timers.tick(10 * 1000);
+  assert.equal(moderation.findViolation(settings, message), null, 'old messages leave the window');
+});
+
+test('links and banned words are found by the group\'s mode', () => {
+  const base = { antilink: 'off', antispam: false, banned_words: [] };
+  const message = text => ({ sessionId: 'main', groupJid, senderJid, text });
+  const invite = 'join chat.whatsapp.com/AbCdEf123';
+
+  assert.equal(moderation.findViolation(base, message(invite)), null);
+  assert.equal(moderation.findViolation({ ...base, antilink: 'invite' }, message('see https://example.com')), null);
+  assert.deepEqual(moderation.findViolation({ ...base, antilink: 'invite' }, message(invite)), { type: 'link', reason: 'Group invite link' });
+  assert.deepEqual(moderation.findViolation({ ...base, antilink: 'all' }, message('see example.com')), { type: 'link', reason: 'Link' });
+
+  const words = { ...base, banned_words: ['scam', 'මෝඩ'] };
+  assert.equal(moderation.findViolation(words, message('This is a SCAM!')).type, 'word');
+  assert.equal(moderation.findViolation(words, message('scampi for dinner')), null, 'whole words only');
+  assert.equal(moderation.findViolation(words, message('ඔයා මෝඩ නේ')).type, 'word');
+  assert.equal(moderation.findViolation(words, message('මෝඩයා')), null);
+});
+
+// A group with anti-spam on, kicking on the first warning.
+function fakeSpamGroup(t, spamGroup, admins = [botJid]) {
+  const events = [];
+  fakeQueries(t, [
+    [/FROM group_moderation/, () => [{ antilink: 'off', antispam: true, spam_limit: 2, spam_window_seconds: 10, banned_words: [], max_warnings: 1 }]],
+    [/INSERT INTO group_warnings/, ([, , memberJid, reason]) => { events.push(['warn', memberJid, reason]); }],
+    [/COUNT\(\*\) FROM group_warnings/, () => [{ count: '1' }]],
+    [/DELETE FROM group_warnings/, () => { events.push(['clear']); }],
+    [/UPDATE messages\s+SET is_deleted/, () => []],
+    [/INSERT INTO outbound_messages/, ([, , payload]) => {
+      events.push(['send', Object.keys(JSON.parse(payload))[0]]);
+      return [{ id: events.length }];
+    }]
+  ]);
+  const spamConn = {
+    user: conn.user,
+    groupMetadata: async () => ({
+      participants: [botJid, senderJid, '94770000009@s.whatsapp.net'].map(id => ({ id, admin: admins.includes(id) ? 'admin' : null }))
+    }),
+    groupParticipantsUpdate: async (jid, members, action) => { events.push([action, ...members]); }
+  };
+  const post = (sender, id) => moderation.moderateMessage({
+    conn: spamConn,
+    session,
+    mek: { key: { remoteJid: spamGroup, id, participant: sender, fromMe: false } },
+    senderJid: sender,
+    text: 'buy now',
+    isOwner: false
+  });
+  return { events, post };
+}
+
+test('a flood is one strike, and members at the warning limit are removed', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T00:00:00Z') });
+  const { events, post } = fakeSpamGroup(t, 'spam-kick@g.us');
+  assert.equal(await post(senderJid, 'A'), false);
+  assert.equal(await post(senderJid, 'B'), false);
+  assert.equal(await post(senderJid, 'C'), true);
+  assert.equal(await post(senderJid, 'D'), false, 'the window starts over after a strike');
+  assert.deepEqual(events, [
+    ['send', 'delete'],
+    ['warn', senderJid, 'Flooding (more than 2 messages in 10s)'],
+    ['remove', senderJid],
+    ['clear'],
+    ['send', 'text']
+  ]);
+});
+
+test('group admins are never moderated', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T00:00:00Z') });
+  const admin = '94770000009@s.whatsapp.net';
+  const { events, post } = fakeSpamGroup(t, 'spam-admins@g.us', [botJid, admin]);
+  for (const id of ['A', 'B', 'C', 'D']) assert.equal(await post(admin, id), false);
+  assert.deepEqual(events, []);
+});
+
+test('without admin rights the bot only warns', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T00:00:00Z') });
+  const { events, post } = fakeSpamGroup(t, 'spam-member@g.us', []);
+  for (const id of ['A', 'B', 'C']) await post(senderJid, id);
+  assert.deepEqual(events, [['warn', senderJid, 'Flooding (more than 2 messages in 10s)'], ['send', 'text']]);
+});
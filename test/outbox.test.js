@@ -0,0 +1,149 @@
+require('./env');
+process.env.OUTBOX_GLOBAL_PER_MINUTE = '5';
+process.env.OUTBOX_CHAT_PER_MINUTE = '2';
+process.env.OUTBOX_MIN_INTERVAL_MS = '500';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const outbox = require('../lib/outbox');
+const { fakeQueries, flush } = require('./fakeDb');
+
+const chat = '94771234567@s.whatsapp.net';
+
+// The outbound_messages table, for the queries send, the queue and cancelQueued make.
+function fakeOutbox(t) {
+  const rows = [];
+  fakeQueries(t, [
+    [/INSERT INTO outbound_messages/, ([sessionId, chatJid, payload, options, preview, source]) => {
+      const row = { id: rows.length + 1, session_id: sessionId, chat_jid: chatJid, payload, options, preview, source, status: 'queued', attempts: 0, next_attempt_at: new Date() };
+      rows.push(row);
+      return [row];
+    }],
+    [/DISTINCT ON \(chat_jid\)/, ([sessionId]) => {
+      const heads = new Map();
+      for (const row of rows) {
+        if (row.status === 'queued' && row.session_id === sessionId && !heads.has(row.chat_jid)) heads.set(row.chat_jid, row);
+      }
+      return [...heads.values()];
+    }],
+    [/SET status = 'sending'/, ([id]) => {
+      const row = rows.find(r => r.id === id && r.status === 'queued');
+      if (!row) return [];
+      row.status = 'sending';
+      row.attempts++;
+      return [{ ...row }];
+    }],
+    [/SET status = 'sent'/, ([id]) => { rows[id - 1].status = 'sent'; }],
+    [/WHERE source = \$1/, ([source, reason]) => rows
+      .filter(row => row.source === source && ['queued', 'sending'].includes(row.status))
+      .map(row => Object.assign(row, { status: 'failed', last_error: reason }))],
+    [/SET status = 'failed'.*Not sent in time/s, ([id]) => rows
+      .filter(row => row.id === id && row.status === 'queued')
+      .map(row => Object.assign(row, { status: 'failed' }))],
+    [/SET status = 'failed'/, ([id, error]) => { Object.assign(rows[id - 1], { status: 'failed', last_error: error }); }]
+  ]);
+  return rows;
+}
+
+test('send only queues by default, even while disconnected', async (t) => {
+  const rows = fakeOutbox(t);
+  assert.deepEqual(await outbox.send(chat, { text: 'hi' }, {}, { sessionId: 'offline' }), { id: 1 });
+  assert.equal(rows[0].status, 'queued');
+});
+
+test('a waiting send resolves once WhatsApp accepted the message', async (t) => {
+  fakeOutbox(t);
+  const conn = { user: { id: '94700000000@s.whatsapp.net' }, sendMessage: async () => ({ key: { id: 'WA1' } }) };
+  outbox.setConnection('online', conn);
+  const sent = await outbox.send(chat, { text: 'hi' }, {}, { sessionId: 'online', wait: true });
+  assert.equal(sent.key.id, 'WA1');
+});
+
+test('a waiting send gives up on a message still queued after a minute', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const rows = fakeOutbox(t);
+  const sending = outbox.send(chat, { text: 'hi' }, {}, { sessionId: 'stuck', wait: true });
+  await flush();
+  t.mock.timers.tick(60 * 1000);
+  await assert.rejects(sending, /not sent within 60s/);
+  assert.equal(rows[0].status, 'failed', 'it will not go out after nobody waits for it');
+});
+
+test('cancelQueued rejects the sends waiting on the cancelled messages', async (t) => {
+  fakeOutbox(t);
+  const sending = outbox.send(chat, { text: 'hi' }, {}, { sessionId: 'cancelled', source: 'status-post', wait: true });
+  await flush();
+  assert.equal(await outbox.cancelQueued('status-post', 'Given up'), 1);
+  await assert.rejects(sending, /Given up/);
+});
+
+// Connects a session whose sends are recorded with the (mocked) time they happened.
+function connect(sessionId) {
+  const sends = [];
+  outbox.setConnection(sessionId, {
+    user: { id: '94700000000@s.whatsapp.net' },
+    sendMessage: async (jid, content) => {
+      sends.push({ jid, text: content.text, at: Date.now() });
+      return { key: { id: `WA${sends.length}` } };
+    }
+  });
+  return sends;
+}
+
+// Moves the mocked clock forward in small steps so the queue's timers and the
+// sends they start run in between.
+async function advance(t, ms) {
+  for (let passed = 0; passed < ms; passed += 50) {
+    t.mock.timers.tick(50);
+    await flush();
+  }
+}
+
+test('sends are spaced by the minimum interval', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+  fakeOutbox(t);
+  const sends = connect('interval');
+  await outbox.send(chat, { text: '1' }, {}, { sessionId: 'interval' });
+  await outbox.send('other@s.whatsapp.net', { text: '2' }, {}, { sessionId: 'interval' });
+  await flush();
+  assert.equal(sends.length, 1);
+  await advance(t, 500);
+  assert.deepEqual(sends.map(send => send.at - 1_000_000), [0, 500]);
+});
+
+test('a chat waits once it used its per-minute limit, other chats do not', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+  fakeOutbox(t);
+  const sends = connect('chat-limit');
+  for (const text of ['1', '2', '3']) await outbox.send(chat, { text }, {}, { sessionId: 'chat-limit' });
+  await outbox.send('other@s.whatsapp.net', { text: 'other' }, {}, { sessionId: 'chat-limit' });
+  await advance(t, 5000);
+  assert.deepEqual(sends.map(send => send.text), ['1', '2', 'other']);
+  await advance(t, 55000);
+  assert.deepEqual(sends.map(send => send.text), ['1', '2', 'other', '3']);
+  assert.equal(sends[3].at - 1_000_000, 60000, 'sent once the first one left the window');
+});
+
+test('every chat waits once the global per-minute limit is used', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+  fakeOutbox(t);
+  const sends = connect('global-limit');
+  for (let i = 0; i < 6; i++) await outbox.send(`chat-${i}@s.whatsapp.net`, { text: String(i) }, {}, { sessionId: 'global-limit' });
+  await advance(t, 10000);
+  assert.equal(sends.length, 5);
+  await advance(t, 50000);
+  assert.equal(sends.length, 6);
+  assert.equal(sends[5].at - 1_000_000, 60000);
+});
+
+test('sessions have separate limits', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+  fakeOutbox(t);
+  const first = connect('first');
+  const second = connect('second');
+  for (const text of ['1', '2', '3']) await outbox.send(chat, { text }, {}, { sessionId: 'first' });
+  await advance(t, 1000);
+  await outbox.send(chat, { text: 'a' }, {}, { sessionId: 'second' });
+  await flush();
+  assert.equal(first.length, 2);
+  assert.equal(second.length, 1);
+});
@@ -0,0 +1,92 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRules } = require('../lib/ruleSchema');
+const rules = require('../lib/rules');
+
+const reply = [{ type: 'text', content: 'hi ${pushname}' }];
+const dm = { text: 'Hello there', senderJid: '94771234567@s.whatsapp.net', chatJid: '94771234567@s.whatsapp.net', isGroup: false, messageType: 'conversation' };
+
+test('the bundled reply.json is valid', () => {
+  assert.deepEqual(validateRules(require('../reply.json')), []);
+});
+
+test('validateRules explains schema problems by rule path', () => {
+  const errors = validateRules({ rules: [{ response: reply }, { trigger: 'x', response: reply, colour: 'red' }] });
+  assert.ok(errors.includes('rules[0] needs a "trigger" or a "pattern"'), errors.join('\n'));
+  assert.ok(errors.includes('rules[1] has unknown field "colour"'), errors.join('\n'));
+  assert.match(validateRules({})[0], /missing "rules"/);
+});
+
+test('validateRules catches bad regexes and duplicate ids', () => {
+  const errors = validateRules({
+    rules: [
+      { id: 'a', pattern: '(unclosed', response: reply },
+      { id: 'a', trigger: 'hi', response: reply }
+    ]
+  });
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /rules\[0\]\.pattern is not a valid regex/);
+  assert.match(errors[1], /rules\[1\]\.id "a" is used by another rule/);
+});
+
+test('triggers match case-insensitively and patterns expose capture groups', () => {
+  const [match] = rules.matchRules([{ pattern: 'order (?<number>\\d+)', response: reply }], { ...dm, text: 'Order 42 please' });
+  assert.equal(match.match.groups.number, '42');
+  assert.equal(rules.matchRules([{ trigger: 'HELLO', response: reply }], dm).length, 1);
+  assert.equal(rules.matchRules([{ trigger: 'bye', response: reply }], dm).length, 0);
+});
+
+test('higher priority runs first and stops lower rules unless it continues', () => {
+  const list = [
+    { id: 'low', trigger: 'hello', response: reply },
+    { id: 'high', trigger: 'hello', priority: 5, response: reply },
+    { id: 'disabled', trigger: 'hello', priority: 9, enabled: false, response: reply }
+  ];
+  assert.deepEqual(rules.matchRules(list, dm).map(m => m.id), ['high']);
+  list[1].continue = true;
+  assert.deepEqual(rules.matchRules(list, dm).map(m => m.id), ['high', 'low']);
+});
+
+test('conditions filter by chat type, sender and message type', () => {
+  const rule = {
+    trigger: 'hello',
+    response: reply,
+    conditions: { chatType: 'group', excludeSenders: ['94770000000'], messageTypes: ['text'] }
+  };
+  const group = { ...dm, chatJid: '1203630@g.us', isGroup: true };
+  assert.equal(rules.matchRules([rule], dm).length, 0);
+  assert.equal(rules.matchRules([rule], group).length, 1);
+  assert.equal(rules.matchRules([rule], { ...group, senderJid: '94770000000@s.whatsapp.net' }).length, 0);
+  assert.equal(rules.matchRules([rule], { ...group, messageType: 'imageMessage' }).length, 0);
+});
+
+test('time windows may wrap past midnight', () => {
+  const rule = { trigger: 'hello', response: reply, conditions: { time: { from: '22:00', to: '06:00', timezone: 'UTC' } } };
+  assert.equal(rules.matchRules([rule], { ...dm, now: new Date('2026-01-01T23:30:00Z') }).length, 1);
+  assert.equal(rules.matchRules([rule], { ...dm, now: new Date('2026-01-01T05:59:00Z') }).length, 1);
+  assert.equal(rules.matchRules([rule], { ...dm, now: new Date('2026-01-01T12:00:00Z') }).length, 0);
+});
+
+test('cooldowns apply per sender and dry runs do not start them', () => {
+  const rule = { id: 'cooldown-test', trigger: 'hello', cooldown: 60, response: reply };
+  const now = new Date('2026-01-01T10:00:00Z');
+  assert.equal(rules.matchRules([rule], { ...dm, now, dryRun: true }).length, 1);
+  assert.equal(rules.matchRules([rule], { ...dm, now }).length, 1);
+  assert.equal(rules.matchRules([rule], { ...dm, now }).length, 0);
+  assert.equal(rules.matchRules([rule], { ...dm, now, senderJid: '94779999999@s.whatsapp.net' }).length, 1);
+  assert.equal(rules.matchRules([rule], { ...dm, now: new Date('2026-01-01T10:01:01Z') }).length, 1);
+});
+
+test('cooldowns are kept per session', () => {
+  const rule = { id: 'session-cooldown', trigger: 'hello', cooldown: 60, response: reply };
+  const now = new Date('2026-01-01T10:00:00Z');
+  assert.equal(rules.matchRules([rule], { ...dm, now, sessionId: 'main' }).length, 1);
+  assert.equal(rules.matchRules([rule], { ...dm, now, sessionId: 'main' }).length, 0);
+  assert.equal(rules.matchRules([rule], { ...dm, now, sessionId: 'second' }).length, 1);
+});
+
+test('templates fill variables, capture groups and leave unknown names alone', async () => {
+  const variables = rules.buildVariables({ ...dm, pushName: 'Ann', match: ['order 42', '42'] });
+  assert.equal(await rules.renderTemplate('Hi ${pushname} (${userid}), #${1} ${unknown}', variables), 'Hi Ann (94771234567), #42 ${unknown}');
+});
@@ -0,0 +1,117 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const scheduler = require('../lib/scheduler');
+const { pool } = require('../lib/db');
+const { fakeQueries } = require('./fakeDb');
+
+const now = Date.parse('2026-10-19T00:00:00Z');
+const chatJid = '94771234567@s.whatsapp.net';
+const text = [{ type: 'text', content: 'Good morning' }];
+
+// Records the scheduled_jobs row createJob inserts.
+function fakeJobs(t) {
+  const inserted = [];
+  fakeQueries(t, [
+    [/INSERT INTO scheduled_jobs/, (params) => {
+      const [name, chat_jid, cron, run_at, timezone, response, next_run_at] = params;
+      const row = { id: inserted.length + 1, name, chat_jid, cron, run_at, timezone, response: JSON.parse(response), next_run_at };
+      inserted.push(row);
+      return [row];
+    }]
+  ]);
+  return inserted;
+}
+
+test('parseWhen reads delays, local times and cron expressions', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now });
+  assert.deepEqual(scheduler.parseWhen('in 10m'), { runAt: new Date(now + 10 * 60 * 1000) });
+  assert.deepEqual(scheduler.parseWhen(' IN 2 H '), { runAt: new Date(now + 2 * 60 * 60 * 1000) });
+  assert.deepEqual(scheduler.parseWhen('in 1d'), { runAt: new Date(now + 24 * 60 * 60 * 1000) });
+  assert.deepEqual(scheduler.parseWhen('0 8 * * 1-5'), { cron: '0 8 * * 1-5' });
+});
+
+test('parseWhen reads local times as wall-clock time in the timezone', () => {
+  assert.equal(scheduler.parseWhen('2026-10-20 08:00', 'Asia/Colombo').runAt.toISOString(), '2026-10-20T02:30:00.000Z');
+  assert.equal(scheduler.parseWhen('2026-10-20T8:00', 'UTC').runAt.toISOString(), '2026-10-20T08:00:00.000Z');
+  // New York is on EST in January and EDT in July.
+  assert.equal(scheduler.parseWhen('2026-01-15 12:00', 'America/New_York').runAt.toISOString(), '2026-01-15T17:00:00.000Z');
+  assert.equal(scheduler.parseWhen('2026-07-15 12:00', 'America/New_York').runAt.toISOString(), '2026-07-15T16:00:00.000Z');
+});
+
+test('parseWhen rejects unknown times and timezones', () => {
+  assert.throws(() => scheduler.parseWhen('tomorrow morning'), scheduler.ScheduleError);
+  assert.throws(() => scheduler.parseWhen(''), scheduler.ScheduleError);
+  assert.throws(() => scheduler.parseWhen('in 10m', 'Mars/Olympus'), {
+    name: 'Error',
+    message: 'Unknown timezone "Mars/Olympus", use an IANA name like Asia/Colombo'
+  });
+  assert.throws(() => scheduler.parseWhen('in 10m', 'Mars/Olympus'), scheduler.ScheduleError);
+});
+
+test('cron jobs get their next run in their own timezone', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const inserted = fakeJobs(t);
+  await scheduler.createJob({ chatJid, cron: '0 8 * * *', timezone: 'Asia/Colombo', response: text });
+  await scheduler.createJob({ chatJid, cron: '0 8 * * *', timezone: 'America/New_York', response: text });
+  assert.equal(inserted[0].next_run_at.toISOString(), '2026-10-19T02:30:00.000Z');
+  assert.equal(inserted[0].run_at, null);
+  assert.equal(inserted[1].next_run_at.toISOString(), '2026-10-19T12:00:00.000Z');
+});
+
+test('one-off jobs run at their run time', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const inserted = fakeJobs(t);
+  const runAt = new Date(now + 60 * 1000);
+  const job = await scheduler.createJob({ chatJid, runAt, timezone: 'UTC', response: text });
+  assert.equal(job.id, 1);
+  assert.deepEqual(inserted[0].next_run_at, runAt);
+  assert.deepEqual(inserted[0].response, text);
+});
+
+test('createJob rejects bad jobs before they are stored', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const inserted = fakeJobs(t);
+  const runAt = new Date(now + 60 * 1000);
+  const cases = [
+    [{ chatJid: 'nobody', runAt, response: text }, /needs a chat JID/],
+    [{ chatJid, runAt, timezone: 'Nowhere/City', response: text }, /Unknown timezone "Nowhere\/City"/],
+    [{ chatJid, cron: 'every day', response: text }, /"every day" is not a cron expression/],
+    [{ chatJid, runAt: 'soon', response: text }, /Invalid run time/],
+    [{ chatJid, runAt: new Date(now - 1000), response: text }, /Run time is in the past/],
+    [{ chatJid, runAt, response: [] }, /at least one message/],
+    [{ chatJid, runAt, response: [{ type: 'sticker', url: 'https://example.com/a.webp' }] }, /Unknown message type "sticker"/],
+    [{ chatJid, runAt, response: [{ type: 'text' }] }, /A text message needs content/],
+    [{ chatJid, runAt, response: [{ type: 'image', url: '/root/tree/.env' }] }, /image url must start with http/]
+  ];
+  for (const [job, message] of cases) {
+    await assert.rejects(scheduler.createJob(job), err => err instanceof scheduler.ScheduleError && message.test(err.message));
+  }
+  assert.equal(inserted.length, 0);
+});
+
+test('a tick is skipped while the previous one is still running', async (t) => {
+  let release;
+  const claimed = new Promise(resolve => { release = resolve; });
+  let claims = 0;
+  t.mock.method(pool, 'connect', async () => {
+    claims++;
+    return {
+      query: async (sql) => {
+        if (/SELECT \* FROM scheduled_jobs/.test(sql)) await claimed;
+        return { rows: [] };
+      },
+      release() {}
+    };
+  });
+  scheduler.start(() => [{ id: 'main', conn: {} }]);
+  t.after(() => scheduler.stop());
+
+  const first = scheduler.tick();
+  await scheduler.tick();
+  assert.equal(claims, 1);
+  release();
+  await first;
+  await scheduler.tick();
+  assert.equal(claims, 2);
+});
@@ -0,0 +1,81 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const search = require('../lib/search');
+const searchCommand = require('../commands/search');
+const { UsageError } = require('../lib/commands');
+const { fakeQueries } = require('./fakeDb');
+
+const ctx = { from: '120363000000000000@g.us' };
+const parse = text => searchCommand.parseArgs(text.split(/\s+/).filter(Boolean), ctx);
+
+test('search words and filters are read from the arguments', () => {
+  assert.deepEqual(parse('"late fee" invoice chat:here type:image after:2026-01-01 before:2026-01-31 is:deleted page:3'), {
+    words: ['"late', 'fee"', 'invoice'],
+    page: 3,
+    deleted: true,
+    edited: null,
+    chatJid: ctx.from,
+    type: 'image',
+    from: '2026-01-01',
+    to: '2026-01-31'
+  });
+});
+
+test('chats and senders can be numbers, JIDs or "here"', () => {
+  assert.equal(parse('chat:94771234567').chatJid, '94771234567@s.whatsapp.net');
+  assert.equal(parse('from:+94-77-123-4567').senderJid, '94771234567@s.whatsapp.net');
+  assert.equal(parse('chat:123@g.us').chatJid, '123@g.us');
+  assert.equal(parse('is:EDITED').edited, true);
+  assert.equal(parse('hello page:0').page, 1);
+  assert.equal(parse('hello page:x').page, 1);
+});
+
+test('search arguments that cannot work are usage errors', () => {
+  assert.throws(() => parse(''), UsageError);
+  assert.throws(() => parse('page:2'), /Give some words to search for or a filter/);
+  assert.throws(() => parse('hi chat:123'), /"123" is not a phone number, JID or "here"/);
+  assert.throws(() => parse('hi is:starred'), /Use is:deleted or is:edited/);
+});
+
+test('bad types and dates never reach the database', async (t) => {
+  const queries = fakeQueries(t, []);
+  await assert.rejects(search.searchMessages({ sessionId: 'main', type: 'gif' }), {
+    message: 'Unknown message type "gif", use one of: text, image, video, audio, sticker, document'
+  });
+  for (const from of ['2026-02-30', '2026-1-1', 'last week']) {
+    await assert.rejects(search.searchMessages({ sessionId: 'main', from }), search.SearchError);
+  }
+  await assert.rejects(search.searchMessages({ sessionId: 'main', to: '2026-13-01' }), /to must be a YYYY-MM-DD date/);
+  assert.equal(queries.length, 0);
+});
+
+test('filters are passed on and results paged', async (t) => {
+  const queries = fakeQueries(t, [[/FROM messages m/, () => [
+    { id: 2, message_text: 'late fee', total: '12' },
+    { id: 1, message_text: 'late fee again', total: '12' }
+  ]]]);
+  const found = await search.searchMessages({
+    sessionId: 'main',
+    query: '  late fee ',
+    type: 'document',
+    from: '2024-02-29',
+    deleted: false,
+    limit: 500,
+    offset: -5
+  });
+  assert.deepEqual(found, { total: 12, results: [{ id: 2, message_text: 'late fee' }, { id: 1, message_text: 'late fee again' }] });
+  const params = queries[0].params;
+  assert.equal(params[1], 'late fee');
+  assert.deepEqual(params[4], ['documentMessage', 'documentWithCaptionMessage']);
+  assert.deepEqual(params.slice(5, 7), ['2024-02-29', null]);
+  assert.equal(params[8], false);
+  assert.deepEqual(params.slice(10), [200, 0]);
+});
+
+test('raw message types and an empty query are allowed', async (t) => {
+  const queries = fakeQueries(t, [[/FROM messages m/, () => []]]);
+  assert.deepEqual(await search.searchMessages({ sessionId: 'main', query: '   ', type: 'pollCreationMessage' }), { total: 0, results: [] });
+  assert.equal(queries[0].params[1], null);
+  assert.deepEqual(queries[0].params[4], ['pollCreationMessage']);
+});
@@ -0,0 +1,109 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sessions = require('../lib/sessions');
+const { ConfigError } = require('../lib/configSchema');
+const { fakeQueries } = require('./fakeDb');
+
+// An in-memory wa_sessions table.
+function fakeSessionTable(t, rows = []) {
+  const table = new Map(rows.map(row => [row.id, row]));
+  const queries = fakeQueries(t, [
+    [/SELECT \* FROM wa_sessions/, () => [...table.values()]],
+    [/INSERT INTO wa_sessions \(id, owner_number/, ([id, owner_number, reply_file, settings, auto_start]) => {
+      const row = { id, owner_number, reply_file, settings, auto_start };
+      table.set(id, row);
+      return [row];
+    }],
+    [/INSERT INTO wa_sessions \(id, settings\)/, ([id, settings]) => {
+      table.set(id, { ...table.get(id), id, settings });
+      return [];
+    }],
+    [/DELETE FROM wa_sessions/, ([id]) => {
+      table.delete(id);
+      return [];
+    }]
+  ]);
+  return { table, queries };
+}
+
+test('the main session always exists with the global config', () => {
+  const main = sessions.getSession();
+  assert.equal(main.id, 'main');
+  assert.deepEqual(main.ownerNumber, ['94700000000']);
+  assert.equal(main.config.PREFIX, '.');
+  assert.equal(main.replyPath.endsWith('reply.json'), true);
+});
+
+test('sessions are added with their own owners, rules file and settings', async (t) => {
+  const { table } = fakeSessionTable(t);
+  const shop = await sessions.addSession({ id: 'shop', ownerNumber: '94711111111, 94722222222', settings: { PREFIX: '!', AUTO_READ: 'on' } });
+  assert.deepEqual(shop.ownerNumber, ['94711111111', '94722222222']);
+  assert.equal(shop.replyPath.endsWith('reply.shop.json'), true);
+  assert.equal(shop.config.PREFIX, '!');
+  assert.equal(shop.config.AUTO_READ, true);
+  assert.deepEqual(table.get('shop').settings, { PREFIX: '!', AUTO_READ: true });
+  assert.equal(sessions.getSession().config.PREFIX, '.', 'other sessions keep the global value');
+  assert.equal(sessions.listSessions().some(session => session.id === 'shop'), true);
+});
+
+test('bad session definitions are refused before they are stored', async (t) => {
+  const { table } = fakeSessionTable(t);
+  await assert.rejects(sessions.addSession({ id: 'Shop Two' }), /Session id must be/);
+  await assert.rejects(sessions.addSession({ id: 'main' }), /Session "main" already exists/);
+  await assert.rejects(sessions.addSession({ id: 'two', settings: { DATABASE_URL: 'x' } }), /Unknown setting\(s\) DATABASE_URL/);
+  await assert.rejects(sessions.addSession({ id: 'two', settings: { AUTO_READ: 'maybe' } }), ConfigError);
+  assert.equal(table.size, 0);
+});
+
+test('runtime settings change in place and fall back to the global value', async (t) => {
+  const { table } = fakeSessionTable(t);
+  await sessions.addSession({ id: 'support' });
+  const session = sessions.getSession('support');
+  const liveConfig = session.config;
+
+  await sessions.updateSettings('support', { AUTO_TYPING: 'yes' }, { runtimeOnly: true });
+  assert.equal(liveConfig.AUTO_TYPING, true, 'an open connection sees the change');
+  assert.deepEqual(table.get('support').settings, { AUTO_TYPING: true });
+  assert.equal(sessions.describeSettings(session).find(setting => setting.key === 'AUTO_TYPING').overridden, true);
+  assert.equal(sessions.getSession().config.AUTO_TYPING, false);
+
+  await sessions.updateSettings('support', { AUTO_TYPING: null }, { runtimeOnly: true });
+  assert.equal(liveConfig.AUTO_TYPING, false);
+  assert.deepEqual(session.settings, {});
+  assert.equal(sessions.describeSettings(session).find(setting => setting.key === 'AUTO_TYPING').overridden, false);
+});
+
+test('only runtime settings change while a session runs', async (t) => {
+  fakeSessionTable(t);
+  await assert.rejects(sessions.updateSettings('main', { PREFIX: '#' }, { runtimeOnly: true }), ConfigError);
+  await assert.rejects(sessions.updateSettings('main', { AUTO_READ: 'sometimes' }), ConfigError);
+  await assert.rejects(sessions.updateSettings('nope', { AUTO_READ: true }), /Unknown session "nope"/);
+  assert.equal(sessions.getSession().config.PREFIX, '.');
+});
+
+test('loading keeps existing session objects and skips bad stored settings', async (t) => {
+  fakeSessionTable(t, [
+    { id: 'main', settings: {} },
+    { id: 'sales', owner_number: '94733333333', settings: { AUTO_READ: true, CALL_BLOCK_AFTER: -1 }, auto_start: false }
+  ]);
+  const main = sessions.getSession();
+  await sessions.loadSessions();
+  assert.equal(sessions.getSession(), main);
+  const sales = sessions.getSession('sales');
+  assert.deepEqual(sales.settings, { AUTO_READ: true });
+  assert.equal(sales.autoStart, false);
+
+  await sessions.loadSessions();
+  assert.equal(sessions.getSession('sales'), sales);
+});
+
+test('sessions other than main can be removed', async (t) => {
+  const { table } = fakeSessionTable(t);
+  await sessions.addSession({ id: 'temp' });
+  assert.equal(await sessions.removeSession('temp'), true);
+  assert.equal(sessions.getSession('temp'), null);
+  assert.equal(table.has('temp'), false);
+  assert.equal(await sessions.removeSession('temp'), false);
+  await assert.rejects(sessions.removeSession('main'), /main session cannot be removed/);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffWords } = require('../lib/textDiff');
+
+test('marks removed words struck and added words bold', () => {
+  assert.equal(diffWords('the quick brown fox', 'the slow brown fox jumps'), 'the ~quick~ *slow* brown fox *jumps*');
+});
+
+test('handles unchanged and empty texts', () => {
+  assert.equal(diffWords('same words here', 'same words here'), 'same words here');
+  assert.equal(diffWords('', 'new text'), '*new* *text*');
+  assert.equal(diffWords('old text', ''), '~old~ ~text~');
+});
+
+test('a small change inside a huge message is still diffed', () => {
+  const words = 'a '.repeat(50000);
+  const diff = diffWords(words, `${words}b`);
+  assert.ok(diff.endsWith(' a *b*'));
+});
+
+test('gives up on changes too large to diff instead of allocating a huge table', () => {
+  const before = 'a '.repeat(30000);
+  const after = 'b '.repeat(30000);
+  const started = Date.now();
+  assert.equal(diffWords(before, after), null);
+  assert.ok(Date.now() - started < 1000);
+});
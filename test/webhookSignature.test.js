@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { sign, verify, MAX_CLOCK_SKEW_SECONDS } = require('../lib/webhookSignature');
+
+const secret = 'webhook-secret';
+const body = JSON.stringify({ event: 'message.received', data: { text: 'hi' } });
+const now = Date.UTC(2026, 0, 1);
+const timestamp = String(now / 1000);
+
+test('sign is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  assert.equal(sign(secret, timestamp, body), `sha256=${expected}`);
+});
+
+test('verify accepts a fresh, matching signature', () => {
+  assert.equal(verify(secret, timestamp, body, sign(secret, timestamp, body), now), true);
+});
+
+test('verify rejects a changed body, secret or timestamp', () => {
+  const signature = sign(secret, timestamp, body);
+  assert.equal(verify(secret, timestamp, `${body} `, signature, now), false);
+  assert.equal(verify('other-secret', timestamp, body, signature, now), false);
+  assert.equal(verify(secret, String(Number(timestamp) + 1), body, signature, now), false);
+});
+
+test('verify rejects replays outside the allowed clock skew', () => {
+  const old = String(now / 1000 - MAX_CLOCK_SKEW_SECONDS - 1);
+  assert.equal(verify(secret, old, body, sign(secret, old, body), now), false);
+});
+
+test('verify rejects malformed input without throwing', () => {
+  assert.equal(verify(secret, timestamp, body, undefined, now), false);
+  assert.equal(verify(secret, timestamp, body, 'sha256=short', now), false);
+  assert.equal(verify(secret, 'not-a-time', body, sign(secret, 'not-a-time', body), now), false);
+});
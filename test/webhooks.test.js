@@ -0,0 +1,38 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const webhooks = require('../lib/webhooks');
+const { fakeQueries } = require('./fakeDb');
+
+function fakeWebhook(t) {
+  const webhook = { id: 1, url: 'https://example.com/hook', secret: 'secret', events: ['*'], description: null, enabled: true };
+  const queries = fakeQueries(t, [
+    [/SELECT \* FROM webhooks WHERE id/, () => [webhook]],
+    [/UPDATE webhooks/, ([id, url, events, description, enabled]) => [Object.assign(webhook, { url, events, description, enabled })]]
+  ]);
+  return { webhook, queries };
+}
+
+test('updates switch a webhook off and never return its secret', async (t) => {
+  const { webhook } = fakeWebhook(t);
+  const updated = await webhooks.updateWebhook(1, { enabled: false });
+  assert.equal(webhook.enabled, false);
+  assert.equal(updated.enabled, false);
+  assert.equal(updated.secret, undefined);
+});
+
+test('enabled must be a real boolean', async (t) => {
+  const { webhook, queries } = fakeWebhook(t);
+  for (const enabled of ['false', 'true', 0, 1, null]) {
+    await assert.rejects(webhooks.updateWebhook(1, { enabled }), webhooks.WebhookError);
+  }
+  assert.equal(webhook.enabled, true);
+  assert.equal(queries.filter(query => /UPDATE/.test(query.sql)).length, 0);
+});
+
+test('urls and events are validated', async (t) => {
+  fakeWebhook(t);
+  await assert.rejects(webhooks.updateWebhook(1, { url: 'ftp://example.com' }), /must start with http/);
+  await assert.rejects(webhooks.updateWebhook(1, { events: [] }), /at least one event/);
+  await assert.rejects(webhooks.updateWebhook(1, { events: ['message.sent'] }), /Unknown event\(s\) message\.sent/);
+});